@@ -0,0 +1,118 @@
+// analytics.js - Attempt History and Weak Spots
+// Every attempt keeps per-question results ({ id, type, question, correct, close, time });
+// these helpers turn a study set's attempts into trends, accuracy by type and missed terms.
+
+class QuestionTimer {
+    // Time goes to whichever question the learner last worked on
+    constructor(now = () => Date.now()) {
+        this.now = now;
+        this.times = new Map();
+        this.active = null;
+        this.since = now();
+        this.started = this.since;
+    }
+
+    activate(id) {
+        if (id === this.active) return;
+        this.stop();
+        this.active = id;
+    }
+
+    stop() {
+        const now = this.now();
+        if (this.active !== null) {
+            this.times.set(this.active, (this.times.get(this.active) || 0) + now - this.since);
+        }
+        this.active = null;
+        this.since = now;
+    }
+
+    time(id) {
+        return this.times.get(id) || 0;
+    }
+
+    elapsed() {
+        return this.now() - this.started;
+    }
+}
+
+class QuizAnalytics {
+    static percent(correct, total) {
+        return total > 0 ? Math.round(correct / total * 100) : 0;
+    }
+
+    // Full attempts in order: [{ date, percent, score, total }]
+    static scoreTrend(attempts) {
+        return attempts
+            .filter(attempt => !attempt.retry)
+            .map(attempt => ({
+                date: attempt.date,
+                score: attempt.score,
+                total: attempt.total,
+                percent: QuizAnalytics.percent(attempt.score, attempt.total)
+            }));
+    }
+
+    static results(attempts) {
+        return attempts.flatMap(attempt => attempt.results || []);
+    }
+
+    // [{ type, correct, total, percent, averageTime }] in QUESTION_TYPES order
+    static accuracyByType(attempts, types) {
+        const results = QuizAnalytics.results(attempts);
+        return types
+            .map(({ id, label }) => {
+                const ofType = results.filter(result => result.type === id);
+                const correct = ofType.filter(result => result.correct).length;
+                const timed = ofType.filter(result => result.time > 0);
+                return {
+                    type: id,
+                    label,
+                    correct,
+                    total: ofType.length,
+                    percent: QuizAnalytics.percent(correct, ofType.length),
+                    averageTime: timed.length ? timed.reduce((sum, result) => sum + result.time, 0) / timed.length : 0
+                };
+            })
+            .filter(row => row.total > 0);
+    }
+
+    // Results belong to a question only while its text is unchanged (regenerating reuses ids)
+    static sameQuestion(result, question) {
+        return result.id === question.id && result.question === question.question;
+    }
+
+    // Key terms in the questions answered wrongly, most often missed first: [{ term, count }]
+    static missedTerms(studySet, limit = 8) {
+        const counts = new Map();
+        QuizAnalytics.results(studySet.attempts).filter(result => !result.correct).forEach(result => {
+            const question = studySet.quiz.find(item => QuizAnalytics.sameQuestion(result, item));
+            const text = [
+                result.question,
+                question && question.correctAnswer,
+                question && question.sentence && question.sentence.text
+            ].filter(Boolean).join(' ');
+
+            studySet.notes.keyTerms.forEach(({ term }) => {
+                if (KeyTermExtractor.termPattern(term.toLowerCase()).test(text)) {
+                    counts.set(term, (counts.get(term) || 0) + 1);
+                }
+            });
+        });
+        return [...counts.entries()]
+            .map(([term, count]) => ({ term, count }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, limit);
+    }
+
+    // Questions whose most recent answer was wrong
+    static weakQuestions(studySet) {
+        return studySet.quiz.filter(question => {
+            for (let i = studySet.attempts.length - 1; i >= 0; i--) {
+                const result = (studySet.attempts[i].results || []).find(item => QuizAnalytics.sameQuestion(item, question));
+                if (result) return !result.correct;
+            }
+            return false;
+        });
+    }
+}
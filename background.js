@@ -0,0 +1,94 @@
+// background.js - Work Off the Main Thread
+// File extraction and study set generation run in study-worker.js so a large file does
+// not freeze the page. Where workers cannot start (pages opened from file://) the same
+// tasks run on the page instead.
+
+const BACKGROUND_WORKER_URL = 'study-worker.js';
+
+// The tasks a worker can run; each reports onProgress(message, fraction)
+const BACKGROUND_TASKS = {
+    // { name, document } for one uploaded file
+    async extract({ file }, onProgress) {
+        const extractor = extractorRegistry.find(file);
+        if (!extractor) throw new Error(`Unsupported file type: ${file.name}`);
+        return { name: extractor.name, document: await extractor.extract(file, onProgress) };
+    },
+
+    // Notes and quiz, see buildStudyMaterial
+    async generate({ sources, settings }, onProgress) {
+        const documents = sources.map(source => ({ name: source.name, document: DocumentModel.from(source.document) }));
+        return buildStudyMaterial(documents, settings, onProgress);
+    },
+
+    // The cleaned texts of a study set saved without them, see buildStudyMaterial
+    async sourceTexts({ sources, settings }) {
+        const documents = sources.map(source => ({ name: source.name, document: DocumentModel.from(source.document) }));
+        return new QuizGenerator(documents, settings).sources;
+    }
+};
+
+class BackgroundTask {
+    // Starts at once; `promise` settles with the task's result. Documents come back as
+    // plain objects (DocumentModel.from turns them back into documents).
+    constructor(type, payload, onProgress = () => {}) {
+        this.type = type;
+        this.payload = payload;
+        this.onProgress = onProgress;
+        this.cancelled = false;
+        this.worker = null;
+        this.promise = new Promise((resolve, reject) => {
+            this.resolve = resolve;
+            this.reject = reject;
+        });
+        this.start();
+    }
+
+    start() {
+        try {
+            this.worker = new Worker(BACKGROUND_WORKER_URL);
+        } catch (error) {
+            this.runOnPage();
+            return;
+        }
+
+        this.worker.onmessage = (e) => {
+            const { type, message, fraction, result } = e.data;
+            if (type === 'progress') {
+                this.onProgress(message, fraction);
+                return;
+            }
+            this.worker.terminate();
+            if (type === 'done') this.resolve(result);
+            else this.reject(new Error(message));
+        };
+        // Only loading the worker script can fail like this; task errors arrive as messages
+        this.worker.onerror = (e) => {
+            e.preventDefault();
+            this.worker.terminate();
+            this.worker = null;
+            this.runOnPage();
+        };
+        this.worker.postMessage({ type: this.type, ...this.payload });
+    }
+
+    // Cancelling here takes effect at the next progress report
+    async runOnPage() {
+        try {
+            const result = await BACKGROUND_TASKS[this.type](this.payload, (message, fraction) => {
+                if (this.cancelled) throw new Error('Cancelled');
+                this.onProgress(message, fraction);
+            });
+            if (!this.cancelled) this.resolve(result);
+        } catch (error) {
+            this.reject(error);
+        }
+    }
+
+    // Stops the work; the promise rejects and `cancelled` tells callers not to report it
+    cancel() {
+        if (this.cancelled) return;
+        this.cancelled = true;
+        if (this.worker) this.worker.terminate();
+        this.reject(new Error('Cancelled'));
+    }
+}
@@ -0,0 +1,127 @@
+// distractors.js - Distractor Engine for Multiple Choice Questions
+// Wrong options come from the document itself: other definitions, statements about
+// other key terms, and sentences that share vocabulary with the answer.
+
+// A link verb after the subject marks the start of what is said about it; other
+// languages use their definition phrases from LANGUAGES
+const DISTRACTOR_PREDICATE = /\s+(?:is|are|was|were|refers to|means|describes|contains|includes|consists of)\s+(.+)$/i;
+
+// How much each kind of candidate is trusted before similarity is considered
+const DISTRACTOR_KIND_WEIGHT = { definition: 0.3, term: 0.2, sentence: 0 };
+
+class DistractorEngine {
+    // definitions: [{ term, definition }], terms: ['Term'], sentences: [{ text }],
+    // language: a code from LANGUAGES
+    constructor({ definitions = [], terms = [], sentences = [], language = 'en' } = {}) {
+        this.candidates = [];
+        this.language = language;
+        const gap = Language.isSpaced(language) ? '\\s+' : '\\s*';
+        const predicatePattern = language === 'en'
+            ? DISTRACTOR_PREDICATE
+            : new RegExp(`${gap}(?:${Language.alternatives(Language.get(language).copulas)})${gap}(.+)$`, 'iu');
+
+        definitions.forEach(({ term, definition }) => {
+            this.addCandidate(definition, term, 'definition');
+        });
+
+        // Statements whose subject is another key term read like definitions
+        terms.forEach(term => {
+            const subject = new RegExp(`^${Language.articlePrefix(language)}${Language.wholeWord(Language.escape(term), term)}`, 'iu');
+            sentences.forEach(({ text }) => {
+                if (!subject.test(text)) return;
+                const predicate = text.match(predicatePattern);
+                if (predicate) this.addCandidate(predicate[1], term, 'term');
+            });
+        });
+
+        // Other statements keep only their predicate so they read like an answer
+        sentences.forEach(({ text }) => {
+            const predicate = text.match(predicatePattern);
+            if (predicate) this.addCandidate(predicate[1], '', 'sentence', text);
+        });
+    }
+
+    keywords(text) {
+        return new Set(contentWords(text, this.language));
+    }
+
+    wordCount(text) {
+        return Language.words(text, this.language).length;
+    }
+
+    static similarity(a, b) {
+        if (a.size === 0 || b.size === 0) return 0;
+        let shared = 0;
+        a.forEach(word => {
+            if (b.has(word)) shared++;
+        });
+        return shared / (a.size + b.size - shared);
+    }
+
+    static clean(text) {
+        return text.trim().replace(/[\s,;:，、]+$/, '').replace(/[.!?。！？]+$/, '');
+    }
+
+    addCandidate(text, term, kind, sentence = text) {
+        const cleaned = DistractorEngine.clean(text);
+        if (this.wordCount(cleaned) < 3) return;
+        if (this.candidates.some(c => c.text.toLowerCase() === cleaned.toLowerCase())) return;
+
+        this.candidates.push({
+            text: cleaned,
+            term,
+            kind,
+            sentence,
+            keywords: this.keywords(cleaned)
+        });
+    }
+
+    // Up to `count` wrong answers for "What is <term>?", hardest first. Returns fewer
+    // when the document does not have enough credible ones.
+    forDefinition(term, answer, count = 3) {
+        const answerText = DistractorEngine.clean(answer);
+        const answerKeywords = this.keywords(answerText);
+        const answerLower = answerText.toLowerCase();
+        const answerWords = this.wordCount(answerText);
+        const mentionsTerm = new RegExp(Language.wholeWord(Language.escape(term), term), 'iu');
+
+        const ranked = this.candidates
+            .filter(candidate => {
+                const lower = candidate.text.toLowerCase();
+                // Anything that restates the answer or talks about the same term could be true
+                if (lower.includes(answerLower) || answerLower.includes(lower)) return false;
+                if (candidate.term && candidate.term.toLowerCase() === term.toLowerCase()) return false;
+                if (mentionsTerm.test(candidate.sentence)) return false;
+                return true;
+            })
+            .map(candidate => {
+                const similarity = DistractorEngine.similarity(answerKeywords, candidate.keywords);
+                const words = this.wordCount(candidate.text);
+                const lengthMatch = Math.min(words, answerWords) / Math.max(words, answerWords);
+                return { candidate, similarity, lengthMatch };
+            })
+            .filter(({ candidate, similarity, lengthMatch }) => {
+                // Near-copies of the answer are not clearly wrong
+                if (similarity > 0.6) return false;
+                // Plain sentences only qualify when they share vocabulary with the answer
+                if (candidate.kind === 'sentence') return similarity > 0 && lengthMatch >= 0.4;
+                return lengthMatch >= 0.25;
+            })
+            .map(item => ({
+                ...item,
+                score: item.similarity + DISTRACTOR_KIND_WEIGHT[item.candidate.kind] + item.lengthMatch * 0.2
+            }))
+            .sort((a, b) => b.score - a.score);
+
+        // Distractors must also differ from each other
+        const picked = [];
+        for (const { candidate } of ranked) {
+            if (picked.length >= count) break;
+            const distinct = picked.every(other =>
+                DistractorEngine.similarity(other.keywords, candidate.keywords) <= 0.6
+            );
+            if (distinct) picked.push(candidate);
+        }
+        return picked.map(candidate => candidate.text);
+    }
+}
@@ -0,0 +1,175 @@
+// document-model.js - Structured Document Model
+// Sections (heading, level, page) holding paragraph and list blocks. Extractors
+// fill it from the source format; QuizGenerator reads it to keep notes in order.
+
+class DocumentModel {
+    constructor(title = '') {
+        this.title = title;
+        // [{ heading, level, page, blocks: [{ type: 'paragraph', text, page } | { type: 'list', items, page, ordered }] }]
+        this.sections = [];
+    }
+
+    static normalize(text) {
+        return String(text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    currentSection(page = null) {
+        if (this.sections.length === 0) {
+            // Content before the first heading goes into an untitled section
+            this.sections.push({ heading: '', level: 0, page, blocks: [] });
+        }
+        return this.sections[this.sections.length - 1];
+    }
+
+    addHeading(text, level = 1, page = null) {
+        const heading = DocumentModel.normalize(text);
+        if (heading) {
+            this.sections.push({ heading, level: Math.min(Math.max(level, 1), 6), page, blocks: [] });
+        }
+        return this;
+    }
+
+    addParagraph(text, page = null) {
+        const paragraph = DocumentModel.normalize(text);
+        if (paragraph) {
+            this.currentSection(page).blocks.push({ type: 'paragraph', text: paragraph, page });
+        }
+        return this;
+    }
+
+    // ordered: the list is numbered ("1.", <ol>), so its items are steps in sequence
+    addListItem(text, page = null, ordered = false) {
+        const item = DocumentModel.normalize(text);
+        if (!item) return this;
+
+        const section = this.currentSection(page);
+        const last = section.blocks[section.blocks.length - 1];
+        if (last && last.type === 'list' && Boolean(last.ordered) === ordered) {
+            last.items.push(item);
+        } else {
+            section.blocks.push({ type: 'list', items: [item], page, ordered });
+        }
+        return this;
+    }
+
+    // Rebuild a model from its stored form ({ title, sections })
+    static from(data) {
+        const doc = new DocumentModel(data.title);
+        doc.sections = data.sections;
+        return doc;
+    }
+
+    append(other) {
+        this.sections.push(...other.sections);
+        return this;
+    }
+
+    // Plain text with Markdown-style headings, list markers and page markers;
+    // fromText() reads this format back
+    toText() {
+        const parts = [];
+        let currentPage = null;
+
+        const markPage = (page) => {
+            if (page !== null && page !== undefined && page !== currentPage) {
+                parts.push(`--- Page ${page} ---`);
+                currentPage = page;
+            }
+        };
+
+        this.sections.forEach(section => {
+            if (section.heading) {
+                markPage(section.page);
+                parts.push(`${'#'.repeat(section.level)} ${section.heading}`);
+            }
+            section.blocks.forEach(block => {
+                markPage(block.page);
+                parts.push(block.type === 'list'
+                    ? block.items.map((item, idx) => `${block.ordered ? `${idx + 1}.` : '-'} ${item}`).join('\n')
+                    : block.text);
+            });
+        });
+
+        return parts.join('\n\n');
+    }
+
+    static isCapitals(line) {
+        const letters = line.replace(/[^\p{L}]/gu, '');
+        return letters.length >= 3 && letters === letters.toUpperCase() && letters !== letters.toLowerCase();
+    }
+
+    // Short standalone lines in Title Case or CAPITALS are treated as headings
+    static headingLevel(line) {
+        if (line.length > 80 || /[.!?,;]$/.test(line) || !/^[\p{Lu}\d]/u.test(line)) return 0;
+        const words = line.split(/\s+/);
+        if (words.length > 10) return 0;
+
+        const numbered = line.match(/^(\d+(?:\.\d+)*)\.?\s+\p{Lu}/u);
+        if (numbered) return Math.min(numbered[1].split('.').length, 3);
+
+        if (DocumentModel.isCapitals(line)) return 1;
+
+        const minorWords = /^(a|an|the|of|in|on|and|or|for|to|with|by|at|from|vs\.?)$/i;
+        const titleCase = words.every(w => minorWords.test(w) || /^[\p{Lu}\d(]/u.test(w));
+        return titleCase ? 2 : 0;
+    }
+
+    static fromText(text, title = '') {
+        const doc = new DocumentModel(title);
+        const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+        let buffer = [];
+        let page = null;
+
+        const flush = () => {
+            if (buffer.length > 0) {
+                doc.addParagraph(buffer.join(' ').replace(/(\p{Ll})- (\p{Ll})/gu, '$1$2'), page);
+                buffer = [];
+            }
+        };
+
+        lines.forEach((rawLine, idx) => {
+            const line = rawLine.trim();
+            const next = (lines[idx + 1] || '').trim();
+
+            const pageMarker = line.match(/^-{3}\s*Page\s+(\d+)\s*-{3}$/i);
+            if (pageMarker) {
+                flush();
+                page = parseInt(pageMarker[1], 10);
+                return;
+            }
+            if (!line) {
+                flush();
+                return;
+            }
+
+            const markdownHeading = line.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+            if (markdownHeading) {
+                flush();
+                doc.addHeading(markdownHeading[2], markdownHeading[1].length, page);
+                return;
+            }
+
+            // A heading starts a paragraph and stands alone (or is written in capitals)
+            if (buffer.length === 0) {
+                const level = DocumentModel.headingLevel(line);
+                const standsAlone = !next || /^-{3}\s*Page/i.test(next);
+                if (level && (standsAlone || DocumentModel.isCapitals(line))) {
+                    doc.addHeading(line, level, page);
+                    return;
+                }
+            }
+
+            const listItem = line.match(/^([-*•+▪◦]|\d+[.)])\s+(.+)$/);
+            if (listItem) {
+                flush();
+                doc.addListItem(listItem[2], page, /\d/.test(listItem[1]));
+                return;
+            }
+
+            buffer.push(line);
+        });
+        flush();
+
+        return doc;
+    }
+}
@@ -0,0 +1,386 @@
+// exporters.js - Notes, Quiz and Flashcard Exports
+// Builds Markdown notes and quizzes, Moodle GIFT, an IMS QTI 2.1 package and Anki import files
+// from a study set's notes and the question objects generateQuiz returns. Formulas stay
+// LaTeX: $...$ in Markdown and \(...\) for the MathJax that Anki and Moodle use; QTI,
+// which has no LaTeX, gets them as plain text ("v²"). GIFT has no cloze or ordering
+// questions: a cloze question becomes one question per blank and an ordering one a matching
+// question from each step to its place. Moodle rejects matching questions of fewer than
+// three pairs, so those become one multiple choice question per pair.
+
+const EXPORT_QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const EXPORT_QTI_SCHEMA = 'http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd';
+const EXPORT_QTI_TEMPLATES = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates';
+const EXPORT_BLANK = /_{3,}/;
+const EXPORT_BLANKS = /_{3,}/g;
+const EXPORT_GIFT_MIN_PAIRS = 3;
+
+class StudyExporter {
+    // File name stem from the study set title
+    static slug(title) {
+        const slug = (title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+        return slug || 'study-set';
+    }
+
+    // The answer as it should be shown, e.g. "True" rather than "true"
+    static answerText(question) {
+        if (question.type === 'truefalse') return question.correctAnswer === 'true' ? 'True' : 'False';
+        if (question.type === 'numeric' && question.unit) return `${question.correctAnswer} ${question.unit}`;
+        return question.correctAnswer;
+    }
+
+    // Formulas with MathJax delimiters: \(...\) inline and \[...\] on their own line. A blank
+    // in a formula becomes a line MathJax can draw
+    static mathJax(text) {
+        return MathText.split(text)
+            .map(token => {
+                if (token.tex === undefined) return token.text;
+                const tex = token.tex.replace(/_{3,}/g, '\\underline{\\qquad}');
+                return token.display ? `\\[${tex}\\]` : `\\(${tex}\\)`;
+            })
+            .join('');
+    }
+
+    // Markdown
+
+    // Formulas are left as they are, since Markdown viewers render $...$ themselves
+    static markdownEscape(text) {
+        return MathText.split(text)
+            .map(token => token.tex === undefined ? token.text.replace(/([\\`*_[\]<>])/g, '\\$1') : text.slice(token.start, token.end))
+            .join('');
+    }
+
+    static notesToMarkdown(studySet) {
+        const { outline, keyTerms } = studySet.notes;
+        const lines = [`# ${StudyExporter.markdownEscape(studySet.title)}`, ''];
+        // The document's top heading level becomes "##" under the title
+        const topLevel = Math.min(...outline.map(section => section.level || Infinity), Infinity);
+
+        outline.forEach(section => {
+            const depth = section.level > 0 ? Math.min(section.level - topLevel + 2, 6) : 2;
+            const heading = section.heading || section.source || 'Overview';
+            lines.push(`${'#'.repeat(depth)} ${StudyExporter.markdownEscape(heading)}`, '');
+            section.points.forEach(point => {
+                const page = point.page ? ` (p. ${point.page})` : '';
+                lines.push(`- ${StudyExporter.markdownEscape(point.text)}${page}`);
+            });
+            if (section.terms.length > 0) {
+                if (section.points.length > 0) lines.push('');
+                lines.push(`**Terms:** ${section.terms.map(StudyExporter.markdownEscape).join(', ')}`);
+            }
+            lines.push('');
+        });
+
+        if (keyTerms.length > 0) {
+            lines.push('## Key Terms', '');
+            keyTerms.forEach(({ term, definition }) => {
+                const meaning = definition ? `: ${StudyExporter.markdownEscape(definition.text)}` : '';
+                lines.push(`- **${StudyExporter.markdownEscape(term)}**${meaning}`);
+            });
+            lines.push('');
+        }
+
+        return lines.join('\n');
+    }
+
+    // The questions as a numbered list with their options, then the answer key
+    static quizToMarkdown(quiz) {
+        const lines = ['## Quiz', ''];
+        quiz.forEach((question, idx) => {
+            lines.push(`${idx + 1}. ${StudyExporter.markdownEscape(question.question)}`);
+            if (question.type === 'matching') {
+                lines.push(`    - Terms: ${question.pairs.map(pair => StudyExporter.markdownEscape(pair.term)).join(', ')}`);
+                lines.push('    - Definitions:');
+                question.options.forEach(option => lines.push(`        - ${StudyExporter.markdownEscape(option)}`));
+                return;
+            }
+            (question.options || []).forEach(option => lines.push(`    - ${StudyExporter.markdownEscape(option)}`));
+        });
+        lines.push('', '## Answer Key', '');
+        quiz.forEach((question, idx) => {
+            lines.push(`${idx + 1}. ${StudyExporter.markdownEscape(StudyExporter.answerText(question))}`);
+        });
+        lines.push('');
+        return lines.join('\n');
+    }
+
+    // Moodle GIFT
+
+    static giftEscape(text) {
+        return text.replace(/([\\~=#{}:])/g, '\\$1').replace(/\s*\n\s*/g, ' ');
+    }
+
+    // Missing-word text: the question with `answer` ({=...}) in place of its blank
+    static giftBlank(question, name, answer) {
+        return `${name} ${StudyExporter.giftEscape(StudyExporter.mathJax(question).replace(EXPORT_BLANK, '\u0000')).replace('\u0000', answer)}`;
+    }
+
+    static quizToGIFT(quiz, title = '') {
+        const blocks = quiz.map((question, idx) => {
+            const name = `::Q${idx + 1}::`;
+            const text = StudyExporter.giftEscape(StudyExporter.mathJax(question.question));
+            const giftText = value => StudyExporter.giftEscape(StudyExporter.mathJax(value));
+            // [left, right] pairs as a matching question, or as Q3a, Q3b... asking for each
+            // left side's right one
+            const matching = pairs => pairs.length >= EXPORT_GIFT_MIN_PAIRS
+                ? `${name} ${text} {\n${pairs.map(([left, right]) => `\t=${giftText(left)} -> ${giftText(right)}`).join('\n')}\n}`
+                : pairs.map(([left, right], pair) => `::Q${idx + 1}${String.fromCharCode(97 + pair)}:: ${text} — ${giftText(left)} {\n${
+                    pairs.map(([, other]) => `\t${other === right ? '=' : '~'}${giftText(other)}`).join('\n')}\n}`).join('\n\n');
+
+            if (question.type === 'truefalse') {
+                return `${name} ${text} {${question.correctAnswer === 'true' ? 'TRUE' : 'FALSE'}}`;
+            }
+            if (question.type === 'mcq') {
+                const options = question.options.map(option =>
+                    `\t${option === question.correctAnswer ? '=' : '~'}${StudyExporter.giftEscape(StudyExporter.mathJax(option))}`
+                );
+                return `${name} ${text} {\n${options.join('\n')}\n}`;
+            }
+            if (question.type === 'numeric') {
+                const tolerance = question.tolerance ?? MathText.precision(question.correctAnswer);
+                return `${name} ${text} {#${MathText.parseNumber(question.correctAnswer)}:${tolerance}}`;
+            }
+            if (question.type === 'matching') {
+                return matching(question.pairs.map(pair => [pair.term, pair.definition]));
+            }
+            if (question.type === 'ordering') {
+                return matching(question.options.map(option => [option, String(question.items.indexOf(option) + 1)]));
+            }
+            if (question.type === 'cloze') {
+                // Q3a, Q3b...: each asks for one blank with the others filled in
+                return question.answers.map((answer, blank) => {
+                    let at = 0;
+                    const filled = question.question.replace(EXPORT_BLANKS, match => at++ === blank ? match : question.answers[at - 1]);
+                    return StudyExporter.giftBlank(filled, `::Q${idx + 1}${String.fromCharCode(97 + blank)}::`, `{=${StudyExporter.giftEscape(answer)}}`);
+                }).join('\n\n');
+            }
+            if (question.type === 'shortanswer') {
+                // An essay question, with the source sentence as feedback for whoever marks it
+                return `${name} ${text} {####${StudyExporter.giftEscape(StudyExporter.mathJax(question.correctAnswer))}}`;
+            }
+            // Fill in the blank: the answers go where the blank is
+            const accepted = [question.correctAnswer, ...(question.alternatives || [])];
+            const answer = `{${accepted.map(option => `=${StudyExporter.giftEscape(option)}`).join(' ')}}`;
+            return EXPORT_BLANK.test(question.question)
+                ? StudyExporter.giftBlank(question.question, name, answer)
+                : `${name} ${text} ${answer}`;
+        });
+
+        const header = title ? [`// ${title.replace(/\s*\n\s*/g, ' ')}`, ''] : [];
+        return [...header, blocks.join('\n\n'), ''].join('\n');
+    }
+
+    // IMS QTI 2.1 content package (a ZIP with one file per item, a test and a manifest)
+
+    static xmlEscape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    static qtiItem(question, identifier, title) {
+        const esc = text => StudyExporter.xmlEscape(MathText.toPlain(text));
+        let response;
+        let body;
+        let processing;
+
+        if (question.type === 'numeric') {
+            // Any response within the tolerance scores, so QTI's template rules do not fit
+            const value = MathText.parseNumber(question.correctAnswer);
+            const tolerance = question.tolerance ?? MathText.precision(question.correctAnswer);
+            response = `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">
+        <correctResponse><value>${value}</value></correctResponse>
+    </responseDeclaration>`;
+            const entry = `<textEntryInteraction responseIdentifier="RESPONSE" expectedLength="10"/>${question.unit ? ` ${esc(question.unit)}` : ''}`;
+            const [before, after = ''] = MathText.toPlain(question.question).split(EXPORT_BLANK);
+            body = EXPORT_BLANK.test(question.question)
+                ? `<p>${esc(before)}${entry}${esc(after)}</p>`
+                : `<p>${esc(question.question)}</p>\n        <p>${entry}</p>`;
+            processing = `<responseProcessing>
+        <responseCondition>
+            <responseIf>
+                <equal toleranceMode="absolute" tolerance="${tolerance} ${tolerance}">
+                    <variable identifier="RESPONSE"/>
+                    <correct identifier="RESPONSE"/>
+                </equal>
+                <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>
+            </responseIf>
+            <responseElse>
+                <setOutcomeValue identifier="SCORE"><baseValue baseType="float">0</baseValue></setOutcomeValue>
+            </responseElse>
+        </responseCondition>
+    </responseProcessing>`;
+        } else if (question.type === 'truefalse' || question.type === 'mcq') {
+            const choices = question.options.map((option, idx) => ({ id: `choice${idx + 1}`, option }));
+            const correct = choices.find(({ option }) => question.type === 'truefalse'
+                ? option.toLowerCase() === question.correctAnswer
+                : option === question.correctAnswer);
+            response = `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+        <correctResponse><value>${correct.id}</value></correctResponse>
+    </responseDeclaration>`;
+            body = `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+            <prompt>${esc(question.question)}</prompt>
+${choices.map(({ id, option }) => `            <simpleChoice identifier="${id}">${esc(option)}</simpleChoice>`).join('\n')}
+        </choiceInteraction>`;
+            processing = `<responseProcessing template="${EXPORT_QTI_TEMPLATES}/match_correct"/>`;
+        } else if (question.type === 'matching') {
+            const terms = question.pairs.map((pair, idx) => ({ id: `term${idx + 1}`, text: pair.term }));
+            const definitions = question.options.map((option, idx) => ({ id: `definition${idx + 1}`, text: option }));
+            const correct = question.pairs.map((pair, idx) =>
+                `<value>${terms[idx].id} ${definitions.find(definition => definition.text === pair.definition).id}</value>`);
+            const choice = ({ id, text }) => `                <simpleAssociableChoice identifier="${id}" matchMax="1">${esc(text)}</simpleAssociableChoice>`;
+            response = `<responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">
+        <correctResponse>${correct.join('')}</correctResponse>
+    </responseDeclaration>`;
+            body = `<matchInteraction responseIdentifier="RESPONSE" shuffle="false" maxAssociations="${terms.length}">
+            <prompt>${esc(question.question)}</prompt>
+            <simpleMatchSet>
+${terms.map(choice).join('\n')}
+            </simpleMatchSet>
+            <simpleMatchSet>
+${definitions.map(choice).join('\n')}
+            </simpleMatchSet>
+        </matchInteraction>`;
+            processing = `<responseProcessing template="${EXPORT_QTI_TEMPLATES}/match_correct"/>`;
+        } else if (question.type === 'ordering') {
+            const choices = question.options.map((option, idx) => ({ id: `step${idx + 1}`, option }));
+            const correct = question.items.map(item => `<value>${choices.find(({ option }) => option === item).id}</value>`);
+            response = `<responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">
+        <correctResponse>${correct.join('')}</correctResponse>
+    </responseDeclaration>`;
+            body = `<orderInteraction responseIdentifier="RESPONSE" shuffle="false">
+            <prompt>${esc(question.question)}</prompt>
+${choices.map(({ id, option }) => `            <simpleChoice identifier="${id}">${esc(option)}</simpleChoice>`).join('\n')}
+        </orderInteraction>`;
+            processing = `<responseProcessing template="${EXPORT_QTI_TEMPLATES}/match_correct"/>`;
+        } else if (question.type === 'cloze') {
+            // One text entry per blank; the score is the share of blanks right
+            const ids = question.answers.map((answer, idx) => `RESPONSE${idx + 1}`);
+            response = question.answers.map((answer, idx) => `<responseDeclaration identifier="${ids[idx]}" cardinality="single" baseType="string">
+        <correctResponse><value>${esc(answer)}</value></correctResponse>
+        <mapping defaultValue="0" upperBound="1">
+            <mapEntry mapKey="${esc(answer)}" mappedValue="1" caseSensitive="false"/>
+        </mapping>
+    </responseDeclaration>`).join('\n    ');
+            const parts = MathText.toPlain(question.question).split(EXPORT_BLANK);
+            body = `<p>${parts.map((part, idx) => idx === 0 ? esc(part)
+                : `<textEntryInteraction responseIdentifier="${ids[idx - 1]}" expectedLength="${Math.max(10, question.answers[idx - 1].length + 2)}"/>${esc(part)}`).join('')}</p>`;
+            processing = `<responseProcessing>
+        <setOutcomeValue identifier="SCORE">
+            <divide>
+                <sum>${ids.map(id => `<mapResponse identifier="${id}"/>`).join('')}</sum>
+                <baseValue baseType="float">${ids.length}</baseValue>
+            </divide>
+        </setOutcomeValue>
+    </responseProcessing>`;
+        } else if (question.type === 'shortanswer') {
+            // Marked by hand; the source sentence is the model answer
+            response = `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+        <correctResponse><value>${esc(question.correctAnswer)}</value></correctResponse>
+    </responseDeclaration>`;
+            body = `<extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="4">
+            <prompt>${esc(question.question)}</prompt>
+        </extendedTextInteraction>`;
+            processing = '';
+        } else {
+            const answer = esc(question.correctAnswer);
+            const mapEntries = [question.correctAnswer, ...(question.alternatives || [])].map(option =>
+                `            <mapEntry mapKey="${esc(option)}" mappedValue="1" caseSensitive="false"/>`
+            );
+            const entry = `<textEntryInteraction responseIdentifier="RESPONSE" expectedLength="${Math.max(10, question.correctAnswer.length + 2)}"/>`;
+            const [before, after = ''] = MathText.toPlain(question.question).split(EXPORT_BLANK);
+            response = `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+        <correctResponse><value>${answer}</value></correctResponse>
+        <mapping defaultValue="0" upperBound="1">
+${mapEntries.join('\n')}
+        </mapping>
+    </responseDeclaration>`;
+            body = EXPORT_BLANK.test(question.question)
+                ? `<p>${esc(before)}${entry}${esc(after)}</p>`
+                : `<p>${esc(question.question)}</p>\n        <p>${entry}</p>`;
+            processing = `<responseProcessing template="${EXPORT_QTI_TEMPLATES}/map_response"/>`;
+        }
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${EXPORT_QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="${EXPORT_QTI_NAMESPACE} ${EXPORT_QTI_SCHEMA}"
+    identifier="${identifier}" title="${esc(title)}" adaptive="false" timeDependent="false">
+    ${response}
+    <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>
+    <itemBody>
+        ${body}
+    </itemBody>${processing && `
+    ${processing}`}
+</assessmentItem>
+`;
+    }
+
+    // Returns the package as ZIP bytes
+    static quizToQTI(quiz, title = 'Quiz') {
+        const esc = StudyExporter.xmlEscape;
+        const items = quiz.map((question, idx) => ({
+            identifier: `item${idx + 1}`,
+            href: `items/item${idx + 1}.xml`,
+            xml: StudyExporter.qtiItem(question, `item${idx + 1}`, `Question ${idx + 1}`)
+        }));
+
+        const test = `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="${EXPORT_QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="${EXPORT_QTI_NAMESPACE} ${EXPORT_QTI_SCHEMA}"
+    identifier="test" title="${esc(title)}">
+    <testPart identifier="part1" navigationMode="nonlinear" submissionMode="simultaneous">
+        <assessmentSection identifier="section1" title="${esc(title)}" visible="true">
+${items.map(item => `            <assessmentItemRef identifier="${item.identifier}" href="${item.href}"/>`).join('\n')}
+        </assessmentSection>
+    </testPart>
+</assessmentTest>
+`;
+
+        const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="manifest-${StudyExporter.slug(title)}">
+    <metadata>
+        <schema>QTIv2.1 Package</schema>
+        <schemaversion>1.0.0</schemaversion>
+    </metadata>
+    <organizations/>
+    <resources>
+        <resource identifier="test" type="imsqti_test_xmlv2p1" href="assessment.xml">
+            <file href="assessment.xml"/>
+${items.map(item => `            <dependency identifierref="${item.identifier}"/>`).join('\n')}
+        </resource>
+${items.map(item => `        <resource identifier="${item.identifier}" type="imsqti_item_xmlv2p1" href="${item.href}">
+            <file href="${item.href}"/>
+        </resource>`).join('\n')}
+    </resources>
+</manifest>
+`;
+
+        const zip = new ZipWriter()
+            .add('imsmanifest.xml', manifest)
+            .add('assessment.xml', test);
+        items.forEach(item => zip.add(item.href, item.xml));
+        return zip.toBytes();
+    }
+
+    // Anki: "Basic" notes with front, back and tags; the header lines tell Anki how to read the file
+
+    static ankiField(text, separator) {
+        const html = StudyExporter.xmlEscape(StudyExporter.mathJax(text)).replace(/\r?\n/g, '<br>');
+        if (separator === '\t') return html.replace(/\t/g, ' ');
+        return /[",]/.test(html) ? `"${html.replace(/"/g, '""')}"` : html;
+    }
+
+    static cardsToAnki(cards, separator = '\t') {
+        const header = [
+            `#separator:${separator === '\t' ? 'tab' : 'comma'}`,
+            '#html:true',
+            '#tags column:3'
+        ];
+        const rows = cards.map(card => {
+            const tags = [card.kind, StudyExporter.slug(card.setTitle)].join(' ');
+            return [card.front, card.back, tags].map(field => StudyExporter.ankiField(field, separator)).join(separator);
+        });
+        return [...header, ...rows, ''].join('\n');
+    }
+}
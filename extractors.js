@@ -0,0 +1,779 @@
+// extractors.js - Pluggable File Extractors (No External Dependencies)
+// Each extractor turns one file format into a DocumentModel. New formats are added
+// with extractorRegistry.register() instead of editing the upload handler.
+
+class ExtractorRegistry {
+    constructor() {
+        this.extractors = [];
+    }
+
+    // extractor: { name, extensions: ['md'], mimeTypes: ['text/markdown'], extract: async (file, onProgress) => DocumentModel };
+    // onProgress(message, fraction) reports how far reading and parsing have got
+    register(extractor) {
+        this.extractors.push({
+            extensions: [],
+            mimeTypes: [],
+            ...extractor
+        });
+        return this;
+    }
+
+    find(file) {
+        const name = file.name.toLowerCase();
+        const extension = name.includes('.') ? name.split('.').pop() : '';
+        const type = (file.type || '').toLowerCase();
+
+        // Extensions are more reliable than browser-reported MIME types
+        return this.extractors.find(e => extension && e.extensions.includes(extension)) ||
+            this.extractors.find(e => type && e.mimeTypes.includes(type)) ||
+            this.extractors.find(e => type && e.mimeTypes.some(m => m.endsWith('/*') && type.startsWith(m.slice(0, -1)))) ||
+            null;
+    }
+
+    describe() {
+        return this.extractors.map(e => e.name).join(', ');
+    }
+}
+
+const MARKUP_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0', shy: '',
+    mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    laquo: '«', raquo: '»', bull: '•', middot: '·', copy: '©', reg: '®', trade: '™',
+    deg: '°', times: '×', divide: '÷', plusmn: '±', minus: '−', micro: 'µ', para: '¶',
+    sect: '§', euro: '€', pound: '£', yen: '¥', cent: '¢', szlig: 'ß', aelig: 'æ',
+    AElig: 'Æ', oslash: 'ø', Oslash: 'Ø', alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ',
+    pi: 'π', sigma: 'σ', mu: 'μ', lambda: 'λ', theta: 'θ', omega: 'ω', Omega: 'Ω',
+    le: '≤', ge: '≥', ne: '≠', asymp: '≈', infin: '∞', rarr: '→', larr: '←'
+};
+
+const MARKUP_ACCENTS = {
+    acute: '\u0301', grave: '\u0300', circ: '\u0302', tilde: '\u0303',
+    uml: '\u0308', ring: '\u030A', cedil: '\u0327', caron: '\u030C'
+};
+
+// Elements whose content is never visible text
+const MARKUP_RAW_TEXT = new Set(['script', 'style', 'noscript', 'template', 'svg', 'math', 'head']);
+
+// Elements that start a new line of text
+const MARKUP_BLOCK_TAGS = new Set([
+    'p', 'div', 'br', 'li', 'ul', 'ol', 'dl', 'dt', 'dd', 'tr', 'table', 'section',
+    'article', 'header', 'footer', 'nav', 'aside', 'main', 'blockquote', 'pre',
+    'figure', 'figcaption', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'body', 'title'
+]);
+
+// Tag/text tokenizer shared by the HTML, DOCX and EPUB readers
+class MarkupTokenizer {
+    static decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1] === 'x' || entity[1] === 'X'
+                    ? parseInt(entity.slice(2), 16)
+                    : parseInt(entity.slice(1), 10);
+                return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+            }
+            if (MARKUP_ENTITIES[entity] !== undefined) return MARKUP_ENTITIES[entity];
+
+            // Accented letters such as &eacute; or &Ccedil;
+            const accent = entity.match(/^([a-z])(acute|grave|circ|tilde|uml|ring|cedil|caron)$/i);
+            if (accent) return (accent[1] + MARKUP_ACCENTS[accent[2].toLowerCase()]).normalize('NFC');
+            return match;
+        });
+    }
+
+    static parseAttributes(source) {
+        const attrs = {};
+        const pattern = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+        let match;
+        while ((match = pattern.exec(source))) {
+            const value = match[2] ?? match[3] ?? match[4] ?? '';
+            attrs[match[1].toLowerCase()] = MarkupTokenizer.decodeEntities(value);
+        }
+        return attrs;
+    }
+
+    // Returns [{ type: 'open'|'close'|'text', name, attrs, selfClosing, text }]
+    static tokenize(source, { skipRawText = true } = {}) {
+        const tokens = [];
+        const tagPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<(\/?)([A-Za-z][\w:.-]*)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/g;
+        let last = 0;
+        let match;
+
+        const pushText = (text) => {
+            if (text) tokens.push({ type: 'text', text: MarkupTokenizer.decodeEntities(text) });
+        };
+
+        while ((match = tagPattern.exec(source))) {
+            pushText(source.slice(last, match.index));
+            last = tagPattern.lastIndex;
+
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'text', text: match[1] });
+                continue;
+            }
+            if (!match[3]) continue; // comment, doctype or processing instruction
+
+            const name = match[3].toLowerCase();
+            if (match[2]) {
+                tokens.push({ type: 'close', name });
+                continue;
+            }
+
+            const selfClosing = match[5] === '/';
+            tokens.push({ type: 'open', name, attrs: MarkupTokenizer.parseAttributes(match[4]), selfClosing });
+
+            // Skip the contents of <script>, <style> and similar elements entirely
+            if (skipRawText && !selfClosing && MARKUP_RAW_TEXT.has(name)) {
+                const end = source.toLowerCase().indexOf(`</${name}`, last);
+                last = end < 0 ? source.length : end;
+                tagPattern.lastIndex = last;
+            }
+        }
+        pushText(source.slice(last));
+        return tokens;
+    }
+}
+
+// Format readers: each converts file contents to a DocumentModel
+class DocumentConverter {
+    static markdownToDocument(markdown) {
+        const doc = new DocumentModel();
+        const lines = markdown
+            .replace(/\r\n?/g, '\n')
+            // Front matter
+            .replace(/^---\n[\s\S]*?\n---\n/, '')
+            .split('\n');
+        let paragraph = [];
+        let fence = null;
+
+        const inline = (line) => line
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+            .replace(/<(https?:\/\/[^>]+)>/g, '$1')
+            .replace(/<\/?[A-Za-z][^>]*>/g, '')
+            .replace(/`([^`]+)`/g, '$1')
+            .replace(/(\*\*|__)(.+?)\1/g, '$2')
+            .replace(/\*(\S(?:.*?\S)?)\*/g, '$1')
+            .replace(/(^|\W)_(\S(?:.*?\S)?)_(?=\W|$)/g, '$1$2')
+            .replace(/~~(.+?)~~/g, '$1')
+            .replace(/\\([\\`*_{}[\]()#+\-.!|>~])/g, '$1');
+
+        const flush = () => {
+            doc.addParagraph(paragraph.join(' '));
+            paragraph = [];
+        };
+
+        lines.forEach((line, idx) => {
+            // Fenced code blocks are kept as one paragraph
+            if (/^\s*(```|~~~)/.test(line)) {
+                if (fence) {
+                    doc.addParagraph(fence.join('\n'));
+                    fence = null;
+                } else {
+                    flush();
+                    fence = [];
+                }
+                return;
+            }
+            if (fence) {
+                fence.push(line);
+                return;
+            }
+
+            const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                flush();
+                doc.addHeading(inline(heading[2]), heading[1].length);
+                return;
+            }
+
+            // Setext headings: a line underlined with === or ---
+            const next = lines[idx + 1] || '';
+            if (line.trim() && paragraph.length === 0 && /^\s{0,3}(=+|-+)\s*$/.test(next) &&
+                !/^\s*([-*+]|\d+[.)])\s/.test(line)) {
+                doc.addHeading(inline(line.trim()), next.trim()[0] === '=' ? 1 : 2);
+                return;
+            }
+            if (/^\s{0,3}(=+|-+)\s*$/.test(line) && (lines[idx - 1] || '').trim()) return;
+
+            if (!line.trim()) {
+                flush();
+                return;
+            }
+
+            // Horizontal rules, link definitions and table separators carry no text
+            if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) return;
+            if (/^\s{0,3}\[[^\]]+\]:\s+\S+/.test(line)) return;
+            if (/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line) && line.includes('-') && line.includes('|')) return;
+
+            const listItem = line.match(/^\s*([-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?(.*)$/);
+            if (listItem) {
+                flush();
+                doc.addListItem(inline(listItem[3]), null, /\d/.test(listItem[1]));
+                return;
+            }
+
+            let text = line.replace(/^\s*(>\s?)+/, '');
+
+            // Table rows become comma-separated cells, one paragraph each
+            if (/^\s*\|.*\|\s*$/.test(text)) {
+                flush();
+                doc.addParagraph(inline(text.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()).join(', ')));
+                return;
+            }
+            paragraph.push(inline(text));
+        });
+        flush();
+        if (fence) doc.addParagraph(fence.join('\n'));
+
+        return doc;
+    }
+
+    static htmlToDocument(html, doc = new DocumentModel()) {
+        const tokens = MarkupTokenizer.tokenize(html);
+        let buffer = '';
+        let mode = 'paragraph';
+        let headingLevel = 0;
+        let preDepth = 0;
+        // The element that hid its contents and how deeply it is nested in itself; other
+        // tags are not counted, since <p> and <li> need not be closed
+        let hidden = null;
+        // Whether each enclosing list is an <ol>, innermost last
+        const lists = [];
+
+        // Emit the collected inline text as the current kind of block
+        const flush = () => {
+            const text = buffer.replace(/\s*,\s*$/, '');
+            if (mode === 'heading') doc.addHeading(text, headingLevel);
+            else if (mode === 'list') doc.addListItem(text, null, lists[lists.length - 1] || false);
+            else doc.addParagraph(text);
+            buffer = '';
+        };
+
+        tokens.forEach(token => {
+            if (token.type === 'text') {
+                if (hidden) return;
+                buffer += preDepth ? token.text : token.text.replace(/\s+/g, ' ');
+                return;
+            }
+
+            const attrs = token.attrs || {};
+            const isVoid = token.selfClosing || /^(br|img|hr|input|meta|link|wbr|col|source)$/.test(token.name);
+
+            if (token.type === 'open') {
+                const isHidden = !isVoid &&
+                    ('hidden' in attrs || /display\s*:\s*none/i.test(attrs.style || '') || attrs['aria-hidden'] === 'true');
+                if (hidden) {
+                    if (token.name === hidden.name) hidden.depth++;
+                    return;
+                }
+                if (isHidden) {
+                    hidden = { name: token.name, depth: 1 };
+                    return;
+                }
+
+                if (token.name === 'img' && attrs.alt) buffer += ` ${attrs.alt} `;
+                if (token.name === 'td' || token.name === 'th') buffer += ' ';
+                if (!MARKUP_BLOCK_TAGS.has(token.name)) return;
+
+                flush();
+                if (/^h[1-6]$/.test(token.name)) {
+                    mode = 'heading';
+                    headingLevel = parseInt(token.name[1], 10);
+                } else if (token.name === 'li') {
+                    mode = 'list';
+                } else if (token.name === 'ol' || token.name === 'ul') {
+                    lists.push(token.name === 'ol');
+                } else if (token.name === 'pre') {
+                    preDepth++;
+                }
+                return;
+            }
+
+            if (hidden) {
+                if (token.name === hidden.name && --hidden.depth === 0) hidden = null;
+                return;
+            }
+            if (token.name === 'td' || token.name === 'th') buffer += ',';
+            if (!MARKUP_BLOCK_TAGS.has(token.name)) return;
+
+            flush();
+            if (token.name === 'pre') preDepth = Math.max(0, preDepth - 1);
+            if (token.name === 'ol' || token.name === 'ul') lists.pop();
+            mode = 'paragraph';
+        });
+        flush();
+
+        return doc;
+    }
+
+    static parseCSV(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"' && field === '') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(field.trim());
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(field.trim());
+                if (row.some(cell => cell !== '')) rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        row.push(field.trim());
+        if (row.some(cell => cell !== '')) rows.push(row);
+        return rows;
+    }
+
+    static detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/)[0] || '';
+        const candidates = [',', ';', '\t', '|'];
+        return candidates
+            .map(d => ({ d, count: firstLine.split(d).length - 1 }))
+            .sort((a, b) => b.count - a.count)[0].d;
+    }
+
+    // Each row becomes a short paragraph: "The <column> of <first cell> is <value>."
+    static csvToDocument(text, delimiter = DocumentConverter.detectDelimiter(text)) {
+        const doc = new DocumentModel();
+        const rows = DocumentConverter.parseCSV(text, delimiter);
+        if (rows.length === 0) return doc;
+
+        const [header, ...body] = rows;
+        if (header.length === 1 || body.length === 0) {
+            rows.forEach(r => doc.addListItem(r.filter(Boolean).join(', ')));
+            return doc;
+        }
+
+        body.forEach(row => {
+            const subject = row[0] || 'this entry';
+            doc.addParagraph(header.slice(1)
+                .map((column, i) => {
+                    const value = row[i + 1];
+                    return value ? `The ${column || `column ${i + 2}`} of ${subject} is ${value}.` : '';
+                })
+                .filter(Boolean)
+                .join(' '));
+        });
+        return doc;
+    }
+
+    static humanizeKey(key) {
+        return String(key)
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .replace(/[_-]+/g, ' ')
+            .trim()
+            .toLowerCase();
+    }
+
+    static capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    // Nested values become sentences such as "The capital of France is Paris.";
+    // top-level keys holding objects or arrays become section headings
+    static jsonToDocument(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const doc = new DocumentModel();
+        const labelKeys = ['name', 'title', 'term', 'label', 'id'];
+        let sentences = [];
+
+        const describe = (attribute, subject, value) => {
+            const verb = Array.isArray(value) ? 'are' : 'is';
+            const rendered = Array.isArray(value) ? value.join(', ') : String(value);
+            const phrase = subject ? `the ${attribute} of ${subject}` : `the ${attribute}`;
+            sentences.push(`${DocumentConverter.capitalize(phrase)} ${verb} ${rendered}.`);
+        };
+
+        const walk = (value, attribute, subject) => {
+            if (value === null || value === undefined || value === '') return;
+
+            if (Array.isArray(value)) {
+                if (value.every(item => item === null || typeof item !== 'object')) {
+                    if (attribute) describe(attribute, subject, value.filter(v => v !== null));
+                    else sentences.push(value.join(', ') + '.');
+                    return;
+                }
+                value.forEach((item, i) => walk(item, attribute, subject ? `${subject} ${i + 1}` : `${attribute || 'item'} ${i + 1}`));
+                return;
+            }
+
+            if (typeof value === 'object') {
+                const labelKey = labelKeys.find(k => typeof value[k] === 'string' || typeof value[k] === 'number');
+                const label = labelKey ? String(value[labelKey]) : subject;
+                Object.entries(value).forEach(([key, child]) => {
+                    if (key === labelKey) return;
+                    const childSubject = label || (attribute ? attribute : '');
+                    walk(child, DocumentConverter.humanizeKey(key), childSubject);
+                });
+                return;
+            }
+
+            if (attribute) describe(attribute, subject, value);
+            else sentences.push(String(value));
+        };
+
+        const flush = () => {
+            if (sentences.length) doc.addParagraph(sentences.join(' '));
+            sentences = [];
+        };
+
+        if (data && typeof data === 'object' && !Array.isArray(data)) {
+            Object.entries(data).forEach(([key, value]) => {
+                if (value && typeof value === 'object') {
+                    flush();
+                    doc.addHeading(DocumentConverter.capitalize(DocumentConverter.humanizeKey(key)), 1);
+                    walk(value, DocumentConverter.humanizeKey(key), '');
+                    flush();
+                } else {
+                    walk(value, DocumentConverter.humanizeKey(key), '');
+                }
+            });
+        } else {
+            walk(data, '', '');
+        }
+        flush();
+
+        return doc;
+    }
+
+    static docxToDocument(zip) {
+        const tokens = MarkupTokenizer.tokenize(zip.readText('word/document.xml'), { skipRawText: false });
+        const doc = new DocumentModel();
+        let current = null;
+        let inText = false;
+        let headingLevel = 0;
+        let isListItem = false;
+
+        tokens.forEach(token => {
+            if (token.type === 'text') {
+                if (current !== null && inText) current += token.text;
+                return;
+            }
+
+            if (token.type === 'open') {
+                switch (token.name) {
+                    case 'w:p':
+                        current = token.selfClosing ? null : '';
+                        headingLevel = 0;
+                        isListItem = false;
+                        break;
+                    case 'w:pstyle': {
+                        // Word heading styles: Title, Subtitle, Heading1..Heading9
+                        const style = token.attrs['w:val'] || '';
+                        const heading = style.match(/^heading\s*(\d)/i);
+                        if (heading) headingLevel = parseInt(heading[1], 10);
+                        else if (/^title$/i.test(style)) headingLevel = 1;
+                        else if (/^subtitle$/i.test(style)) headingLevel = 2;
+                        else if (/^list/i.test(style)) isListItem = true;
+                        break;
+                    }
+                    case 'w:numpr':
+                        isListItem = true;
+                        break;
+                    case 'w:t':
+                        inText = !token.selfClosing;
+                        break;
+                    case 'w:tab':
+                        if (current !== null) current += ' ';
+                        break;
+                    case 'w:br':
+                    case 'w:cr':
+                        if (current !== null) current += ' ';
+                        break;
+                }
+            } else if (token.name === 'w:t') {
+                inText = false;
+            } else if (token.name === 'w:p' && current !== null) {
+                if (headingLevel) doc.addHeading(current, headingLevel);
+                else if (isListItem) doc.addListItem(current);
+                else doc.addParagraph(current);
+                current = null;
+            }
+        });
+
+        return doc;
+    }
+
+    static resolvePath(base, href) {
+        const parts = (base ? base.split('/').slice(0, -1) : []);
+        decodeURIComponent(href.split('#')[0]).split('/').forEach(part => {
+            if (part === '..') parts.pop();
+            else if (part && part !== '.') parts.push(part);
+        });
+        return parts.join('/');
+    }
+
+    static epubToDocument(zip) {
+        const container = MarkupTokenizer.tokenize(zip.readText('META-INF/container.xml'), { skipRawText: false });
+        const rootfile = container.find(t => t.type === 'open' && t.name === 'rootfile');
+        if (!rootfile || !rootfile.attrs['full-path']) throw new Error('EPUB has no package document');
+
+        const opfPath = rootfile.attrs['full-path'];
+        const opf = MarkupTokenizer.tokenize(zip.readText(opfPath), { skipRawText: false });
+        const manifest = {};
+        const spine = [];
+
+        opf.forEach(token => {
+            if (token.type !== 'open') return;
+            if (token.name === 'item' || token.name === 'opf:item') {
+                manifest[token.attrs.id] = token.attrs;
+            } else if (token.name === 'itemref' || token.name === 'opf:itemref') {
+                if (token.attrs.linear !== 'no') spine.push(token.attrs.idref);
+            }
+        });
+
+        // Chapters in reading order, all in one document
+        const doc = new DocumentModel();
+        spine
+            .map(id => manifest[id])
+            .filter(item => item && /html|xml/.test(item['media-type'] || ''))
+            .forEach(item => {
+                const path = DocumentConverter.resolvePath(opfPath, item.href);
+                if (zip.has(path)) DocumentConverter.htmlToDocument(zip.readText(path), doc);
+            });
+        return doc;
+    }
+
+    // Lines set in a larger font than the body text become headings
+    static pdfPagesToDocument(pages) {
+        const doc = new DocumentModel();
+        const sizeWeights = new Map();
+        pages.forEach(page => page.lines.forEach(line => {
+            sizeWeights.set(line.fontSize, (sizeWeights.get(line.fontSize) || 0) + line.text.length);
+        }));
+
+        const bodySize = [...sizeWeights.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+        const headingSizes = [...sizeWeights.keys()]
+            .filter(size => size >= bodySize * 1.15)
+            .sort((a, b) => b - a);
+
+        pages.forEach(page => {
+            const lengths = page.lines.map(line => line.text.length).sort((a, b) => a - b);
+            const typicalLength = lengths[Math.floor(lengths.length * 0.75)] || 0;
+            let paragraph = [];
+            let lastWasHeading = false;
+
+            const flush = () => {
+                if (paragraph.length) {
+                    doc.addParagraph(paragraph.join(' ').replace(/(\p{Ll})- (\p{Ll})/gu, '$1$2'), page.number);
+                }
+                paragraph = [];
+            };
+
+            page.lines.forEach(line => {
+                const text = line.text.trim();
+                // Bare page numbers carry no content
+                if (/^\d{1,4}$/.test(text)) return;
+
+                const isHeading = headingSizes.includes(line.fontSize) &&
+                    text.length <= 120 && text.split(/\s+/).length <= 15 && /\p{L}/u.test(text);
+
+                if (isHeading) {
+                    flush();
+                    const level = Math.min(headingSizes.indexOf(line.fontSize) + 1, 3);
+                    const last = doc.sections[doc.sections.length - 1];
+                    // Headings wrapped over several lines continue the same section
+                    if (lastWasHeading && last && last.level === level && last.page === page.number) {
+                        last.heading += ' ' + text;
+                    } else {
+                        doc.addHeading(text, level, page.number);
+                    }
+                    lastWasHeading = true;
+                    return;
+                }
+                lastWasHeading = false;
+
+                const bullet = text.match(/^[•▪◦‣∙·●○■□–-]\s+(.+)$/);
+                if (bullet) {
+                    flush();
+                    doc.addListItem(bullet[1], page.number);
+                    return;
+                }
+
+                paragraph.push(text);
+                // A short line ending a sentence usually closes its paragraph
+                if (/[.!?:]["”’)]?$/.test(text) && text.length < typicalLength * 0.7) flush();
+            });
+            flush();
+        });
+
+        return doc;
+    }
+}
+
+// Files are read a slice at a time so large ones report progress as they load
+const EXTRACT_CHUNK_SIZE = 1024 * 1024;
+
+async function readFileChunks(file, onChunk, onProgress = () => {}) {
+    for (let start = 0; start < file.size; start += EXTRACT_CHUNK_SIZE) {
+        const end = Math.min(start + EXTRACT_CHUNK_SIZE, file.size);
+        onChunk(new Uint8Array(await file.slice(start, end).arrayBuffer()), start);
+        onProgress(`Reading... ${Math.round(end / file.size * 100)}%`, end / file.size);
+    }
+}
+
+async function readFileBytes(file, onProgress) {
+    const bytes = new Uint8Array(file.size);
+    await readFileChunks(file, (chunk, start) => bytes.set(chunk, start), onProgress);
+    return bytes;
+}
+
+// UTF-8 text; the decoder carries characters split across chunk boundaries
+async function readFileText(file, onProgress) {
+    const decoder = new TextDecoder();
+    const parts = [];
+    await readFileChunks(file, chunk => parts.push(decoder.decode(chunk, { stream: true })), onProgress);
+    parts.push(decoder.decode());
+    return parts.join('');
+}
+
+// PDF Text Extraction (100% Original - No External Library)
+async function extractPDFDocument(file, onProgress = () => {}) {
+    const uint8Array = await readFileBytes(file, onProgress);
+
+    try {
+        // Method 1: Parse the document structure (xref, page tree, content streams)
+        try {
+            const pages = new PDFParser(uint8Array).extractPages((page, total) => {
+                onProgress(`Parsing page ${page} of ${total}...`, page / total);
+            });
+            const doc = DocumentConverter.pdfPagesToDocument(pages);
+            if (doc.toText().replace(/--- Page \d+ ---/g, '').trim().length >= 50) return doc;
+        } catch (parseError) {
+            console.warn('PDF parsing failed, falling back to raw scan:', parseError);
+        }
+
+        // Method 2: Scan the raw bytes for uncompressed text
+        const extractedText = TextProcessor.cleanPDFText(scanPDFTextRaw(uint8Array));
+
+        if (extractedText.length < 50) {
+            return DocumentModel.fromText('PDF extraction was limited. Please copy and paste your text directly for better results.');
+        }
+        return DocumentModel.fromText(extractedText);
+    } catch (error) {
+        throw new Error('Could not read PDF. Please copy text and paste directly.');
+    }
+}
+
+// Raw byte scan for PDFs the parser cannot read (damaged or uncompressed files)
+function scanPDFTextRaw(uint8Array) {
+    const binaryText = bytesToBinaryString(uint8Array);
+
+    // Extract text between stream markers (basic PDF structure)
+    let extractedText = '';
+
+    // Find text between BT and ET markers (BeginText/EndText)
+    const btPattern = /BT\s+(.*?)\s+ET/gs;
+    let matches = binaryText.matchAll(btPattern);
+
+    for (const match of matches) {
+        let content = match[1];
+        // Extract text from Tj and TJ commands
+        const textMatches = content.match(/\((.*?)\)/g);
+        if (textMatches) {
+            textMatches.forEach(tm => {
+                const text = tm.slice(1, -1); // Remove parentheses
+                extractedText += text + ' ';
+            });
+        }
+    }
+
+    // Look for readable text in the entire file
+    if (extractedText.length < 100) {
+        // Fallback: extract any readable ASCII text
+        const readablePattern = /[A-Za-z]{3,}(?:\s+[A-Za-z]{3,})*/g;
+        const readableMatches = binaryText.match(readablePattern);
+        if (readableMatches) {
+            extractedText = readableMatches.join(' ');
+        }
+    }
+
+    // Clean up escape sequences and PDF artifacts
+    return extractedText
+        .replace(/\\n/g, ' ')
+        .replace(/\\r/g, ' ')
+        .replace(/\\t/g, ' ')
+        .replace(/\\/g, '')
+        .replace(/\(/g, '')
+        .replace(/\)/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Built-in extractors
+const extractorRegistry = new ExtractorRegistry();
+
+extractorRegistry
+    .register({
+        name: 'PDF',
+        extensions: ['pdf'],
+        mimeTypes: ['application/pdf'],
+        extract: extractPDFDocument
+    })
+    .register({
+        name: 'Markdown',
+        extensions: ['md', 'markdown', 'mdown', 'mkd'],
+        mimeTypes: ['text/markdown', 'text/x-markdown'],
+        extract: async (file, onProgress) => DocumentConverter.markdownToDocument(await readFileText(file, onProgress))
+    })
+    .register({
+        name: 'HTML',
+        extensions: ['html', 'htm', 'xhtml'],
+        mimeTypes: ['text/html', 'application/xhtml+xml'],
+        extract: async (file, onProgress) => DocumentConverter.htmlToDocument(await readFileText(file, onProgress))
+    })
+    .register({
+        name: 'CSV',
+        extensions: ['csv', 'tsv'],
+        mimeTypes: ['text/csv', 'text/tab-separated-values'],
+        extract: async (file, onProgress) => {
+            const text = await readFileText(file, onProgress);
+            return file.name.toLowerCase().endsWith('.tsv')
+                ? DocumentConverter.csvToDocument(text, '\t')
+                : DocumentConverter.csvToDocument(text);
+        }
+    })
+    .register({
+        name: 'JSON',
+        extensions: ['json'],
+        mimeTypes: ['application/json'],
+        extract: async (file, onProgress) => DocumentConverter.jsonToDocument(await readFileText(file, onProgress))
+    })
+    .register({
+        name: 'DOCX',
+        extensions: ['docx'],
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+        extract: async (file, onProgress) => DocumentConverter.docxToDocument(new ZipReader(await readFileBytes(file, onProgress)))
+    })
+    .register({
+        name: 'EPUB',
+        extensions: ['epub'],
+        mimeTypes: ['application/epub+zip'],
+        extract: async (file, onProgress) => DocumentConverter.epubToDocument(new ZipReader(await readFileBytes(file, onProgress)))
+    })
+    .register({
+        name: 'TXT',
+        extensions: ['txt', 'text', 'log'],
+        mimeTypes: ['text/*'],
+        extract: async (file, onProgress) => DocumentModel.fromText(await readFileText(file, onProgress))
+    });
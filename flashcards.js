@@ -0,0 +1,174 @@
+// flashcards.js - Flashcards with SM-2 Spaced Repetition
+// Cards come from a study set's key terms, key points and quiz questions. Each review
+// (Again/Hard/Good/Easy) updates the card's ease, interval and next due date.
+
+const FLASHCARD_DAY = 24 * 60 * 60 * 1000;
+const FLASHCARD_MIN_EASE = 1.3;
+const FLASHCARD_START_EASE = 2.5;
+// Cards answered "Again" come back within the same session
+const FLASHCARD_RELEARN_DELAY = 10 * 60 * 1000;
+const FLASHCARD_RATINGS = ['again', 'hard', 'good', 'easy'];
+
+class FlashcardScheduler {
+    static initialState(cardId) {
+        return { cardId, ease: FLASHCARD_START_EASE, interval: 0, repetitions: 0, lapses: 0, due: 0, introduced: null, lastReviewed: null };
+    }
+
+    // SM-2 with four answer buttons (interval in days)
+    static review(state, rating, now = Date.now()) {
+        const next = { ...state, introduced: state.introduced || now, lastReviewed: now };
+
+        if (rating === 'again') {
+            next.repetitions = 0;
+            next.lapses = state.lapses + 1;
+            next.interval = 0;
+            next.ease = Math.max(FLASHCARD_MIN_EASE, state.ease - 0.2);
+            next.due = now + FLASHCARD_RELEARN_DELAY;
+            return next;
+        }
+
+        if (rating === 'hard') {
+            next.interval = state.repetitions === 0 ? 1 : Math.max(state.interval + 1, Math.round(state.interval * 1.2));
+            next.ease = Math.max(FLASHCARD_MIN_EASE, state.ease - 0.15);
+        } else if (rating === 'good') {
+            if (state.repetitions === 0) next.interval = 1;
+            else if (state.repetitions === 1) next.interval = 6;
+            else next.interval = Math.round(state.interval * state.ease);
+        } else if (rating === 'easy') {
+            if (state.repetitions === 0) next.interval = 4;
+            else next.interval = Math.round(Math.max(state.interval, 1) * state.ease * 1.3);
+            next.ease = state.ease + 0.15;
+        } else {
+            throw new Error(`Unknown rating: ${rating}`);
+        }
+
+        next.repetitions = state.repetitions + 1;
+        next.due = now + next.interval * FLASHCARD_DAY;
+        return next;
+    }
+
+    // Short label for the interval a rating would give, e.g. "10m", "1d", "3mo"
+    static previewLabel(state, rating, now = Date.now()) {
+        const ms = FlashcardScheduler.review(state, rating, now).due - now;
+        const days = ms / FLASHCARD_DAY;
+        if (days < 1) return `${Math.round(ms / 60000)}m`;
+        if (days < 30) return `${Math.round(days)}d`;
+        if (days < 365) return `${Math.round(days / 30)}mo`;
+        return `${(days / 365).toFixed(1)}y`;
+    }
+}
+
+class FlashcardDeck {
+    // Ids come from the card's content, not its study set, so a term learned from one
+    // document keeps its schedule when another set (or a regenerated one) has it too
+    static cardId(kind, front) {
+        return `${kind}:${SeededRandom.hash(front.toLowerCase().replace(/\s+/g, ' ')).toString(36)}`;
+    }
+
+    // [{ id, setId, setTitle, kind, front, back }]
+    static fromStudySet(studySet) {
+        const cards = [];
+        const add = (kind, front, back) => {
+            if (!front || !back) return;
+            const id = FlashcardDeck.cardId(kind, front);
+            if (cards.some(card => card.id === id)) return;
+            cards.push({ id, setId: studySet.id, setTitle: studySet.title, kind, front, back });
+        };
+
+        // Terms: the term on the front, the sentence that defines (or uses) it on the back
+        studySet.notes.keyTerms.forEach(({ term, definition, occurrences }) => {
+            const sentence = definition || occurrences[0];
+            if (sentence) add('term', term, sentence.text);
+        });
+
+        // Key points: the sentence with its most important word blanked out
+        const terms = studySet.notes.keyTerms.map(keyTerm => keyTerm.term);
+        studySet.notes.outline.forEach(section => {
+            section.points.forEach(point => {
+                add('point', FlashcardDeck.blankOut(point.text, terms), point.text);
+            });
+        });
+
+        studySet.quiz.forEach(question => {
+            add('question', FlashcardDeck.questionFront(question), FlashcardDeck.questionBack(question));
+        });
+
+        return cards;
+    }
+
+    static blankOut(text, terms) {
+        const term = terms
+            .filter(candidate => KeyTermExtractor.termPattern(candidate.toLowerCase()).test(text))
+            .sort((a, b) => b.length - a.length)[0];
+        if (term) return text.replace(KeyTermExtractor.termPattern(term.toLowerCase()), '______');
+
+        const longest = (text.match(/\p{L}[\p{L}\p{M}]{4,}/gu) || []).sort((a, b) => b.length - a.length)[0];
+        return longest ? text.replace(new RegExp(Language.wholeWord(Language.escape(longest), longest), 'u'), '______') : null;
+    }
+
+    static questionFront(question) {
+        if (question.type === 'truefalse') return `True or false: ${question.question}`;
+        if (question.type === 'mcq' || question.type === 'ordering') {
+            return `${question.question}\n${question.options.map(option => `• ${option}`).join('\n')}`;
+        }
+        if (question.type === 'matching') return `${question.question}\n${question.pairs.map(pair => `• ${pair.term}`).join('\n')}`;
+        return question.question;
+    }
+
+    static questionBack(question) {
+        if (question.type === 'truefalse') {
+            return question.correctAnswer === 'false'
+                ? `False. ${question.original || ''}`.trim()
+                : 'True';
+        }
+        if (question.type === 'matching') return question.pairs.map(pair => `${pair.term}: ${pair.definition}`).join('\n');
+        if (question.type === 'ordering') return question.items.map((item, idx) => `${idx + 1}. ${item}`).join('\n');
+        if (question.unit) return `${question.correctAnswer} ${question.unit}`;
+        return question.correctAnswer;
+    }
+
+    // Cards due by the end of today across every study set: reviews first (most overdue
+    // first), then up to `newLimit` new cards a day; sets take turns so they are mixed
+    static dueQueue(cards, reviews, now = Date.now(), newLimit = 20) {
+        const endOfDay = new Date(now);
+        endOfDay.setHours(23, 59, 59, 999);
+        const startOfDay = new Date(now);
+        startOfDay.setHours(0, 0, 0, 0);
+        const introducedToday = [...reviews.values()]
+            .filter(state => state.introduced >= startOfDay.getTime()).length;
+
+        const due = [];
+        const fresh = [];
+        const seen = new Set();
+        cards.forEach(card => {
+            if (seen.has(card.id)) return;
+            seen.add(card.id);
+            const review = reviews.get(card.id);
+            if (!review) fresh.push({ card, state: FlashcardScheduler.initialState(card.id) });
+            else if (review.due <= endOfDay.getTime()) due.push({ card, state: review });
+        });
+        due.sort((a, b) => a.state.due - b.state.due);
+
+        return [
+            ...FlashcardDeck.interleave(due),
+            ...FlashcardDeck.interleave(fresh).slice(0, Math.max(0, newLimit - introducedToday))
+        ];
+    }
+
+    static interleave(entries) {
+        const bySet = new Map();
+        entries.forEach(entry => {
+            if (!bySet.has(entry.card.setId)) bySet.set(entry.card.setId, []);
+            bySet.get(entry.card.setId).push(entry);
+        });
+
+        const queues = [...bySet.values()];
+        const mixed = [];
+        while (queues.some(queue => queue.length > 0)) {
+            queues.forEach(queue => {
+                if (queue.length > 0) mixed.push(queue.shift());
+            });
+        }
+        return mixed;
+    }
+}
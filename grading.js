@@ -0,0 +1,218 @@
+// grading.js - Typed Answer Grading
+// Fill-in-the-blank answers are compared word by word: exact after normalization, or a
+// close match (singular/plural, same stem, or a typo within a length-scaled edit distance
+// that does not change the word's prefix).
+// Numbers must match exactly. Questions may list extra accepted answers in `alternatives`.
+// Numeric questions take any number within `tolerance` (by default the precision the answer
+// is written to), with or without a unit and in forms such as "3 x 10^8" or "6.02e23".
+// Cloze blanks are each graded as a fill-in-the-blank answer; short answers by how many of
+// the question's keywords they use.
+
+const GRADING_ARTICLES = /^(?:the|an?)\s+/;
+
+// Longest word allowed no typos, one; longer words allow two. The longer of the typed and the
+// expected word counts, so "colour" and "color" match either way round. Kept low so that
+// different terms ("mitosis", "meiosis", "heart", "heat") are not confused
+const GRADING_TOLERANCE_LENGTHS = [5, 12];
+
+// Typos confined to a word's first letters, with at least as many unchanged letters after
+// them, are a different prefix ("hypertonic", "hypotonic"; "inflation", "deflation")
+const GRADING_PREFIX_LETTERS = 5;
+
+// Plural endings and the singular endings they come from, irregular Latin and Greek ones first
+const GRADING_PLURALS = [
+    ['ices', 'ex'], ['ices', 'ix'], ['ia', 'ion'], ['ia', 'ium'], ['a', 'on'], ['a', 'um'],
+    ['ae', 'a'], ['i', 'us'], ['es', 'is'], ['ies', 'y'], ['ves', 'f'], ['ves', 'fe'],
+    ['es', ''], ['s', '']
+];
+
+// Share of a short answer's keywords needed for it to count as correct
+const GRADING_KEYWORD_SHARE = 0.6;
+
+const GRADING_SUFFIXES = ['ization', 'isation', 'ational', 'ation', 'ness', 'ment', 'ing', 'ed', 'er', 'ly', 'es', 's'];
+
+class AnswerGrader {
+    // Lowercase words and numbers; hyphens and slashes separate words, thousands separators go,
+    // and a minus sign before a number stays ("-5")
+    static normalize(text) {
+        return String(text)
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/(\d),(?=\d{3}\b)/g, '$1')
+            .replace(/(^|\s)[-\u2212](?=\.?\d)/g, '$1\u2212')
+            .replace(/[-\u2010-\u2015_/]+/g, ' ')
+            .replace(/\.(?!\d)/g, ' ')
+            .replace(/[^\p{L}\p{M}\p{N}.\s\u2212]/gu, '')
+            .replace(/\u2212/g, '-')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .replace(GRADING_ARTICLES, '');
+    }
+
+    static tolerance(length) {
+        const idx = GRADING_TOLERANCE_LENGTHS.findIndex(limit => length <= limit);
+        return idx < 0 ? GRADING_TOLERANCE_LENGTHS.length : idx;
+    }
+
+    // Levenshtein distance where swapping two neighbouring letters ("protien") counts as one
+    // edit; gives up (max + 1) once it exceeds max
+    static levenshtein(a, b, max = Infinity) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        let beforePrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            beforePrevious = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // The word itself plus every singular it could be the plural of
+    static singulars(word) {
+        const forms = new Set([word]);
+        GRADING_PLURALS.forEach(([plural, singular]) => {
+            if (word.endsWith(plural) && word.length - plural.length >= 3) {
+                forms.add(word.slice(0, -plural.length) + singular);
+            }
+        });
+        return forms;
+    }
+
+    // Whether a word reads as a plural: it has a plural ending longer than any singular ending
+    // it also has ("bacteria" but not "formula", "osmosis" or "nucleus"), and a word in "-ss"
+    // is not the plural of one in "-s"
+    static isPlural(word) {
+        const singularEnding = Math.max(0, ...GRADING_PLURALS.map(([, singular]) =>
+            singular && word.endsWith(singular) ? singular.length : 0));
+        return GRADING_PLURALS.some(([plural]) =>
+            word.endsWith(plural) && word.length - plural.length >= 3 && plural.length > singularEnding) &&
+            !word.endsWith('ss');
+    }
+
+    static stem(word) {
+        const suffix = GRADING_SUFFIXES.find(ending => word.endsWith(ending) && word.length - ending.length >= 4);
+        return suffix ? word.slice(0, -suffix.length) : word;
+    }
+
+    // Whether two words differ only in their first letters, ahead of a shared ending
+    static changesPrefix(typed, expected) {
+        let end = 0;
+        while (end < typed.length && end < expected.length &&
+            typed[typed.length - 1 - end] === expected[expected.length - 1 - end]) end++;
+        return end >= GRADING_PREFIX_LETTERS && expected.length - end <= GRADING_PREFIX_LETTERS;
+    }
+
+    // 'exact', 'close' or null
+    static compareWords(typed, expected) {
+        if (typed === expected) return 'exact';
+
+        const isNumber = word => /^-?(?:\d+(?:\.\d+)?|\.\d+)$/.test(word);
+        if (isNumber(typed) || isNumber(expected)) {
+            return isNumber(typed) && isNumber(expected) && Number(typed) === Number(expected) ? 'exact' : null;
+        }
+        if (/\d/.test(typed) || /\d/.test(expected)) return null;
+
+        const typedForms = AnswerGrader.singulars(typed);
+        if ([...AnswerGrader.singulars(expected)].some(form => typedForms.has(form))) return 'close';
+        if (AnswerGrader.stem(typed) === AnswerGrader.stem(expected)) return 'close';
+
+        const max = AnswerGrader.tolerance(Math.max(typed.length, expected.length));
+        return max > 0 && AnswerGrader.levenshtein(typed, expected, max) <= max &&
+            !AnswerGrader.changesPrefix(typed, expected) ? 'close' : null;
+    }
+
+    // 'exact', 'close' or null for a whole answer against one accepted answer
+    static compare(answer, expected) {
+        const typed = AnswerGrader.normalize(answer);
+        const target = AnswerGrader.normalize(expected);
+        if (!typed || !target) return null;
+        if (typed === target || typed.replace(/ /g, '') === target.replace(/ /g, '')) return 'exact';
+
+        const typedWords = typed.split(' ');
+        const targetWords = target.split(' ');
+        if (typedWords.length !== targetWords.length) {
+            // "x ray" for "xray": compare without the spaces
+            return typedWords.length > 1 || targetWords.length > 1
+                ? AnswerGrader.compareWords(typed.replace(/ /g, ''), target.replace(/ /g, ''))
+                : null;
+        }
+
+        const results = typedWords.map((word, idx) => AnswerGrader.compareWords(word, targetWords[idx]));
+        if (results.includes(null)) return null;
+        return results.every(result => result === 'exact') ? 'exact' : 'close';
+    }
+
+    // { correct, close, matched }: exact when the values are equal, close when within tolerance
+    static gradeNumber(question, answer) {
+        const typed = MathText.parseNumber(answer);
+        const expected = MathText.parseNumber(question.correctAnswer);
+        if (typed === null || expected === null) return { correct: false, close: false, matched: null };
+
+        const tolerance = question.tolerance ?? MathText.precision(question.correctAnswer);
+        const difference = Math.abs(typed - expected);
+        // Room for floating point error, e.g. 0.1 + 0.2
+        const epsilon = Math.abs(expected) * 1e-9;
+        if (difference <= epsilon) return { correct: true, close: false, matched: question.correctAnswer };
+        if (difference <= tolerance + epsilon) return { correct: true, close: true, matched: question.correctAnswer };
+        return { correct: false, close: false, matched: null };
+    }
+
+    // { correct, close, matched, blanks }: correct when every blank is, with blanks holding
+    // each one's result; answers are the typed blanks in order
+    static gradeCloze(question, answers) {
+        const blanks = question.answers.map((expected, idx) =>
+            AnswerGrader.grade({ type: 'fillblank', correctAnswer: expected }, answers[idx] ?? ''));
+        const correct = blanks.every(blank => blank.correct);
+        return {
+            correct,
+            close: correct && blanks.some(blank => blank.close),
+            matched: correct ? question.correctAnswer : null,
+            blanks
+        };
+    }
+
+    // { correct, close, matched, found, missing }: keywords are matched like typed words
+    // (plurals, stems, small typos) and whole in scripts without spaces; an answer using
+    // enough of them is correct, and close when some are missing
+    static gradeShortAnswer(question, answer) {
+        const typed = AnswerGrader.normalize(answer);
+        const words = typed.split(' ');
+        const uses = keyword => {
+            const target = AnswerGrader.normalize(keyword);
+            if (LANGUAGE_UNSPACED.test(target)) return typed.includes(target);
+            return words.some(word => AnswerGrader.compareWords(word, target) !== null);
+        };
+        const found = question.keywords.filter(uses);
+        const missing = question.keywords.filter(keyword => !found.includes(keyword));
+        const correct = typed !== '' && found.length >= Math.ceil(question.keywords.length * GRADING_KEYWORD_SHARE);
+        return { correct, close: correct && missing.length > 0, matched: correct ? question.correctAnswer : null, found, missing };
+    }
+
+    // { correct, close, matched } for a typed answer to a question; a cloze question takes
+    // an array of answers
+    static grade(question, answer) {
+        if (question.type === 'numeric') return AnswerGrader.gradeNumber(question, answer);
+        if (question.type === 'cloze') return AnswerGrader.gradeCloze(question, answer);
+        if (question.type === 'shortanswer') return AnswerGrader.gradeShortAnswer(question, answer);
+        const accepted = [question.correctAnswer, ...(question.alternatives || [])];
+        let best = { correct: false, close: false, matched: null };
+        for (const expected of accepted) {
+            const result = AnswerGrader.compare(answer, expected);
+            if (result === 'exact') return { correct: true, close: false, matched: expected };
+            if (result === 'close' && !best.correct) best = { correct: true, close: true, matched: expected };
+        }
+        return best;
+    }
+}
@@ -0,0 +1,222 @@
+// inflate.js - DEFLATE Decompression (RFC 1950 / RFC 1951, No External Dependencies)
+// Used for FlateDecode PDF streams and compressed ZIP entries
+
+const INFLATE_LENGTH_BASE = [
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+    35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+];
+const INFLATE_LENGTH_EXTRA = [
+    0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+    3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+];
+const INFLATE_DIST_BASE = [
+    1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+    257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+];
+const INFLATE_DIST_EXTRA = [
+    0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+    7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+];
+const INFLATE_CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+class Inflate {
+    // Decompress zlib-wrapped data (falls back to raw deflate when there is no header)
+    static inflate(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const hasHeader = bytes.length > 2 &&
+            (bytes[0] & 0x0f) === 8 &&
+            ((bytes[0] << 8) | bytes[1]) % 31 === 0;
+        return Inflate.inflateRaw(bytes, hasHeader ? 2 : 0);
+    }
+
+    // Decompress a raw deflate stream starting at `start`
+    static inflateRaw(data, start = 0) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const state = {
+            bytes,
+            pos: start,
+            bitBuf: 0,
+            bitCount: 0,
+            out: new Uint8Array(Math.max(1024, bytes.length * 4)),
+            outLen: 0
+        };
+
+        try {
+            let last = 0;
+            while (!last) {
+                last = Inflate.bits(state, 1);
+                const type = Inflate.bits(state, 2);
+
+                if (type === 0) Inflate.stored(state);
+                else if (type === 1) Inflate.codes(state, Inflate.fixedTables());
+                else if (type === 2) Inflate.codes(state, Inflate.dynamicTables(state));
+                else throw new Error('Invalid deflate block type');
+            }
+        } catch (error) {
+            // Truncated or damaged streams are common in PDFs - keep what was decoded
+            if (state.outLen === 0) throw error;
+        }
+
+        return state.out.subarray(0, state.outLen);
+    }
+
+    static bits(state, count) {
+        let value = state.bitBuf;
+        while (state.bitCount < count) {
+            if (state.pos >= state.bytes.length) {
+                throw new Error('Unexpected end of deflate data');
+            }
+            value |= state.bytes[state.pos++] << state.bitCount;
+            state.bitCount += 8;
+        }
+        state.bitBuf = value >>> count;
+        state.bitCount -= count;
+        return value & ((1 << count) - 1);
+    }
+
+    static ensureCapacity(state, extra) {
+        if (state.outLen + extra <= state.out.length) return;
+        let size = state.out.length * 2;
+        while (size < state.outLen + extra) size *= 2;
+        const grown = new Uint8Array(size);
+        grown.set(state.out.subarray(0, state.outLen));
+        state.out = grown;
+    }
+
+    static stored(state) {
+        // Stored blocks start on a byte boundary
+        state.bitBuf = 0;
+        state.bitCount = 0;
+
+        const { bytes } = state;
+        if (state.pos + 4 > bytes.length) throw new Error('Unexpected end of deflate data');
+        const length = bytes[state.pos] | (bytes[state.pos + 1] << 8);
+        const check = bytes[state.pos + 2] | (bytes[state.pos + 3] << 8);
+        if (length !== (~check & 0xffff)) throw new Error('Invalid stored block length');
+        state.pos += 4;
+
+        const available = Math.min(length, bytes.length - state.pos);
+        Inflate.ensureCapacity(state, available);
+        state.out.set(bytes.subarray(state.pos, state.pos + available), state.outLen);
+        state.outLen += available;
+        state.pos += available;
+        if (available < length) throw new Error('Unexpected end of deflate data');
+    }
+
+    // Canonical Huffman table: number of codes per length plus symbols in code order
+    static buildHuffman(lengths) {
+        const counts = new Uint16Array(16);
+        const symbols = new Uint16Array(lengths.length);
+        const offsets = new Uint16Array(16);
+
+        for (const length of lengths) counts[length]++;
+        counts[0] = 0;
+        for (let len = 1; len < 16; len++) {
+            offsets[len] = offsets[len - 1] + counts[len - 1];
+        }
+        lengths.forEach((length, symbol) => {
+            if (length) symbols[offsets[length]++] = symbol;
+        });
+
+        return { counts, symbols };
+    }
+
+    static decodeSymbol(state, table) {
+        let code = 0;
+        let first = 0;
+        let index = 0;
+
+        for (let len = 1; len < 16; len++) {
+            code |= Inflate.bits(state, 1);
+            const count = table.counts[len];
+            if (code - first < count) return table.symbols[index + code - first];
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+        throw new Error('Invalid Huffman code');
+    }
+
+    static fixedTables() {
+        if (!Inflate.fixed) {
+            const lengths = new Array(288);
+            lengths.fill(8, 0, 144);
+            lengths.fill(9, 144, 256);
+            lengths.fill(7, 256, 280);
+            lengths.fill(8, 280, 288);
+            Inflate.fixed = {
+                lengthTable: Inflate.buildHuffman(lengths),
+                distTable: Inflate.buildHuffman(new Array(30).fill(5))
+            };
+        }
+        return Inflate.fixed;
+    }
+
+    static dynamicTables(state) {
+        const literalCount = Inflate.bits(state, 5) + 257;
+        const distCount = Inflate.bits(state, 5) + 1;
+        const codeCount = Inflate.bits(state, 4) + 4;
+
+        const codeLengths = new Array(19).fill(0);
+        for (let i = 0; i < codeCount; i++) {
+            codeLengths[INFLATE_CODE_LENGTH_ORDER[i]] = Inflate.bits(state, 3);
+        }
+        const codeTable = Inflate.buildHuffman(codeLengths);
+
+        const lengths = [];
+        while (lengths.length < literalCount + distCount) {
+            const symbol = Inflate.decodeSymbol(state, codeTable);
+            if (symbol < 16) {
+                lengths.push(symbol);
+                continue;
+            }
+
+            let repeat;
+            let value = 0;
+            if (symbol === 16) {
+                if (lengths.length === 0) throw new Error('Repeat with no previous length');
+                value = lengths[lengths.length - 1];
+                repeat = 3 + Inflate.bits(state, 2);
+            } else if (symbol === 17) {
+                repeat = 3 + Inflate.bits(state, 3);
+            } else {
+                repeat = 11 + Inflate.bits(state, 7);
+            }
+            for (let i = 0; i < repeat; i++) lengths.push(value);
+        }
+
+        return {
+            lengthTable: Inflate.buildHuffman(lengths.slice(0, literalCount)),
+            distTable: Inflate.buildHuffman(lengths.slice(literalCount, literalCount + distCount))
+        };
+    }
+
+    static codes(state, { lengthTable, distTable }) {
+        for (;;) {
+            let symbol = Inflate.decodeSymbol(state, lengthTable);
+
+            if (symbol < 256) {
+                Inflate.ensureCapacity(state, 1);
+                state.out[state.outLen++] = symbol;
+                continue;
+            }
+            if (symbol === 256) return;
+
+            symbol -= 257;
+            if (symbol >= 29) throw new Error('Invalid length symbol');
+            const length = INFLATE_LENGTH_BASE[symbol] + Inflate.bits(state, INFLATE_LENGTH_EXTRA[symbol]);
+
+            const distSymbol = Inflate.decodeSymbol(state, distTable);
+            if (distSymbol >= 30) throw new Error('Invalid distance symbol');
+            const distance = INFLATE_DIST_BASE[distSymbol] + Inflate.bits(state, INFLATE_DIST_EXTRA[distSymbol]);
+            if (distance > state.outLen) throw new Error('Distance too far back');
+
+            Inflate.ensureCapacity(state, length);
+            const out = state.out;
+            let from = state.outLen - distance;
+            for (let i = 0; i < length; i++) {
+                out[state.outLen++] = out[from++];
+            }
+        }
+    }
+}
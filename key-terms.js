@@ -0,0 +1,215 @@
+// key-terms.js - Key Term Extraction (RAKE-style Phrases, No External Dependencies)
+// Candidate terms are runs of content words between stop words and punctuation, so
+// lowercase terms ("photosynthesis"), phrases ("operating system") and acronyms ("DNA")
+// are all found. Each term keeps its defining sentence and where else it appears.
+// In scripts without spaces (Chinese, Japanese) each segmented word is a candidate.
+
+// English words that end a candidate phrase besides the common stop words
+const KEY_TERM_BREAK_WORDS = new Set([
+    'about', 'after', 'again', 'against', 'although', 'among', 'around', 'because', 'before',
+    'between', 'both', 'called', 'certain', 'different', 'down', 'during', 'either', 'etc',
+    'even', 'example', 'first', 'further', 'her', 'here', 'him', 'his', 'however', 'include',
+    'included', 'includes', 'including', 'known', 'like', 'made', 'make', 'makes', 'many',
+    'much', 'neither', 'nor', 'now', 'often', 'one', 'only', 'our', 'out', 'over', 'own',
+    'same', 'second', 'several', 'since', 'still', 'therefore', 'though', 'three', 'through',
+    'thus', 'too', 'two', 'under', 'until', 'upon', 'usually', 'various', 'via', 'well',
+    'whether', 'while', 'whose', 'why', 'within', 'without', 'yet', 'your', 'new', 'just',
+    'way', 'ways', 'part', 'kind', 'number', 'per', 'onto', 'off', 'able', 'inside', 'outside'
+]);
+
+// Terms end in a noun; these English endings almost always mark adverbs and adjectives
+const KEY_TERM_NON_NOUN_ENDING = /(?:ly|ous|ful|ive|ible|able)$/i;
+
+// Longest run kept as a phrase, and longest term taken from inside a run
+const KEY_TERM_MAX_WORDS = 4;
+const KEY_TERM_MAX_NGRAM = 3;
+
+class KeyTermExtractor {
+    // sentences: [{ text, ... }] in document order; language: a code from LANGUAGES
+    constructor(sentences, language = 'en') {
+        this.sentences = sentences;
+        this.language = language;
+    }
+
+    static escape(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    static isAcronym(word) {
+        return /^\p{Lu}[\p{Lu}\p{N}]{1,5}s?$/u.test(word) && /\p{Lu}.*\p{Lu}/u.test(word);
+    }
+
+    // Grouping key: lowercase words with a plural last word made singular
+    static keyOf(words) {
+        const lower = words.map(word => KeyTermExtractor.isAcronym(word) ? word.replace(/s$/, '') : word.toLowerCase());
+        const last = lower.length - 1;
+        if (lower[last].length > 3 && /[^s]s$/.test(lower[last])) lower[last] = lower[last].slice(0, -1);
+        return lower.join(' ');
+    }
+
+    // Runs of content words between stop words, punctuation and formulas
+    static phrases(sentence, language = 'en') {
+        const text = MathText.strip(sentence, ' . ');
+        const stopWords = stopWordsFor(language);
+        const breakWords = language === 'en' ? KEY_TERM_BREAK_WORDS : new Set();
+
+        if (!Language.isSpaced(language)) {
+            return Language.words(text, language)
+                .filter(word => word.length >= 2 && /^[\p{L}\p{M}]+$/u.test(word) && !stopWords.has(word.toLowerCase()))
+                .map((word, idx) => [{ word, initial: idx === 0 }]);
+        }
+
+        const phrases = [];
+        let current = [];
+        const flush = () => {
+            if (current.length > 0 && current.length <= KEY_TERM_MAX_WORDS) phrases.push(current);
+            current = [];
+        };
+
+        // Only English keeps the apostrophe for possessives; elsewhere it follows an elided article ("l'enzyme")
+        const tokens = language === 'en' ? /\p{L}[\p{L}\p{M}\p{N}'’-]*|\S/gu : /\p{L}[\p{L}\p{M}\p{N}-]*|\S/gu;
+        (text.match(tokens) || []).forEach((token, idx) => {
+            const word = token.replace(/['’]s?$/, '').replace(/-+$/, '');
+            const lower = word.toLowerCase();
+            const isWord = /^\p{L}/u.test(word);
+            const tooShort = lower.length < 3 && !KeyTermExtractor.isAcronym(word);
+
+            if (!isWord || tooShort || stopWords.has(lower) || breakWords.has(lower)) {
+                flush();
+                return;
+            }
+            current.push({ word, initial: idx === 0 });
+            // A possessive ends the phrase after its owner
+            if (word !== token) flush();
+        });
+        flush();
+
+        return phrases;
+    }
+
+    // Show the form used mid-sentence; words only capitalized at a sentence start become lowercase
+    static displayForm(forms) {
+        const inner = forms.filter(form => !form.initial);
+        const pool = inner.length > 0 ? inner : forms;
+        const counts = new Map();
+        pool.forEach(form => {
+            let text = form.words.join(' ');
+            if (form.initial) {
+                const [first, ...rest] = form.words;
+                const keepCase = KeyTermExtractor.isAcronym(first) || /\p{Lu}/u.test(first.slice(1));
+                text = [keepCase ? first : first.toLowerCase(), ...rest].join(' ');
+            }
+            counts.set(text, (counts.get(text) || 0) + 1);
+        });
+        return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    // Matches the term with an optional plural ending and either spaces or hyphens between words
+    static termPattern(key, flags = 'i') {
+        return new RegExp(Language.wholeWord(KeyTermExtractor.termSource(key), key), `${flags}u`);
+    }
+
+    static termSource(key) {
+        const words = key.split(' ').map(KeyTermExtractor.escape);
+        return LANGUAGE_UNSPACED.test(key) ? words.join('') : `${words.join('[\\s-]+')}(?:s|es)?`;
+    }
+
+    // [{ term, count, score, definition, occurrences }] best first
+    extract(maxTerms = 15) {
+        const candidates = new Map();
+        const wordFrequency = new Map();
+        const wordDegree = new Map();
+        const minLength = Language.isSpaced(this.language) ? 4 : 2;
+
+        this.sentences.forEach((sentence, sentenceIndex) => {
+            KeyTermExtractor.phrases(sentence.text, this.language).forEach(words => {
+                // Every shorter run of words inside the phrase is a candidate too
+                for (let size = 1; size <= Math.min(words.length, KEY_TERM_MAX_NGRAM); size++) {
+                    for (let start = 0; start + size <= words.length; start++) {
+                        const gram = words.slice(start, start + size);
+                        const key = KeyTermExtractor.keyOf(gram.map(w => w.word));
+                        if (!candidates.has(key)) candidates.set(key, { key, forms: [], sentences: new Set() });
+                        const candidate = candidates.get(key);
+                        candidate.forms.push({ words: gram.map(w => w.word), initial: gram[0].initial });
+                        candidate.sentences.add(sentenceIndex);
+                    }
+                }
+
+                // RAKE word score: degree (co-occurring words) over frequency
+                words.forEach(({ word }) => {
+                    const lower = word.toLowerCase();
+                    wordFrequency.set(lower, (wordFrequency.get(lower) || 0) + 1);
+                    wordDegree.set(lower, (wordDegree.get(lower) || 0) + words.length);
+                });
+            });
+        });
+
+        const scored = [...candidates.values()]
+            .map(candidate => {
+                const words = candidate.forms[0].words;
+                const rake = words.reduce((sum, word) => {
+                    const lower = word.toLowerCase();
+                    return sum + wordDegree.get(lower) / wordFrequency.get(lower);
+                }, 0);
+                const term = KeyTermExtractor.displayForm(candidate.forms);
+                const definition = this.findDefinition(candidate);
+                return {
+                    ...candidate,
+                    term,
+                    count: candidate.forms.length,
+                    definition,
+                    score: rake * (1 + Math.log(candidate.forms.length)) * (definition ? 1.5 : 1)
+                };
+            })
+            // Terms must repeat (single words a little more) or be defined
+            .filter(c => c.definition || c.count >= (c.key.includes(' ') ? 2 : 3))
+            .filter(c => this.language !== 'en' || !KEY_TERM_NON_NOUN_ENDING.test(c.key))
+            // Single words need some length unless they are acronyms
+            .filter(c => c.key.includes(' ') || c.key.length >= minLength || KeyTermExtractor.isAcronym(c.term));
+
+        // Drop words that never appear outside a longer term ("calvin" inside "calvin cycle")
+        const containerCount = new Map();
+        scored.forEach(candidate => {
+            const words = candidate.forms[0].words;
+            for (let size = 1; size < words.length; size++) {
+                for (let start = 0; start + size <= words.length; start++) {
+                    const key = KeyTermExtractor.keyOf(words.slice(start, start + size));
+                    containerCount.set(key, Math.max(containerCount.get(key) || 0, candidate.count));
+                }
+            }
+        });
+        const chosen = scored
+            .filter(candidate => (containerCount.get(candidate.key) || 0) < candidate.count)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, maxTerms);
+
+        return chosen.map(candidate => {
+            const pattern = KeyTermExtractor.termPattern(candidate.key);
+            return {
+                term: candidate.term,
+                count: candidate.count,
+                score: candidate.score,
+                definition: candidate.definition,
+                occurrences: this.sentences.filter(sentence =>
+                    sentence !== candidate.definition && pattern.test(sentence.text)
+                )
+            };
+        });
+    }
+
+    // "<term> is/are/means ..." or "... called/known as <term>" in the document's language,
+    // among the sentences using the term
+    findDefinition(candidate) {
+        const sentences = [...candidate.sentences].sort((a, b) => a - b).map(index => this.sentences[index]);
+        const { copulas, naming } = Language.get(this.language);
+        const term = KeyTermExtractor.termSource(candidate.key);
+        const gap = Language.isSpaced(this.language) ? '\\s+' : '\\s*';
+        const defines = new RegExp(Language.wholeWord(`${term}${gap}(?:${Language.alternatives(copulas)})`, candidate.key), 'iu');
+        const names = naming.length > 0
+            ? new RegExp(Language.wholeWord(`(?:${Language.alternatives(naming)})${gap}${Language.articlePrefix(this.language)}${term}`, candidate.key), 'iu')
+            : null;
+        return sentences.find(sentence => defines.test(sentence.text)) ||
+            (names && sentences.find(sentence => names.test(sentence.text))) ||
+            null;
+    }
+}
@@ -0,0 +1,276 @@
+// languages.js - Language Detection and Word Handling
+// Sentences and words come from Intl.Segmenter (a Unicode regex where it is missing), so
+// notes and quizzes work in any script. Each supported language adds the phrases that
+// introduce a definition; its stop words are in stop-words.js.
+
+// Scripts written without spaces between words
+const LANGUAGE_UNSPACED = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/u;
+
+// copulas: "<term> is ...", naming: "... called <term>", articles: dropped in front of a term,
+// whatIs, valueOf, matchTerms, putInOrder and describe: the wording of each question type;
+// steps: words that open the first, middle and last sentences of a sequence ("First", "Then",
+// "Finally"); spaced: false for scripts without spaces
+const LANGUAGES = {
+    en: {
+        name: 'English',
+        copulas: ['is', 'are', 'refers to', 'refer to', 'means', 'describes', 'is defined as', 'is the name for'],
+        naming: ['called', 'known as', 'termed', 'named'],
+        articles: ['the', 'a', 'an'],
+        whatIs: term => `What is ${term}?`,
+        valueOf: quantity => `What is the value of ${quantity}?`,
+        matchTerms: 'Match each term with its definition.',
+        putInOrder: 'Put these steps in the right order.',
+        describe: term => `Describe ${term} in your own words.`,
+        steps: {
+            first: ['first', 'firstly', 'first of all', 'to begin with', 'initially'],
+            next: ['then', 'next', 'second', 'secondly', 'third', 'thirdly', 'after that', 'afterwards', 'subsequently'],
+            last: ['finally', 'lastly', 'in the end']
+        }
+    },
+    es: {
+        name: 'Español',
+        copulas: ['es un', 'es una', 'es el', 'es la', 'es', 'son', 'se refiere a', 'significa', 'se define como'],
+        naming: ['llamado', 'llamada', 'llamados', 'llamadas', 'conocido como', 'conocida como', 'denominado', 'denominada'],
+        articles: ['el', 'la', 'los', 'las', 'un', 'una'],
+        whatIs: term => `¿Qué es ${term}?`,
+        valueOf: quantity => `¿Cuál es el valor de ${quantity}?`,
+        matchTerms: 'Relaciona cada término con su definición.',
+        putInOrder: 'Ordena estos pasos correctamente.',
+        describe: term => `Describe con tus propias palabras: ${term}.`,
+        steps: {
+            first: ['primero', 'en primer lugar', 'para empezar', 'inicialmente'],
+            next: ['luego', 'después', 'a continuación', 'entonces', 'en segundo lugar', 'posteriormente'],
+            last: ['finalmente', 'por último', 'al final']
+        }
+    },
+    fr: {
+        name: 'Français',
+        copulas: ['est un', 'est une', 'est le', 'est la', "est l'", 'est', 'sont', 'désigne', 'signifie', 'se définit comme'],
+        naming: ['appelé', 'appelée', 'appelés', 'appelées', 'nommé', 'nommée', 'dit', 'dite'],
+        articles: ['le', 'la', 'les', "l'", 'un', 'une', 'des'],
+        whatIs: term => `Qu'est-ce que ${term} ?`,
+        valueOf: quantity => `Quelle est la valeur de ${quantity} ?`,
+        matchTerms: 'Associez chaque terme à sa définition.',
+        putInOrder: 'Remettez ces étapes dans le bon ordre.',
+        describe: term => `Décrivez avec vos propres mots : ${term}.`,
+        steps: {
+            first: ["d'abord", "tout d'abord", 'premièrement', 'en premier lieu', 'pour commencer'],
+            next: ['ensuite', 'puis', 'après', 'deuxièmement', 'par la suite'],
+            last: ['enfin', 'finalement', 'pour finir', 'en dernier lieu']
+        }
+    },
+    de: {
+        name: 'Deutsch',
+        copulas: ['ist ein', 'ist eine', 'ist der', 'ist die', 'ist das', 'ist', 'sind', 'bezeichnet', 'bedeutet'],
+        naming: ['genannt', 'heißt', 'bezeichnet als'],
+        articles: ['der', 'die', 'das', 'ein', 'eine'],
+        whatIs: term => `Was ist ${term}?`,
+        valueOf: quantity => `Welchen Wert hat ${quantity}?`,
+        matchTerms: 'Ordnen Sie jedem Begriff seine Definition zu.',
+        putInOrder: 'Bringen Sie diese Schritte in die richtige Reihenfolge.',
+        describe: term => `Beschreiben Sie mit eigenen Worten: ${term}.`,
+        steps: {
+            first: ['zuerst', 'zunächst', 'erstens', 'als erstes'],
+            next: ['dann', 'danach', 'anschließend', 'zweitens', 'daraufhin'],
+            last: ['schließlich', 'zuletzt', 'abschließend', 'am Ende']
+        }
+    },
+    it: {
+        name: 'Italiano',
+        copulas: ['è un', 'è una', "è un'", 'è il', 'è la', 'è', 'sono', 'significa', 'si riferisce a', 'si definisce come'],
+        naming: ['chiamato', 'chiamata', 'detto', 'detta', 'noto come', 'nota come'],
+        articles: ['il', 'lo', 'la', 'i', 'gli', 'le', "l'", 'un', 'una', "un'"],
+        whatIs: term => `Che cos'è ${term}?`,
+        valueOf: quantity => `Qual è il valore di ${quantity}?`,
+        matchTerms: 'Abbina ogni termine alla sua definizione.',
+        putInOrder: "Metti questi passaggi nell'ordine giusto.",
+        describe: term => `Descrivi con parole tue: ${term}.`,
+        steps: {
+            first: ['prima', 'innanzitutto', 'per prima cosa', 'in primo luogo', 'inizialmente'],
+            next: ['poi', 'quindi', 'dopo', 'successivamente', 'in seguito', 'in secondo luogo'],
+            last: ['infine', 'alla fine', 'per ultimo']
+        }
+    },
+    pt: {
+        name: 'Português',
+        copulas: ['é um', 'é uma', 'é o', 'é a', 'é', 'são', 'significa', 'refere-se a', 'define-se como'],
+        naming: ['chamado', 'chamada', 'conhecido como', 'conhecida como', 'denominado', 'denominada'],
+        articles: ['o', 'a', 'os', 'as', 'um', 'uma'],
+        whatIs: term => `O que é ${term}?`,
+        valueOf: quantity => `Qual é o valor de ${quantity}?`,
+        matchTerms: 'Associe cada termo à sua definição.',
+        putInOrder: 'Coloque estas etapas na ordem certa.',
+        describe: term => `Descreva com suas próprias palavras: ${term}.`,
+        steps: {
+            first: ['primeiro', 'primeiramente', 'em primeiro lugar', 'inicialmente'],
+            next: ['depois', 'em seguida', 'então', 'a seguir', 'posteriormente', 'em segundo lugar'],
+            last: ['finalmente', 'por fim', 'por último']
+        }
+    },
+    ru: {
+        name: 'Русский',
+        copulas: ['— это', '- это', 'это', 'является', 'являются', 'означает', 'называется'],
+        naming: ['называемый', 'называемая', 'называемое', 'называют', 'известный как', 'известная как'],
+        articles: [],
+        whatIs: term => `Что такое ${term}?`,
+        valueOf: quantity => `Чему равно ${quantity}?`,
+        matchTerms: 'Сопоставьте каждый термин с его определением.',
+        putInOrder: 'Расположите эти шаги в правильном порядке.',
+        describe: term => `Опишите своими словами: ${term}.`,
+        steps: {
+            first: ['сначала', 'во-первых', 'вначале', 'прежде всего'],
+            next: ['затем', 'потом', 'далее', 'после этого', 'во-вторых', 'в-третьих'],
+            last: ['наконец', 'в конце', 'в итоге']
+        }
+    },
+    el: {
+        name: 'Ελληνικά',
+        copulas: ['είναι', 'ονομάζεται', 'σημαίνει', 'ορίζεται ως'],
+        naming: ['που ονομάζεται', 'γνωστός ως', 'γνωστή ως', 'γνωστό ως'],
+        articles: ['ο', 'η', 'το', 'οι', 'τα', 'ένας', 'μια', 'μία', 'ένα'],
+        whatIs: term => `Τι είναι ${term};`,
+        valueOf: quantity => `Ποια είναι η τιμή του ${quantity};`,
+        matchTerms: 'Αντιστοιχίστε κάθε όρο με τον ορισμό του.',
+        putInOrder: 'Βάλτε αυτά τα βήματα στη σωστή σειρά.',
+        describe: term => `Περιγράψτε με δικά σας λόγια: ${term}.`,
+        steps: {
+            first: ['πρώτα', 'αρχικά', 'πρώτον', 'καταρχάς'],
+            next: ['έπειτα', 'μετά', 'στη συνέχεια', 'ύστερα', 'δεύτερον', 'τρίτον'],
+            last: ['τέλος', 'τελικά', 'στο τέλος']
+        }
+    },
+    zh: {
+        name: '中文',
+        spaced: false,
+        copulas: ['是指', '指的是', '是', '即'],
+        naming: ['称为', '叫做', '被称为'],
+        articles: [],
+        whatIs: term => `什么是${term}？`,
+        valueOf: quantity => `${quantity}的值是多少？`,
+        matchTerms: '将每个术语与其定义配对。',
+        putInOrder: '请将这些步骤按正确顺序排列。',
+        describe: term => `请用自己的话解释${term}。`,
+        steps: {
+            first: ['首先', '第一', '起初'],
+            next: ['然后', '接着', '其次', '之后', '随后', '第二', '第三'],
+            last: ['最后', '最终']
+        }
+    },
+    ja: {
+        name: '日本語',
+        spaced: false,
+        copulas: ['とは', 'というのは'],
+        naming: [],
+        articles: [],
+        whatIs: term => `${term}とは何ですか？`,
+        valueOf: quantity => `${quantity}の値はいくつですか？`,
+        matchTerms: '各用語をその定義と結びつけてください。',
+        putInOrder: 'これらの手順を正しい順序に並べてください。',
+        describe: term => `${term}について自分の言葉で説明してください。`,
+        steps: {
+            first: ['まず', '最初に', 'はじめに', '第一に'],
+            next: ['次に', 'それから', 'その後', '続いて', '第二に'],
+            last: ['最後に', '最終的に']
+        }
+    }
+};
+
+class Language {
+    static get(code) {
+        return LANGUAGES[code] || LANGUAGES.en;
+    }
+
+    static isSpaced(code) {
+        return Language.get(code).spaced !== false;
+    }
+
+    // Language code for a text: by script first, then by which stop words it uses most
+    static detect(text) {
+        const sample = text.slice(0, 20000);
+        const count = pattern => (sample.match(pattern) || []).length;
+        const scripts = {
+            latin: count(/\p{Script=Latin}/gu),
+            han: count(/\p{Script=Han}/gu),
+            kana: count(/[\p{Script=Hiragana}\p{Script=Katakana}]/gu),
+            cyrillic: count(/\p{Script=Cyrillic}/gu),
+            greek: count(/\p{Script=Greek}/gu)
+        };
+        const cjk = scripts.han + scripts.kana;
+        const top = Math.max(scripts.latin, cjk, scripts.cyrillic, scripts.greek);
+        if (top === 0) return 'en';
+        // Japanese mixes kanji (Han) with kana; Chinese has no kana
+        if (cjk === top) return scripts.kana > cjk * 0.1 ? 'ja' : 'zh';
+        if (scripts.cyrillic === top) return 'ru';
+        if (scripts.greek === top) return 'el';
+
+        const words = Language.words(sample.toLowerCase(), 'en');
+        let best = 'en';
+        let bestHits = 0;
+        ['en', 'es', 'fr', 'de', 'it', 'pt'].forEach(code => {
+            const stopWords = stopWordsFor(code);
+            const hits = words.filter(word => stopWords.has(word)).length;
+            if (hits > bestHits) {
+                best = code;
+                bestHits = hits;
+            }
+        });
+        return best;
+    }
+
+    // Cached per language and granularity; null where Intl.Segmenter is missing
+    static segmenter(code, granularity) {
+        if (typeof Intl === 'undefined' || !Intl.Segmenter) return null;
+        if (!Language.segmenters) Language.segmenters = new Map();
+        const key = `${code}:${granularity}`;
+        if (!Language.segmenters.has(key)) Language.segmenters.set(key, new Intl.Segmenter(code, { granularity }));
+        return Language.segmenters.get(key);
+    }
+
+    // Sentences as written, each with its closing punctuation and the space after it
+    static sentences(text, code) {
+        const segmenter = Language.segmenter(code, 'sentence');
+        if (segmenter) return [...segmenter.segment(text)].map(part => part.segment);
+        return text.split(/(?<=[.!?]\s+)(?=\S)|(?<=[。！？])/u);
+    }
+
+    // The text cut into words and what lies between them: [{ text, word }]
+    static segments(text, code) {
+        const segmenter = Language.segmenter(code, 'word');
+        if (segmenter) return [...segmenter.segment(text)].map(part => ({ text: part.segment, word: Boolean(part.isWordLike) }));
+        return (text.match(/[\p{L}\p{M}\p{N}]+(?:['’][\p{L}\p{M}\p{N}]+)*|[^\p{L}\p{M}\p{N}]+/gu) || [])
+            .map(part => ({ text: part, word: /^[\p{L}\p{M}\p{N}]/u.test(part) }));
+    }
+
+    static words(text, code) {
+        return Language.segments(text, code).filter(part => part.word).map(part => part.text);
+    }
+
+    static escape(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Regex source matching any of the phrases, longest first, with any spacing and apostrophe
+    static alternatives(phrases) {
+        return [...phrases]
+            .sort((a, b) => b.length - a.length)
+            .map(phrase => Language.escape(phrase).replace(/\s+/g, '\\s+').replace(/'/g, "['’]"))
+            .join('|');
+    }
+
+    // Optional article in front of a term ("the", "la", "l'")
+    static articlePrefix(code) {
+        const articles = Language.get(code).articles;
+        if (articles.length === 0) return '';
+        const spaced = articles.filter(article => !article.endsWith("'"));
+        const elided = articles.filter(article => article.endsWith("'"));
+        const options = [];
+        if (spaced.length > 0) options.push(`(?:${Language.alternatives(spaced)})\\s+`);
+        if (elided.length > 0) options.push(`(?:${Language.alternatives(elided)})`);
+        return `(?:${options.join('|')})?`;
+    }
+
+    // `source` as a whole word; `sample` decides, since unspaced scripts have no word edges
+    static wholeWord(source, sample) {
+        return LANGUAGE_UNSPACED.test(sample) ? source : `(?<![\\p{L}\\p{M}\\p{N}])${source}(?![\\p{L}\\p{M}\\p{N}])`;
+    }
+}
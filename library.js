@@ -0,0 +1,112 @@
+// library.js - Study Set Library (IndexedDB)
+// Each study set keeps its sources, settings, generated notes and quiz, and every attempt.
+// Flashcard review state is kept per card, apart from the sets, so it outlives them.
+
+const LIBRARY_DB_NAME = 'quiz-generator';
+const LIBRARY_DB_VERSION = 2;
+const LIBRARY_STORE = 'studySets';
+const LIBRARY_REVIEW_STORE = 'reviews';
+
+class StudyLibrary {
+    constructor(indexedDBFactory = typeof indexedDB !== 'undefined' ? indexedDB : null) {
+        this.factory = indexedDBFactory;
+        this.dbPromise = null;
+    }
+
+    isAvailable() {
+        return Boolean(this.factory);
+    }
+
+    static newId() {
+        return `set-${Date.now().toString(36)}-${Math.floor(Math.random() * 0x100000).toString(36)}`;
+    }
+
+    // IDBRequest -> Promise
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    open() {
+        if (!this.isAvailable()) return Promise.reject(new Error('IndexedDB is not available in this browser'));
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.factory.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(LIBRARY_STORE)) {
+                        db.createObjectStore(LIBRARY_STORE, { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
+                    }
+                    if (!db.objectStoreNames.contains(LIBRARY_REVIEW_STORE)) {
+                        db.createObjectStore(LIBRARY_REVIEW_STORE, { keyPath: 'cardId' }).createIndex('due', 'due');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async store(mode, name = LIBRARY_STORE) {
+        const db = await this.open();
+        return db.transaction(name, mode).objectStore(name);
+    }
+
+    // All study sets, most recently used first
+    async list() {
+        const sets = await StudyLibrary.request((await this.store('readonly')).getAll());
+        return sets.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    async get(id) {
+        return StudyLibrary.request((await this.store('readonly')).get(id));
+    }
+
+    // Insert or replace; new sets get an id and timestamps
+    async save(studySet) {
+        const now = Date.now();
+        const record = {
+            attempts: [],
+            createdAt: now,
+            ...studySet,
+            id: studySet.id || StudyLibrary.newId(),
+            updatedAt: now
+        };
+        await StudyLibrary.request((await this.store('readwrite')).put(record));
+        return record;
+    }
+
+    async update(id, changes) {
+        const existing = await this.get(id);
+        if (!existing) throw new Error('Study set not found');
+        return this.save({ ...existing, ...changes });
+    }
+
+    async rename(id, title) {
+        return this.update(id, { title });
+    }
+
+    async addAttempt(id, attempt) {
+        const existing = await this.get(id);
+        if (!existing) throw new Error('Study set not found');
+        return this.save({ ...existing, attempts: [...existing.attempts, attempt] });
+    }
+
+    async delete(id) {
+        await StudyLibrary.request((await this.store('readwrite')).delete(id));
+    }
+
+    // Flashcard review state by card id
+    async reviews() {
+        const states = await StudyLibrary.request((await this.store('readonly', LIBRARY_REVIEW_STORE)).getAll());
+        return new Map(states.map(state => [state.cardId, state]));
+    }
+
+    async saveReview(state) {
+        await StudyLibrary.request((await this.store('readwrite', LIBRARY_REVIEW_STORE)).put(state));
+        return state;
+    }
+}
@@ -0,0 +1,361 @@
+// math.js - Formulas and Numbers
+// Formulas stay in the text as $...$ (inline) or $$...$$ (display) LaTeX. MathText finds
+// them, turns them into readable plain text and reads numbers with their precision;
+// LatexRenderer parses the common LaTeX constructs into a small tree of HTML elements.
+
+// $$...$$, \[...\], $...$ and \(...\). An inline $ must hug its formula ("$x$", not
+// "$5 and $10"), which keeps prices from being read as math
+const MATH_PATTERN = /\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\$(?=[^\s$])([^$\n]*?[^\s\\$])\$(?!\d)|\\\(([\s\S]+?)\\\)/g;
+
+// Marks where a formula was taken out while the text around it is cleaned
+const MATH_MASK = /( ?)\uE000(\d+)\uE001( ?)/g;
+
+// Commands drawn as a single character
+const MATH_SYMBOLS = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+    theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+    rho: 'ρ', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'φ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+    hbar: 'ℏ', ell: 'ℓ', infty: '∞', partial: '∂', nabla: '∇', degree: '°', circ: '∘', prime: '′',
+    ldots: '…', cdots: '⋯', dots: '…', angle: '∠', forall: '∀', exists: '∃', emptyset: '∅',
+    sum: '∑', prod: '∏', int: '∫', oint: '∮',
+    langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉'
+};
+
+// Operators and relations, drawn with space around them
+const MATH_OPERATORS = {
+    times: '×', cdot: '·', div: '÷', pm: '±', mp: '∓', ast: '∗',
+    leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', sim: '∼', simeq: '≃',
+    equiv: '≡', propto: '∝', ll: '≪', gg: '≫', in: '∈', notin: '∉', subset: '⊂', subseteq: '⊆',
+    cup: '∪', cap: '∩', perp: '⊥', parallel: '∥',
+    to: '→', rightarrow: '→', leftarrow: '←', Rightarrow: '⇒', Leftarrow: '⇐',
+    leftrightarrow: '↔', Leftrightarrow: '⇔', implies: '⇒', iff: '⇔', mapsto: '↦'
+};
+
+// Function names set upright
+const MATH_FUNCTIONS = new Set([
+    'sin', 'cos', 'tan', 'sec', 'csc', 'cot', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+    'log', 'ln', 'lg', 'exp', 'lim', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'deg', 'arg'
+]);
+
+// Combining marks for accents over a single letter
+const MATH_ACCENTS = { vec: '⃗', hat: '̂', bar: '̄', dot: '̇', ddot: '̈', tilde: '̃' };
+
+const MATH_BLACKBOARD = { R: 'ℝ', N: 'ℕ', Z: 'ℤ', Q: 'ℚ', C: 'ℂ' };
+
+const MATH_SUPERSCRIPTS = { 0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹', '+': '⁺', '-': '⁻', '−': '⁻', '=': '⁼', '(': '⁽', ')': '⁾', n: 'ⁿ', i: 'ⁱ' };
+const MATH_SUBSCRIPTS = { 0: '₀', 1: '₁', 2: '₂', 3: '₃', 4: '₄', 5: '₅', 6: '₆', 7: '₇', 8: '₈', 9: '₉', '+': '₊', '-': '₋', '−': '₋', '=': '₌', '(': '₍', ')': '₎' };
+
+// A number as written in plain text: "9.8", "-40", "1,500", "0,25", "3.0 × 10⁸", "6.02e23"
+const MATH_NUMBER_SOURCE = '[-+−]?(?:\\d+(?:[.,]\\d+)*|[.,]\\d+)(?:\\s*[eE][-+]?\\d+|\\s*[×x*·⋅]\\s*10(?:\\^\\s*[-+−]?\\d+|[⁻⁺]?[⁰¹²³⁴⁵⁶⁷⁸⁹]+))?';
+
+// A unit after a number: SI units with a prefix, powers and "/" or "·" between them ("m/s²", "kJ·mol⁻¹")
+const MATH_UNIT_PART = '(?:[kMGTmµμnpcd]?(?:mol|cd|Hz|Pa|eV|bar|atm|cal|min|Ω|m|g|s|A|K|N|J|W|C|V|F|T|L|h)(?:\\^-?\\d|⁻?[¹²³])?)';
+const MATH_UNIT_SOURCE = `(?:°[CF]|%|${MATH_UNIT_PART}(?:\\s*[/·⋅]\\s*${MATH_UNIT_PART})*)(?![\\p{L}\\p{N}])`;
+
+class MathText {
+    // The text as a list of plain text and formula tokens, each with where it starts and
+    // ends: [{ text, start, end } | { tex, display, start, end }]
+    static split(text) {
+        const tokens = [];
+        let last = 0;
+        MATH_PATTERN.lastIndex = 0;
+        let match;
+        while ((match = MATH_PATTERN.exec(text))) {
+            if (match.index > last) tokens.push({ text: text.slice(last, match.index), start: last, end: match.index });
+            const display = match[1] !== undefined || match[2] !== undefined;
+            const end = match.index + match[0].length;
+            tokens.push({ tex: (match[1] ?? match[2] ?? match[3] ?? match[4]).trim(), display, start: match.index, end });
+            last = end;
+        }
+        if (last < text.length) tokens.push({ text: text.slice(last), start: last, end: text.length });
+        return tokens;
+    }
+
+    static hasMath(text) {
+        MATH_PATTERN.lastIndex = 0;
+        return MATH_PATTERN.test(text);
+    }
+
+    // The formula written with the delimiters the rest of the app expects
+    static wrap(tex, display = false) {
+        return display ? `$$${tex}$$` : `$${tex}$`;
+    }
+
+    // Runs clean() over the text with every formula taken out, then puts the formulas
+    // back (as $...$ or $$...$$) so cleaning cannot break them apart. The spaces around each
+    // placeholder are only kept where the text had them ("$F = ma$, where")
+    static mask(text, clean) {
+        const formulas = [];
+        const masked = text.replace(MATH_PATTERN, (...match) => {
+            const display = match[1] !== undefined || match[2] !== undefined;
+            const offset = match[match.length - 2];
+            formulas.push({
+                tex: MathText.wrap((match[1] ?? match[2] ?? match[3] ?? match[4]).trim(), display),
+                spaceBefore: /\s/.test(text[offset - 1] || ''),
+                spaceAfter: /\s/.test(text[offset + match[0].length] || '')
+            });
+            return ` \uE000${formulas.length - 1}\uE001 `;
+        });
+        return clean(masked)
+            .replace(MATH_MASK, (_, before, idx, after) => {
+                const formula = formulas[idx];
+                if (!formula) return before || after;
+                return (formula.spaceBefore ? before : '') + formula.tex + (formula.spaceAfter ? after : '');
+            })
+            .replace(/ {2,}/g, ' ')
+            .trim();
+    }
+
+    // The text with each formula in readable plain form ("$v^2$" becomes "v²")
+    static toPlain(text) {
+        return MathText.split(text)
+            .map(token => token.tex === undefined ? token.text : LatexRenderer.toPlain(token.tex))
+            .join('');
+    }
+
+    // The text with its formulas left out, for word counts and key terms
+    static strip(text, replacement = ' ') {
+        return text.replace(MATH_PATTERN, replacement);
+    }
+
+    // Number at the start of a typed or written answer ("9.81 m/s²", "3 x 10^8", "1/2"), or null
+    static parseNumber(text) {
+        const plain = String(text).trim().replace(/^\$+|\$+$/g, '');
+        const fraction = plain.match(/^([-+−]?\d+)\s*\/\s*(\d+)(?![\d.,])/);
+        if (fraction) return Number(fraction[2]) === 0 ? null : MathText.mantissa(fraction[1]) / Number(fraction[2]);
+
+        const match = MathText.readNumber(plain);
+        if (!match) return null;
+        const mantissa = MathText.mantissa(match.mantissa);
+        return mantissa === null ? null : mantissa * 10 ** match.exponent;
+    }
+
+    // { mantissa, exponent, length } for the number at the start of plain text
+    static readNumber(plain) {
+        const match = plain
+            .replace(/\\times|\\cdot/g, '×')
+            .match(/^([-+−]?(?:\d+(?:[.,]\d+)*|[.,]\d+))(?:\s*[eE]([-+]?\d+)|\s*[×x*·⋅]\s*10\s*(?:\^\s*\{?\s*([-+−]?\d+)\s*\}?|([⁻⁺]?[⁰¹²³⁴⁵⁶⁷⁸⁹]+)))?/);
+        if (!match) return null;
+        const superscript = (match[4] || '').replace(/./g, char =>
+            Object.keys(MATH_SUPERSCRIPTS).find(key => MATH_SUPERSCRIPTS[key] === char));
+        const exponent = match[2] || match[3] || superscript || '0';
+        return { mantissa: match[1], exponent: Number(exponent.replace('−', '-')), length: match[0].length };
+    }
+
+    // "1,500" is fifteen hundred, "0,25" a quarter; "1.000,5" mixes both
+    static mantissa(text) {
+        let digits = text.replace('−', '-');
+        const commas = (digits.match(/,/g) || []).length;
+        const dots = (digits.match(/\./g) || []).length;
+        if (commas && dots) {
+            digits = digits.lastIndexOf(',') > digits.lastIndexOf('.')
+                ? digits.replace(/\./g, '').replace(',', '.')
+                : digits.replace(/,/g, '');
+        } else if (commas) {
+            digits = /^[-+]?\d{1,3}(?:,\d{3})+$/.test(digits) ? digits.replace(/,/g, '') : digits.replace(',', '.');
+        }
+        if ((digits.match(/\./g) || []).length > 1) return null;
+        const value = Number(digits);
+        return Number.isFinite(value) ? value : null;
+    }
+
+    // Half a unit in the last digit written: "9.8" is anything from 9.75 to 9.85
+    static precision(text) {
+        const match = MathText.readNumber(String(text).trim());
+        if (!match) return 0;
+        const decimals = /[.,]\d+$/.test(match.mantissa) && !/^[-+−]?\d{1,3}(?:,\d{3})+$/.test(match.mantissa)
+            ? match.mantissa.split(/[.,]/).pop().length
+            : 0;
+        return 0.5 * 10 ** (match.exponent - decimals);
+    }
+}
+
+class LatexRenderer {
+    // Tokens: commands, braces, ^ and _, blanks (______), numbers and single characters
+    static tokenize(tex) {
+        return tex.match(/\\[a-zA-Z]+\*?|\\[^a-zA-Z]|_{3,}|\d+(?:\.\d+)?|\s+|[\s\S]/g) || [];
+    }
+
+    // Tree of { tag, className, text, children }; a node without a tag is plain text
+    static parse(tex) {
+        const tokens = LatexRenderer.tokenize(tex);
+        let pos = 0;
+
+        const text = (value, tag, className) => ({ ...(tag && { tag }), ...(className && { className }), text: value });
+        const group = children => ({ tag: 'span', children });
+
+        // Everything up to the closing brace (or the end), with ^ and _ attached to what precedes them
+        const parseList = (closing) => {
+            const nodes = [];
+            while (pos < tokens.length && tokens[pos] !== closing) {
+                const token = tokens[pos];
+                if (token === '^' || token === '_') {
+                    pos++;
+                    const base = nodes.pop() || text('');
+                    const script = { tag: token === '^' ? 'sup' : 'sub', children: [parseArgument()] };
+                    nodes.push(base.scripts ? { ...base, children: [...base.children, script] } : { tag: 'span', scripts: true, children: [base, script] });
+                    continue;
+                }
+                let node = parseAtom();
+                // A sign with nothing before it ("-9.8", "= -1") is not an operator
+                const previous = nodes[nodes.length - 1];
+                if (node && node.className === 'math-op' && '−+'.includes(node.text) && (!previous || previous.className === 'math-op')) {
+                    node = text(node.text);
+                }
+                if (node) nodes.push(node);
+            }
+            return nodes;
+        };
+
+        // One token, or a braced group
+        const parseArgument = () => {
+            while (pos < tokens.length && /^\s+$/.test(tokens[pos])) pos++;
+            if (pos >= tokens.length) return text('');
+            if (tokens[pos] === '{') {
+                pos++;
+                const children = parseList('}');
+                pos++;
+                return children.length === 1 ? children[0] : group(children);
+            }
+            return parseAtom() || text('');
+        };
+
+        // The raw text of a braced argument, for \text{...}
+        const rawArgument = () => {
+            while (pos < tokens.length && /^\s+$/.test(tokens[pos])) pos++;
+            if (tokens[pos] !== '{') return tokens[pos++] || '';
+            let depth = 0;
+            let raw = '';
+            for (pos++; pos < tokens.length; pos++) {
+                if (tokens[pos] === '{') depth++;
+                if (tokens[pos] === '}' && depth-- === 0) break;
+                raw += tokens[pos].replace(/^\\([{}%$&#_ ])$/, '$1');
+            }
+            pos++;
+            return raw;
+        };
+
+        const parseAtom = () => {
+            const token = tokens[pos++];
+            if (/^\s+$/.test(token)) return null;
+            if (/^_{3,}$/.test(token)) return text('______', 'span', 'math-blank');
+            if (/^\d/.test(token)) return text(token);
+            if (/^[a-zA-Z]$/.test(token)) return text(token, 'var');
+            if (token === '{') {
+                const children = parseList('}');
+                pos++;
+                return group(children);
+            }
+            if (token === '}') return null;
+            if (token === '-') return text('−', 'span', 'math-op');
+            if ('+=<>'.includes(token)) return text(token, 'span', 'math-op');
+            if (token === '~') return text(' ');
+            if (!token.startsWith('\\')) return text(token);
+
+            const name = token.slice(1).replace(/\*$/, '');
+            if (MATH_SYMBOLS[name]) return text(MATH_SYMBOLS[name]);
+            if (MATH_OPERATORS[name]) return text(MATH_OPERATORS[name], 'span', 'math-op');
+            if (MATH_FUNCTIONS.has(name)) return text(name, 'span', 'math-function');
+
+            switch (name) {
+            case 'frac': case 'dfrac': case 'tfrac': {
+                const numerator = parseArgument();
+                const denominator = parseArgument();
+                return {
+                    tag: 'span',
+                    className: 'math-frac',
+                    children: [
+                        { tag: 'span', className: 'math-num', children: [numerator] },
+                        { tag: 'span', className: 'math-den', children: [denominator] }
+                    ]
+                };
+            }
+            case 'sqrt': {
+                let index = null;
+                if (tokens[pos] === '[') {
+                    pos++;
+                    index = { tag: 'sup', className: 'math-root-index', children: parseList(']') };
+                    pos++;
+                }
+                const radicand = parseArgument();
+                return {
+                    tag: 'span',
+                    className: 'math-sqrt',
+                    children: [...(index ? [index] : []), text('√'), { tag: 'span', className: 'math-radicand', children: [radicand] }]
+                };
+            }
+            case 'text': case 'textrm': case 'mathrm': case 'operatorname': case 'textnormal': case 'mbox':
+                return text(rawArgument(), 'span', 'math-text');
+            case 'textit': case 'mathit': case 'emph':
+                return text(rawArgument(), 'i');
+            case 'textbf': case 'mathbf': case 'boldsymbol':
+                return { tag: 'b', children: [parseArgument()] };
+            case 'mathbb': {
+                const letters = rawArgument();
+                return text(letters.replace(/[A-Z]/g, letter => MATH_BLACKBOARD[letter] || letter));
+            }
+            case 'overline': case 'bar': case 'vec': case 'hat': case 'dot': case 'ddot': case 'tilde': {
+                const argument = parseArgument();
+                if (argument.text && argument.text.length === 1 && MATH_ACCENTS[name]) {
+                    return { ...argument, text: argument.text + MATH_ACCENTS[name] };
+                }
+                return { tag: 'span', className: name === 'vec' ? 'math-vector' : 'math-overline', children: [argument] };
+            }
+            case 'left': case 'right': case 'big': case 'Big': case 'bigg': case 'Bigg': {
+                const delimiter = tokens[pos++] || '';
+                if (delimiter === '.') return null;
+                return text(delimiter.replace(/^\\/, '').replace(/^(langle|rangle|lfloor|rfloor|lceil|rceil|vert|\|)$/, match => MATH_SYMBOLS[match] || '|'));
+            }
+            case ',': case ':': case ';': case ' ':
+                return text(' ');
+            case 'quad': case 'qquad':
+                return text('  ');
+            case '!':
+                return null;
+            case '\\':
+                return text(' ');
+            case 'mathrel': case 'mathbin': case 'displaystyle': case 'textstyle': case 'limits':
+                return null;
+            case 'boxed':
+                return { tag: 'span', className: 'math-boxed', children: [parseArgument()] };
+            default:
+                // \{ \} \% \$ \& \# \_ stand for the character; unknown commands show their name
+                return name.length === 1 ? text(name) : text(name, 'span', 'math-text');
+            }
+        };
+
+        return parseList(null);
+    }
+
+    // The formula as readable plain text: "\frac{1}{2}mv^2" becomes "1/2 mv²"
+    static toPlain(tex) {
+        return LatexRenderer.plainOf(LatexRenderer.parse(tex)).replace(/\s+/g, ' ').trim();
+    }
+
+    static plainOf(nodes) {
+        const list = Array.isArray(nodes) ? nodes : [nodes];
+        return list.map(node => {
+            if (node.className === 'math-op') return ` ${node.text} `;
+            if (node.className === 'math-frac') {
+                const [numerator, denominator] = node.children.map(part => LatexRenderer.plainOf(part.children).trim());
+                const wrap = part => /^[\p{L}\p{N}.]+$/u.test(part) ? part : `(${part})`;
+                return `${wrap(numerator)}/${wrap(denominator)}`;
+            }
+            if (node.className === 'math-sqrt') {
+                const radicand = LatexRenderer.plainOf(node.children[node.children.length - 1].children).trim();
+                return /^[\p{L}\p{N}.]+$/u.test(radicand) ? `√${radicand}` : `√(${radicand})`;
+            }
+            if (node.tag === 'sup' || node.tag === 'sub') {
+                const inner = LatexRenderer.plainOf(node.children).trim();
+                const table = node.tag === 'sup' ? MATH_SUPERSCRIPTS : MATH_SUBSCRIPTS;
+                if ([...inner].every(char => table[char])) return [...inner].map(char => table[char]).join('');
+                const mark = node.tag === 'sup' ? '^' : '_';
+                return inner.length === 1 ? `${mark}${inner}` : `${mark}(${inner})`;
+            }
+            if (node.className === 'math-function') return `${node.text} `;
+            if (node.children) return LatexRenderer.plainOf(node.children);
+            return node.text;
+        }).join('');
+    }
+}
@@ -0,0 +1,1373 @@
+// pdf-parser.js - Dependency-Free PDF Text Extraction
+// Reads the cross-reference data (tables, xref streams and object streams),
+// inflates content streams and decodes text-showing operators page by page.
+
+class PDFName {
+    constructor(name) {
+        this.name = name;
+    }
+}
+
+class PDFRef {
+    constructor(num, gen) {
+        this.num = num;
+        this.gen = gen;
+    }
+}
+
+class PDFCommand {
+    constructor(op) {
+        this.op = op;
+    }
+}
+
+class PDFStream {
+    constructor(dict, bytes) {
+        this.dict = dict;
+        this.bytes = bytes;
+    }
+}
+
+const PDF_WHITESPACE = new Set([0, 9, 10, 12, 13, 32]);
+const PDF_DELIMITERS = new Set([37, 40, 41, 47, 60, 62, 91, 93, 123, 125]);
+
+// Convert bytes to a string with one character per byte (chunked to avoid slow concatenation)
+function bytesToBinaryString(bytes) {
+    let result = '';
+    for (let i = 0; i < bytes.length; i += 8192) {
+        result += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+    }
+    return result;
+}
+
+function indexOfBytes(bytes, needle, from = 0) {
+    const first = needle.charCodeAt(0);
+    outer:
+    for (let i = from; i <= bytes.length - needle.length; i++) {
+        if (bytes[i] !== first) continue;
+        for (let j = 1; j < needle.length; j++) {
+            if (bytes[i + j] !== needle.charCodeAt(j)) continue outer;
+        }
+        return i;
+    }
+    return -1;
+}
+
+function lastIndexOfBytes(bytes, needle) {
+    for (let i = bytes.length - needle.length; i >= 0; i--) {
+        let found = true;
+        for (let j = 0; j < needle.length; j++) {
+            if (bytes[i + j] !== needle.charCodeAt(j)) {
+                found = false;
+                break;
+            }
+        }
+        if (found) return i;
+    }
+    return -1;
+}
+
+// Tokenizer for PDF object syntax and content streams
+class PDFLexer {
+    constructor(bytes, pos = 0, resolveLength = null) {
+        this.bytes = bytes;
+        this.pos = pos;
+        // Resolves indirect /Length values while reading streams
+        this.resolveLength = resolveLength;
+    }
+
+    isRegular(c) {
+        return c !== undefined && !PDF_WHITESPACE.has(c) && !PDF_DELIMITERS.has(c);
+    }
+
+    skipWhitespace() {
+        const bytes = this.bytes;
+        while (this.pos < bytes.length) {
+            const c = bytes[this.pos];
+            if (PDF_WHITESPACE.has(c)) {
+                this.pos++;
+            } else if (c === 37) {
+                // Comments run to the end of the line
+                while (this.pos < bytes.length && bytes[this.pos] !== 10 && bytes[this.pos] !== 13) {
+                    this.pos++;
+                }
+            } else {
+                break;
+            }
+        }
+    }
+
+    startsWith(keyword) {
+        for (let i = 0; i < keyword.length; i++) {
+            if (this.bytes[this.pos + i] !== keyword.charCodeAt(i)) return false;
+        }
+        return !this.isRegular(this.bytes[this.pos + keyword.length]);
+    }
+
+    // Returns the next object, a PDFCommand for keywords/operators, or undefined at the end
+    readObject() {
+        this.skipWhitespace();
+        const bytes = this.bytes;
+        if (this.pos >= bytes.length) return undefined;
+
+        const c = bytes[this.pos];
+        switch (c) {
+            case 47: // /
+                return this.readName();
+            case 40: // (
+                return this.readLiteralString();
+            case 91: // [
+                return this.readArray();
+            case 60: // <
+                return bytes[this.pos + 1] === 60 ? this.readDictionary() : this.readHexString();
+            case 41: case 62: case 93: case 123: case 125:
+                this.pos++;
+                return new PDFCommand(String.fromCharCode(c));
+        }
+
+        if ((c >= 48 && c <= 57) || c === 43 || c === 45 || c === 46) {
+            return this.readNumberOrRef();
+        }
+        return this.readKeyword();
+    }
+
+    readName() {
+        const bytes = this.bytes;
+        const start = ++this.pos;
+        while (this.isRegular(bytes[this.pos])) this.pos++;
+        const raw = bytesToBinaryString(bytes.subarray(start, this.pos));
+        return new PDFName(raw.replace(/#([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))));
+    }
+
+    readKeyword() {
+        const bytes = this.bytes;
+        const start = this.pos;
+        while (this.isRegular(bytes[this.pos])) this.pos++;
+        if (this.pos === start) this.pos++;
+        const word = bytesToBinaryString(bytes.subarray(start, this.pos));
+
+        if (word === 'true') return true;
+        if (word === 'false') return false;
+        if (word === 'null') return null;
+        return new PDFCommand(word);
+    }
+
+    readNumber() {
+        const bytes = this.bytes;
+        const start = this.pos;
+        while (this.pos < bytes.length) {
+            const c = bytes[this.pos];
+            if ((c >= 48 && c <= 57) || c === 43 || c === 45 || c === 46) this.pos++;
+            else break;
+        }
+        const value = parseFloat(bytesToBinaryString(bytes.subarray(start, this.pos)));
+        return isNaN(value) ? 0 : value;
+    }
+
+    readNumberOrRef() {
+        const num = this.readNumber();
+        if (!Number.isInteger(num) || num < 0) return num;
+
+        // Look ahead for "<num> <gen> R"
+        const saved = this.pos;
+        this.skipWhitespace();
+        const c = this.bytes[this.pos];
+        if (c >= 48 && c <= 57) {
+            const gen = this.readNumber();
+            this.skipWhitespace();
+            if (Number.isInteger(gen) && this.bytes[this.pos] === 82 && !this.isRegular(this.bytes[this.pos + 1])) {
+                this.pos++;
+                return new PDFRef(num, gen);
+            }
+        }
+        this.pos = saved;
+        return num;
+    }
+
+    readLiteralString() {
+        const bytes = this.bytes;
+        const chars = [];
+        let depth = 1;
+        this.pos++;
+
+        while (this.pos < bytes.length) {
+            let c = bytes[this.pos++];
+
+            if (c === 92) { // backslash
+                c = bytes[this.pos++];
+                switch (c) {
+                    case 110: chars.push(10); break; // \n
+                    case 114: chars.push(13); break; // \r
+                    case 116: chars.push(9); break;  // \t
+                    case 98: chars.push(8); break;   // \b
+                    case 102: chars.push(12); break; // \f
+                    case 13: // line continuation
+                        if (bytes[this.pos] === 10) this.pos++;
+                        break;
+                    case 10:
+                        break;
+                    default:
+                        if (c >= 48 && c <= 55) {
+                            // Up to three octal digits
+                            let code = c - 48;
+                            for (let i = 0; i < 2; i++) {
+                                const d = bytes[this.pos];
+                                if (d < 48 || d > 55) break;
+                                code = code * 8 + (d - 48);
+                                this.pos++;
+                            }
+                            chars.push(code & 0xff);
+                        } else if (c !== undefined) {
+                            chars.push(c);
+                        }
+                }
+                continue;
+            }
+
+            if (c === 40) {
+                depth++;
+            } else if (c === 41) {
+                depth--;
+                if (depth === 0) break;
+            }
+            chars.push(c);
+        }
+
+        return bytesToBinaryString(Uint8Array.from(chars));
+    }
+
+    readHexString() {
+        const bytes = this.bytes;
+        let hex = '';
+        this.pos++;
+
+        while (this.pos < bytes.length && bytes[this.pos] !== 62) {
+            const ch = String.fromCharCode(bytes[this.pos++]);
+            if (/[0-9A-Fa-f]/.test(ch)) hex += ch;
+        }
+        this.pos++;
+
+        if (hex.length % 2) hex += '0';
+        let result = '';
+        for (let i = 0; i < hex.length; i += 2) {
+            result += String.fromCharCode(parseInt(hex.substr(i, 2), 16));
+        }
+        return result;
+    }
+
+    readArray() {
+        const items = [];
+        this.pos++;
+
+        for (;;) {
+            this.skipWhitespace();
+            if (this.pos >= this.bytes.length) break;
+            if (this.bytes[this.pos] === 93) {
+                this.pos++;
+                break;
+            }
+            const value = this.readObject();
+            if (value instanceof PDFCommand && /^[>)}]$/.test(value.op)) continue;
+            items.push(value);
+        }
+        return items;
+    }
+
+    readDictionary() {
+        const dict = {};
+        this.pos += 2;
+
+        for (;;) {
+            this.skipWhitespace();
+            if (this.pos >= this.bytes.length) break;
+            if (this.bytes[this.pos] === 62 && this.bytes[this.pos + 1] === 62) {
+                this.pos += 2;
+                break;
+            }
+            const key = this.readObject();
+            if (!(key instanceof PDFName)) continue;
+            dict[key.name] = this.readObject();
+        }
+
+        // A dictionary followed by "stream" is a stream object
+        const saved = this.pos;
+        this.skipWhitespace();
+        if (this.startsWith('stream')) {
+            return this.readStreamData(dict);
+        }
+        this.pos = saved;
+        return dict;
+    }
+
+    readStreamData(dict) {
+        const bytes = this.bytes;
+        this.pos += 6;
+        if (bytes[this.pos] === 13) this.pos++;
+        if (bytes[this.pos] === 10) this.pos++;
+        const start = this.pos;
+
+        let length = dict.Length;
+        if (length instanceof PDFRef) {
+            length = this.resolveLength ? this.resolveLength(length) : null;
+        }
+
+        let end = -1;
+        if (Number.isInteger(length) && length >= 0 && start + length <= bytes.length) {
+            // Trust /Length only if "endstream" follows it
+            const check = new PDFLexer(bytes, start + length);
+            check.skipWhitespace();
+            if (check.startsWith('endstream')) end = start + length;
+        }
+        if (end < 0) {
+            end = indexOfBytes(bytes, 'endstream', start);
+            if (end < 0) end = bytes.length;
+            if (bytes[end - 1] === 10) end--;
+            if (bytes[end - 1] === 13) end--;
+        }
+
+        this.pos = end;
+        this.skipWhitespace();
+        if (this.startsWith('endstream')) this.pos += 9;
+        return new PDFStream(dict, bytes.subarray(start, end));
+    }
+}
+
+// Character encodings for simple fonts (upper halves; lower half is ASCII)
+const PDF_WIN_ANSI_HIGH =
+    '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009DžŸ' +
+    ' ¡¢£¤¥¦§¨©ª«¬­®¯°±²³´µ¶·¸¹º»¼½¾¿' +
+    'ÀÁÂÃÄÅÆÇÈÉÊËÌÍÎÏÐÑÒÓÔÕÖ×ØÙÚÛÜÝÞßàáâãäåæçèéêëìíîïðñòóôõö÷øùúûüýþÿ';
+const PDF_MAC_ROMAN_HIGH =
+    'ÄÅÇÉÑÖÜáàâäãåçéèêëíìîïñóòôöõúùûü†°¢£§•¶ß®©™´¨≠ÆØ∞±≤≥¥µ∂∑∏π∫ªºΩæø' +
+    '¿¡¬√ƒ≈∆«»… ÀÃÕŒœ–—“”‘’÷◊ÿŸ⁄€‹›ﬁﬂ‡·‚„‰ÂÊÁËÈÍÎÏÌÓÔÒÚÛÙıˆ˜¯˘˙˚¸˝˛ˇ';
+
+// Glyph names used in /Differences arrays (letters and digits are handled separately)
+const PDF_GLYPH_NAMES = {
+    space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+    ampersand: '&', quotesingle: "'", parenleft: '(', parenright: ')', asterisk: '*',
+    plus: '+', comma: ',', hyphen: '-', period: '.', slash: '/', colon: ':', semicolon: ';',
+    less: '<', equal: '=', greater: '>', question: '?', at: '@', bracketleft: '[',
+    backslash: '\\', bracketright: ']', asciicircum: '^', underscore: '_', grave: '`',
+    braceleft: '{', bar: '|', braceright: '}', asciitilde: '~', quoteleft: '‘',
+    quoteright: '’', quotedblleft: '“', quotedblright: '”', quotesinglbase: '‚',
+    quotedblbase: '„', bullet: '•', endash: '–', emdash: '—', ellipsis: '…',
+    dagger: '†', daggerdbl: '‡', degree: '°', copyright: '©', registered: '®',
+    trademark: '™', minus: '−', multiply: '×', divide: '÷', section: '§',
+    paragraph: '¶', periodcentered: '·', germandbls: 'ß', ae: 'æ', AE: 'Æ', oe: 'œ',
+    OE: 'Œ', oslash: 'ø', Oslash: 'Ø', dotlessi: 'ı', fi: 'fi', fl: 'fl', ff: 'ff',
+    ffi: 'ffi', ffl: 'ffl', nbspace: ' ', sfthyphen: '­', guillemotleft: '«',
+    guillemotright: '»', exclamdown: '¡', questiondown: '¿', plusminus: '±', mu: 'µ',
+    zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6',
+    seven: '7', eight: '8', nine: '9'
+};
+
+const PDF_ACCENT_MARKS = {
+    acute: '\u0301', grave: '\u0300', circumflex: '\u0302', tilde: '\u0303',
+    dieresis: '\u0308', ring: '\u030A', cedilla: '\u0327', caron: '\u030C'
+};
+
+// Font decoding: character codes to Unicode text and glyph widths
+class PDFFont {
+    constructor(parser, dict) {
+        this.dict = dict || {};
+        const subtype = dict && dict.Subtype instanceof PDFName ? dict.Subtype.name : '';
+        this.isComposite = subtype === 'Type0';
+        this.toUnicode = null;
+        this.codeLengths = [this.isComposite ? 2 : 1];
+        this.encoding = null;
+
+        const toUnicode = parser.resolve(this.dict.ToUnicode);
+        if (toUnicode instanceof PDFStream) {
+            const data = parser.decodeStream(toUnicode);
+            if (data) this.readCMap(bytesToBinaryString(data));
+        }
+
+        if (this.isComposite) {
+            this.readCompositeWidths(parser);
+        } else {
+            this.readSimpleEncoding(parser);
+            this.firstChar = parser.resolve(this.dict.FirstChar) || 0;
+            this.widths = parser.resolve(this.dict.Widths) || null;
+            const descriptor = parser.resolve(this.dict.FontDescriptor);
+            this.defaultWidth = (descriptor && parser.resolve(descriptor.MissingWidth)) || 500;
+        }
+    }
+
+    static hexToCode(hex) {
+        return parseInt(hex || '0', 16);
+    }
+
+    static utf16ToString(hex) {
+        let result = '';
+        for (let i = 0; i + 3 < hex.length; i += 4) {
+            result += String.fromCharCode(parseInt(hex.substr(i, 4), 16));
+        }
+        if (hex.length === 2) result = String.fromCharCode(parseInt(hex, 16));
+        return result;
+    }
+
+    readCMap(text) {
+        this.toUnicode = new Map();
+        const lengths = new Set();
+
+        for (const block of text.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+            for (const range of block[1].matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>/g)) {
+                lengths.add(range[1].length / 2);
+            }
+        }
+
+        for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+            for (const entry of block[1].matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]*)>/g)) {
+                this.toUnicode.set(PDFFont.hexToCode(entry[1]), PDFFont.utf16ToString(entry[2]));
+                if (!lengths.size) lengths.add(entry[1].length / 2);
+            }
+        }
+
+        for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+            const tokens = block[1].match(/<[0-9A-Fa-f]*>|\[|\]/g) || [];
+            let i = 0;
+            while (i + 2 < tokens.length) {
+                const low = PDFFont.hexToCode(tokens[i].slice(1, -1));
+                const high = PDFFont.hexToCode(tokens[i + 1].slice(1, -1));
+                if (!lengths.size) lengths.add((tokens[i].length - 2) / 2);
+                i += 2;
+
+                if (tokens[i] === '[') {
+                    // Explicit destination for each code in the range
+                    i++;
+                    for (let code = low; i < tokens.length && tokens[i] !== ']'; code++, i++) {
+                        this.toUnicode.set(code, PDFFont.utf16ToString(tokens[i].slice(1, -1)));
+                    }
+                    i++;
+                } else {
+                    // Destination increments with the code
+                    const base = PDFFont.utf16ToString(tokens[i].slice(1, -1));
+                    const prefix = base.slice(0, -1);
+                    const last = base.charCodeAt(base.length - 1) || 0;
+                    for (let code = low; code <= high && code - low < 65536; code++) {
+                        this.toUnicode.set(code, prefix + String.fromCharCode(last + code - low));
+                    }
+                    i++;
+                }
+            }
+        }
+
+        if (lengths.size) {
+            this.codeLengths = [...lengths].filter(n => n >= 1 && n <= 4).sort((a, b) => a - b);
+        }
+    }
+
+    readSimpleEncoding(parser) {
+        const table = PDFFont.baseEncoding('WinAnsiEncoding');
+        const encoding = parser.resolve(this.dict.Encoding);
+
+        if (encoding instanceof PDFName) {
+            this.encoding = PDFFont.baseEncoding(encoding.name);
+            return;
+        }
+
+        if (encoding && typeof encoding === 'object') {
+            const base = parser.resolve(encoding.BaseEncoding);
+            const result = base instanceof PDFName ? PDFFont.baseEncoding(base.name) : table;
+            const differences = parser.resolve(encoding.Differences) || [];
+            let code = 0;
+            differences.forEach(item => {
+                if (typeof item === 'number') {
+                    code = item;
+                } else if (item instanceof PDFName) {
+                    result[code++] = PDFFont.glyphToUnicode(item.name);
+                }
+            });
+            this.encoding = result;
+            return;
+        }
+
+        this.encoding = table;
+    }
+
+    static baseEncoding(name) {
+        const table = [];
+        for (let i = 0; i < 256; i++) {
+            table[i] = i >= 32 && i < 127 ? String.fromCharCode(i) : '';
+        }
+        const high = name === 'MacRomanEncoding' ? PDF_MAC_ROMAN_HIGH : PDF_WIN_ANSI_HIGH;
+        for (let i = 0; i < high.length; i++) {
+            table[128 + i] = high[i];
+        }
+        if (name === 'StandardEncoding') {
+            table[39] = '’';
+            table[96] = '‘';
+        }
+        return table;
+    }
+
+    static glyphToUnicode(name) {
+        // Ligature names ("f_f_i") and suffixed variants ("a.sc")
+        if (name.includes('_') && name.length > 1) {
+            return name.split('_').map(part => PDFFont.glyphToUnicode(part)).join('');
+        }
+        name = name.split('.')[0];
+
+        if (/^[A-Za-z]$/.test(name)) return name;
+        if (PDF_GLYPH_NAMES[name] !== undefined) return PDF_GLYPH_NAMES[name];
+
+        let match = name.match(/^uni([0-9A-Fa-f]{4})+$/);
+        if (match) {
+            return name.slice(3).match(/.{4}/g).map(h => String.fromCharCode(parseInt(h, 16))).join('');
+        }
+        match = name.match(/^u([0-9A-Fa-f]{4,6})$/);
+        if (match) return String.fromCodePoint(parseInt(match[1], 16));
+
+        // Accented letters such as "eacute" or "Ccedilla"
+        match = name.match(/^([A-Za-z])(acute|grave|circumflex|tilde|dieresis|ring|cedilla|caron)$/);
+        if (match) return (match[1] + PDF_ACCENT_MARKS[match[2]]).normalize('NFC');
+
+        return '';
+    }
+
+    readCompositeWidths(parser) {
+        const descendants = parser.resolve(this.dict.DescendantFonts);
+        const cidFont = parser.resolve(Array.isArray(descendants) ? descendants[0] : null) || {};
+        this.defaultWidth = parser.resolve(cidFont.DW) || 1000;
+        this.cidWidths = new Map();
+
+        const w = parser.resolve(cidFont.W) || [];
+        for (let i = 0; i < w.length;) {
+            const first = parser.resolve(w[i]);
+            const next = parser.resolve(w[i + 1]);
+            if (Array.isArray(next)) {
+                next.forEach((width, j) => this.cidWidths.set(first + j, parser.resolve(width)));
+                i += 2;
+            } else {
+                const width = parser.resolve(w[i + 2]);
+                for (let cid = first; cid <= next && cid - first < 65536; cid++) {
+                    this.cidWidths.set(cid, width);
+                }
+                i += 3;
+            }
+        }
+    }
+
+    glyphWidth(code) {
+        if (this.isComposite) {
+            const width = this.cidWidths.get(code);
+            return (width !== undefined ? width : this.defaultWidth) / 1000;
+        }
+        const width = this.widths ? this.widths[code - this.firstChar] : undefined;
+        return (typeof width === 'number' && width > 0 ? width : this.defaultWidth) / 1000;
+    }
+
+    // Split a byte string into glyphs: [{ text, width, isSpace }]
+    decode(str) {
+        const glyphs = [];
+        let i = 0;
+
+        while (i < str.length) {
+            let length = this.codeLengths[0];
+            let code = 0;
+
+            if (this.toUnicode && this.codeLengths.length > 1) {
+                // Mixed-width code spaces: prefer the shortest code that has a mapping
+                for (const candidate of this.codeLengths) {
+                    let value = 0;
+                    for (let j = 0; j < candidate; j++) value = (value << 8) | (str.charCodeAt(i + j) || 0);
+                    length = candidate;
+                    code = value;
+                    if (this.toUnicode.has(value)) break;
+                }
+            } else {
+                for (let j = 0; j < length; j++) code = (code << 8) | (str.charCodeAt(i + j) || 0);
+            }
+            i += length;
+
+            let text = '';
+            if (this.toUnicode && this.toUnicode.has(code)) {
+                text = this.toUnicode.get(code);
+            } else if (!this.isComposite && this.encoding) {
+                text = this.encoding[code] || '';
+            }
+
+            glyphs.push({
+                text: text.replace(/[\uFB00-\uFB06]/g, ch => ch.normalize('NFKC')),
+                width: this.glyphWidth(code),
+                isSpace: length === 1 && code === 32
+            });
+        }
+        return glyphs;
+    }
+}
+
+// Fallback font for text shown before any Tf operator
+const PDF_DEFAULT_FONT_DICT = { Subtype: new PDFName('Type1') };
+
+class PDFParser {
+    constructor(data) {
+        this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.xref = new Map();
+        this.trailer = {};
+        this.objectCache = new Map();
+        this.objectStreams = new Map();
+        this.fontCache = new Map();
+
+        if (indexOfBytes(this.bytes.subarray(0, 1024), '%PDF') < 0) {
+            throw new Error('Not a PDF file');
+        }
+        this.readCrossReference();
+
+        if (this.trailer.Encrypt) {
+            throw new Error('Encrypted PDFs are not supported');
+        }
+    }
+
+    // ===== Cross-reference data =====
+
+    readCrossReference() {
+        try {
+            const startxref = lastIndexOfBytes(this.bytes, 'startxref');
+            if (startxref < 0) throw new Error('Missing startxref');
+
+            const lexer = new PDFLexer(this.bytes, startxref + 9);
+            let offset = lexer.readObject();
+            const visited = new Set();
+
+            while (typeof offset === 'number' && !visited.has(offset)) {
+                visited.add(offset);
+                offset = this.readXrefSection(offset);
+            }
+        } catch (error) {
+            this.xref.clear();
+        }
+
+        if (this.xref.size === 0 || !this.trailer.Root) {
+            this.rebuildCrossReference();
+        }
+    }
+
+    mergeTrailer(dict) {
+        Object.keys(dict).forEach(key => {
+            // Newer sections are read first, so existing keys win
+            if (!(key in this.trailer)) this.trailer[key] = dict[key];
+        });
+    }
+
+    setXrefEntry(num, entry) {
+        if (!this.xref.has(num)) this.xref.set(num, entry);
+    }
+
+    // Reads one xref section and returns the offset of the previous one (or null)
+    readXrefSection(offset) {
+        const lexer = new PDFLexer(this.bytes, offset);
+        lexer.skipWhitespace();
+
+        if (!lexer.startsWith('xref')) {
+            return this.readXrefStream(offset);
+        }
+
+        lexer.pos += 4;
+        for (;;) {
+            lexer.skipWhitespace();
+            if (lexer.pos >= this.bytes.length) throw new Error('Unterminated xref table');
+            if (lexer.startsWith('trailer')) {
+                lexer.pos += 7;
+                break;
+            }
+
+            const first = lexer.readObject();
+            const count = lexer.readObject();
+            if (typeof first !== 'number' || typeof count !== 'number') {
+                throw new Error('Invalid xref subsection');
+            }
+
+            for (let i = 0; i < count; i++) {
+                const entryOffset = lexer.readObject();
+                const gen = lexer.readObject();
+                const type = lexer.readObject();
+                if (!(type instanceof PDFCommand)) throw new Error('Invalid xref entry');
+
+                if (type.op === 'n' && entryOffset > 0) {
+                    this.setXrefEntry(first + i, { offset: entryOffset, gen });
+                } else {
+                    this.setXrefEntry(first + i, { free: true });
+                }
+            }
+        }
+
+        const trailer = lexer.readObject() || {};
+        this.mergeTrailer(trailer);
+
+        // Hybrid files keep compressed objects in an additional xref stream
+        if (typeof trailer.XRefStm === 'number') {
+            this.readXrefStream(trailer.XRefStm);
+        }
+        return typeof trailer.Prev === 'number' ? trailer.Prev : null;
+    }
+
+    readXrefStream(offset) {
+        const stream = this.readIndirectObject(offset);
+        if (!(stream instanceof PDFStream)) throw new Error('Invalid xref stream');
+
+        const dict = stream.dict;
+        const data = this.decodeStream(stream);
+        const widths = this.resolve(dict.W) || [1, 2, 1];
+        const index = this.resolve(dict.Index) || [0, this.resolve(dict.Size) || 0];
+        const entrySize = widths.reduce((a, b) => a + b, 0);
+        let pos = 0;
+
+        const field = (width, fallback) => {
+            if (width === 0) return fallback;
+            let value = 0;
+            for (let i = 0; i < width; i++) value = value * 256 + data[pos++];
+            return value;
+        };
+
+        for (let s = 0; s + 1 < index.length; s += 2) {
+            const first = index[s];
+            const count = index[s + 1];
+            for (let i = 0; i < count && pos + entrySize <= data.length; i++) {
+                const type = field(widths[0], 1);
+                const f2 = field(widths[1], 0);
+                const f3 = field(widths[2], 0);
+
+                if (type === 1) this.setXrefEntry(first + i, { offset: f2, gen: f3 });
+                else if (type === 2) this.setXrefEntry(first + i, { objStm: f2, index: f3 });
+                else this.setXrefEntry(first + i, { free: true });
+            }
+        }
+
+        const trailer = {};
+        ['Root', 'Info', 'Encrypt', 'ID', 'Size'].forEach(key => {
+            if (key in dict) trailer[key] = dict[key];
+        });
+        this.mergeTrailer(trailer);
+        return typeof dict.Prev === 'number' ? dict.Prev : null;
+    }
+
+    // Locate objects by scanning the whole file when the xref data is missing or broken
+    rebuildCrossReference() {
+        const text = bytesToBinaryString(this.bytes);
+        const objectPattern = /(\d+)\s+(\d+)\s+obj\b/g;
+        let match;
+
+        this.xref.clear();
+        this.objectCache.clear();
+        while ((match = objectPattern.exec(text))) {
+            this.xref.set(parseInt(match[1], 10), { offset: match.index, gen: parseInt(match[2], 10) });
+        }
+
+        let pos = 0;
+        while ((pos = text.indexOf('trailer', pos)) >= 0) {
+            const lexer = new PDFLexer(this.bytes, pos + 7);
+            const dict = lexer.readObject();
+            if (dict && typeof dict === 'object' && dict.Root) {
+                this.trailer = Object.assign({}, this.trailer, dict);
+            }
+            pos += 7;
+        }
+
+        // Register objects stored inside object streams and find a catalog if needed
+        [...this.xref.keys()].forEach(num => {
+            const value = this.fetch(num);
+            if (!value || typeof value !== 'object') return;
+            const dict = value instanceof PDFStream ? value.dict : value;
+            const type = dict.Type instanceof PDFName ? dict.Type.name : '';
+
+            if (type === 'ObjStm' && value instanceof PDFStream) {
+                const stm = this.loadObjectStream(num);
+                stm.entries.forEach(([objNum], index) => {
+                    if (!this.xref.has(objNum)) this.xref.set(objNum, { objStm: num, index });
+                });
+            } else if (type === 'XRef' && dict.Root && !this.trailer.Root) {
+                this.trailer.Root = dict.Root;
+            } else if (type === 'Catalog' && !this.trailer.Root) {
+                this.trailer.Root = new PDFRef(num, 0);
+            }
+        });
+    }
+
+    // ===== Objects =====
+
+    readIndirectObject(offset, expectedNum) {
+        const lexer = new PDFLexer(this.bytes, offset, ref => this.resolve(ref));
+        const num = lexer.readObject();
+        lexer.readObject(); // generation
+        const keyword = lexer.readObject();
+
+        if (!(keyword instanceof PDFCommand) || keyword.op !== 'obj' ||
+            (expectedNum !== undefined && num !== expectedNum)) {
+            throw new Error(`Object ${expectedNum} not found at offset ${offset}`);
+        }
+        return lexer.readObject();
+    }
+
+    loadObjectStream(num) {
+        if (this.objectStreams.has(num)) return this.objectStreams.get(num);
+
+        const stream = this.fetch(num);
+        const stm = { data: new Uint8Array(0), first: 0, entries: [] };
+        if (stream instanceof PDFStream) {
+            stm.data = this.decodeStream(stream) || stm.data;
+            stm.first = this.resolve(stream.dict.First) || 0;
+            const count = this.resolve(stream.dict.N) || 0;
+            const header = new PDFLexer(stm.data, 0);
+            for (let i = 0; i < count; i++) {
+                const objNum = header.readObject();
+                const objOffset = header.readObject();
+                if (typeof objNum !== 'number' || typeof objOffset !== 'number') break;
+                stm.entries.push([objNum, objOffset]);
+            }
+        }
+        this.objectStreams.set(num, stm);
+        return stm;
+    }
+
+    fetch(num) {
+        if (this.objectCache.has(num)) return this.objectCache.get(num);
+
+        const entry = this.xref.get(num);
+        let value = null;
+        // Guard against reference cycles while the object is being read
+        this.objectCache.set(num, null);
+
+        try {
+            if (entry && entry.objStm !== undefined) {
+                const stm = this.loadObjectStream(entry.objStm);
+                const found = stm.entries[entry.index] && stm.entries[entry.index][0] === num
+                    ? stm.entries[entry.index]
+                    : stm.entries.find(([objNum]) => objNum === num);
+                if (found) {
+                    value = new PDFLexer(stm.data, stm.first + found[1]).readObject();
+                }
+            } else if (entry && !entry.free) {
+                value = this.readIndirectObject(entry.offset, num);
+            }
+        } catch (error) {
+            value = null;
+        }
+
+        if (value instanceof PDFCommand || value === undefined) value = null;
+        this.objectCache.set(num, value);
+        return value;
+    }
+
+    resolve(value) {
+        let depth = 0;
+        while (value instanceof PDFRef && depth++ < 32) {
+            value = this.fetch(value.num);
+        }
+        return value instanceof PDFRef ? null : value;
+    }
+
+    // ===== Stream filters =====
+
+    decodeStream(stream) {
+        let data = stream.bytes;
+        let filters = this.resolve(stream.dict.Filter);
+        let params = this.resolve(stream.dict.DecodeParms);
+        if (!filters) return data;
+        if (!Array.isArray(filters)) filters = [filters];
+        if (!Array.isArray(params)) params = [params];
+
+        for (let i = 0; i < filters.length; i++) {
+            const filter = this.resolve(filters[i]);
+            const param = this.resolve(params[i]) || null;
+            const name = filter instanceof PDFName ? filter.name : '';
+
+            switch (name) {
+                case 'FlateDecode':
+                case 'Fl':
+                    data = PDFParser.applyPredictor(Inflate.inflate(data), param);
+                    break;
+                case 'LZWDecode':
+                case 'LZW':
+                    data = PDFParser.applyPredictor(PDFParser.decodeLZW(data, param), param);
+                    break;
+                case 'ASCIIHexDecode':
+                case 'AHx':
+                    data = PDFParser.decodeASCIIHex(data);
+                    break;
+                case 'ASCII85Decode':
+                case 'A85':
+                    data = PDFParser.decodeASCII85(data);
+                    break;
+                default:
+                    // Image codecs (DCT, JPX, CCITT...) never carry text
+                    return null;
+            }
+        }
+        return data;
+    }
+
+    static applyPredictor(data, params) {
+        const predictor = (params && params.Predictor) || 1;
+        if (predictor < 2) return data;
+
+        const colors = params.Colors || 1;
+        const bitsPerComponent = params.BitsPerComponent || 8;
+        const columns = params.Columns || 1;
+        const bytesPerPixel = Math.max(1, Math.ceil(colors * bitsPerComponent / 8));
+        const rowLength = Math.ceil(colors * bitsPerComponent * columns / 8);
+
+        if (predictor === 2) {
+            // TIFF predictor (8-bit components only)
+            const out = Uint8Array.from(data);
+            for (let row = 0; row < out.length; row += rowLength) {
+                for (let i = bytesPerPixel; i < rowLength && row + i < out.length; i++) {
+                    out[row + i] = (out[row + i] + out[row + i - bytesPerPixel]) & 0xff;
+                }
+            }
+            return out;
+        }
+
+        // PNG predictors: every row starts with its own filter type byte
+        const rows = Math.floor(data.length / (rowLength + 1));
+        const out = new Uint8Array(rows * rowLength);
+        let prev = new Uint8Array(rowLength);
+
+        for (let r = 0; r < rows; r++) {
+            const filterType = data[r * (rowLength + 1)];
+            const src = data.subarray(r * (rowLength + 1) + 1, (r + 1) * (rowLength + 1));
+            const row = out.subarray(r * rowLength, (r + 1) * rowLength);
+
+            for (let i = 0; i < rowLength; i++) {
+                const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+                const up = prev[i];
+                const upLeft = i >= bytesPerPixel ? prev[i - bytesPerPixel] : 0;
+                let value = src[i];
+
+                if (filterType === 1) value += left;
+                else if (filterType === 2) value += up;
+                else if (filterType === 3) value += (left + up) >> 1;
+                else if (filterType === 4) {
+                    const p = left + up - upLeft;
+                    const pa = Math.abs(p - left);
+                    const pb = Math.abs(p - up);
+                    const pc = Math.abs(p - upLeft);
+                    value += pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft);
+                }
+                row[i] = value & 0xff;
+            }
+            prev = row;
+        }
+        return out;
+    }
+
+    static decodeLZW(data, params) {
+        const earlyChange = params && params.EarlyChange === 0 ? 0 : 1;
+        const out = [];
+        let table = [];
+        let codeLength = 9;
+        let prev = null;
+        let bitBuf = 0;
+        let bitCount = 0;
+        let pos = 0;
+
+        const resetTable = () => {
+            table = [];
+            for (let i = 0; i < 256; i++) table.push([i]);
+            table.push(null, null); // 256 = clear, 257 = end of data
+            codeLength = 9;
+            prev = null;
+        };
+        resetTable();
+
+        while (pos < data.length || bitCount >= codeLength) {
+            while (bitCount < codeLength && pos < data.length) {
+                bitBuf = (bitBuf << 8) | data[pos++];
+                bitCount += 8;
+            }
+            if (bitCount < codeLength) break;
+
+            const code = (bitBuf >>> (bitCount - codeLength)) & ((1 << codeLength) - 1);
+            bitCount -= codeLength;
+            bitBuf &= (1 << bitCount) - 1;
+
+            if (code === 256) {
+                resetTable();
+                continue;
+            }
+            if (code === 257) break;
+
+            let entry;
+            if (code < table.length && table[code]) {
+                entry = table[code];
+                if (prev) table.push(prev.concat(entry[0]));
+            } else if (prev) {
+                entry = prev.concat(prev[0]);
+                table.push(entry);
+            } else {
+                break;
+            }
+            out.push(...entry);
+            prev = entry;
+
+            if (table.length + earlyChange >= (1 << codeLength) && codeLength < 12) codeLength++;
+        }
+        return Uint8Array.from(out);
+    }
+
+    static decodeASCIIHex(data) {
+        const hex = bytesToBinaryString(data).split('>')[0].replace(/[^0-9A-Fa-f]/g, '');
+        const out = new Uint8Array(Math.ceil(hex.length / 2));
+        for (let i = 0; i < out.length; i++) {
+            out[i] = parseInt((hex.substr(i * 2, 2) + '0').slice(0, 2), 16);
+        }
+        return out;
+    }
+
+    static decodeASCII85(data) {
+        const text = bytesToBinaryString(data).replace(/^\s*<~/, '').split('~>')[0].replace(/\s+/g, '');
+        const out = [];
+        let group = [];
+
+        const flush = (count) => {
+            while (group.length < 5) group.push(84); // pad with 'u'
+            let value = 0;
+            group.forEach(c => { value = value * 85 + c; });
+            const bytes = [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+            out.push(...bytes.slice(0, count));
+            group = [];
+        };
+
+        for (const ch of text) {
+            if (ch === 'z' && group.length === 0) {
+                out.push(0, 0, 0, 0);
+                continue;
+            }
+            const c = ch.charCodeAt(0) - 33;
+            if (c < 0 || c > 84) continue;
+            group.push(c);
+            if (group.length === 5) flush(4);
+        }
+        if (group.length > 1) flush(group.length - 1);
+        return Uint8Array.from(out);
+    }
+
+    // ===== Page tree =====
+
+    getPages() {
+        const catalog = this.resolve(this.trailer.Root);
+        const pages = [];
+        const visited = new Set();
+
+        const walk = (nodeRef, inheritedResources) => {
+            if (nodeRef instanceof PDFRef) {
+                if (visited.has(nodeRef.num)) return;
+                visited.add(nodeRef.num);
+            }
+            const node = this.resolve(nodeRef);
+            if (!node || typeof node !== 'object') return;
+
+            const resources = node.Resources !== undefined ? node.Resources : inheritedResources;
+            const kids = this.resolve(node.Kids);
+            const type = node.Type instanceof PDFName ? node.Type.name : '';
+
+            if (Array.isArray(kids) && type !== 'Page') {
+                kids.forEach(kid => walk(kid, resources));
+            } else {
+                pages.push({ dict: node, resources: this.resolve(resources) || {} });
+            }
+        };
+
+        if (catalog) walk(catalog.Pages, undefined);
+
+        // Broken page tree: fall back to every page object in file order
+        if (pages.length === 0) {
+            [...this.xref.keys()].sort((a, b) => a - b).forEach(num => {
+                const obj = this.fetch(num);
+                if (obj && obj.Type instanceof PDFName && obj.Type.name === 'Page') {
+                    pages.push({ dict: obj, resources: this.resolve(obj.Resources) || {} });
+                }
+            });
+        }
+        return pages;
+    }
+
+    // ===== Text extraction =====
+
+    // Returns [{ number, lines: [{ text, fontSize }] }] in page order
+    // onProgress(pagesDone, pageCount) is called after each page
+    extractPages(onProgress = () => {}) {
+        const pages = this.getPages();
+        return pages.map((page, idx) => {
+            let lines = [];
+            try {
+                lines = this.extractPageLines(page);
+            } catch (error) {
+                console.warn(`Could not read page ${idx + 1}:`, error);
+            }
+            onProgress(idx + 1, pages.length);
+            return { number: idx + 1, lines };
+        });
+    }
+
+    getPageContent(page) {
+        let contents = this.resolve(page.dict.Contents);
+        if (!contents) return new Uint8Array(0);
+        if (!Array.isArray(contents)) contents = [contents];
+
+        const parts = contents
+            .map(part => this.resolve(part))
+            .filter(part => part instanceof PDFStream)
+            .map(part => this.decodeStream(part))
+            .filter(Boolean);
+
+        // Content streams may split anywhere between tokens; join with a newline
+        const total = parts.reduce((sum, part) => sum + part.length + 1, 0);
+        const joined = new Uint8Array(total);
+        let offset = 0;
+        parts.forEach(part => {
+            joined.set(part, offset);
+            joined[offset + part.length] = 10;
+            offset += part.length + 1;
+        });
+        return joined;
+    }
+
+    getFont(resources, name) {
+        const fonts = this.resolve(resources && resources.Font) || {};
+        const ref = fonts[name];
+        const key = ref instanceof PDFRef ? ref.num : null;
+
+        if (key !== null && this.fontCache.has(key)) return this.fontCache.get(key);
+        const font = new PDFFont(this, this.resolve(ref) || PDF_DEFAULT_FONT_DICT);
+        if (key !== null) this.fontCache.set(key, font);
+        return font;
+    }
+
+    extractPageLines(page) {
+        const lines = [];
+        const state = {
+            ctm: [1, 0, 0, 1, 0, 0],
+            font: null,
+            fontSize: 0,
+            charSpacing: 0,
+            wordSpacing: 0,
+            hScale: 1,
+            leading: 0,
+            rise: 0
+        };
+
+        this.runContent(this.getPageContent(page), page.resources, state, lines, 0);
+
+        return lines
+            .map(line => ({ text: line.text.replace(/\s+/g, ' ').trim(), fontSize: Math.round(line.fontSize * 10) / 10 }))
+            .filter(line => line.text.length > 0);
+    }
+
+    static multiply(m1, m2) {
+        return [
+            m1[0] * m2[0] + m1[1] * m2[2],
+            m1[0] * m2[1] + m1[1] * m2[3],
+            m1[2] * m2[0] + m1[3] * m2[2],
+            m1[2] * m2[1] + m1[3] * m2[3],
+            m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+            m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+        ];
+    }
+
+    // Interpret a content stream, appending positioned text to `lines`
+    runContent(content, resources, state, lines, depth) {
+        const lexer = new PDFLexer(content);
+        const saved = [];
+        let tm = [1, 0, 0, 1, 0, 0];
+        let tlm = [1, 0, 0, 1, 0, 0];
+        let operands = [];
+
+        const moveLine = (tx, ty) => {
+            tlm = PDFParser.multiply([1, 0, 0, 1, tx, ty], tlm);
+            tm = tlm.slice();
+        };
+
+        const addText = (text, startMatrix, endMatrix, size) => {
+            const x = startMatrix[4];
+            const y = startMatrix[5];
+            const endX = endMatrix[4];
+            const last = lines[lines.length - 1];
+
+            if (last && Math.abs(y - last.y) < Math.max(size, last.fontSize) * 0.5) {
+                const gap = x - last.endX;
+                if (gap > size * 0.15 && !/\s$/.test(last.text) && !/^\s/.test(text)) {
+                    last.text += ' ';
+                }
+                last.text += text;
+                last.endX = endX;
+                last.fontSize = Math.max(last.fontSize, text.trim() ? size : 0);
+            } else if (text.trim()) {
+                lines.push({ text, x, y, endX, fontSize: size });
+            }
+        };
+
+        const showText = (str) => {
+            if (!state.font) state.font = this.getFont(null, null);
+            const glyphs = state.font.decode(str);
+            const start = PDFParser.multiply(PDFParser.multiply([1, 0, 0, 1, 0, state.rise], tm), state.ctm);
+            const size = Math.abs(state.fontSize) * Math.hypot(start[2], start[3]) || Math.abs(state.fontSize);
+            let text = '';
+            let advance = 0;
+
+            glyphs.forEach(glyph => {
+                text += glyph.text;
+                advance += (glyph.width * state.fontSize + state.charSpacing +
+                    (glyph.isSpace ? state.wordSpacing : 0)) * state.hScale;
+            });
+
+            tm = PDFParser.multiply([1, 0, 0, 1, advance, 0], tm);
+            const end = PDFParser.multiply(tm, state.ctm);
+            addText(text, start, end, size);
+        };
+
+        for (;;) {
+            const token = lexer.readObject();
+            if (token === undefined) break;
+            if (!(token instanceof PDFCommand)) {
+                operands.push(token);
+                continue;
+            }
+
+            const args = operands;
+            operands = [];
+            const num = (i) => (typeof args[i] === 'number' ? args[i] : 0);
+
+            switch (token.op) {
+                case 'q':
+                    saved.push(Object.assign({}, state, { ctm: state.ctm.slice() }));
+                    break;
+                case 'Q':
+                    if (saved.length) Object.assign(state, saved.pop());
+                    break;
+                case 'cm':
+                    state.ctm = PDFParser.multiply([num(0), num(1), num(2), num(3), num(4), num(5)], state.ctm);
+                    break;
+                case 'BT':
+                    tm = [1, 0, 0, 1, 0, 0];
+                    tlm = [1, 0, 0, 1, 0, 0];
+                    break;
+                case 'Tf':
+                    state.font = this.getFont(resources, args[0] instanceof PDFName ? args[0].name : null);
+                    state.fontSize = num(1);
+                    break;
+                case 'Tc':
+                    state.charSpacing = num(0);
+                    break;
+                case 'Tw':
+                    state.wordSpacing = num(0);
+                    break;
+                case 'Tz':
+                    state.hScale = num(0) / 100;
+                    break;
+                case 'TL':
+                    state.leading = num(0);
+                    break;
+                case 'Ts':
+                    state.rise = num(0);
+                    break;
+                case 'Td':
+                    moveLine(num(0), num(1));
+                    break;
+                case 'TD':
+                    state.leading = -num(1);
+                    moveLine(num(0), num(1));
+                    break;
+                case 'Tm':
+                    tlm = [num(0), num(1), num(2), num(3), num(4), num(5)];
+                    tm = tlm.slice();
+                    break;
+                case 'T*':
+                    moveLine(0, -state.leading);
+                    break;
+                case 'Tj':
+                    if (typeof args[0] === 'string') showText(args[0]);
+                    break;
+                case "'":
+                    moveLine(0, -state.leading);
+                    if (typeof args[0] === 'string') showText(args[0]);
+                    break;
+                case '"':
+                    state.wordSpacing = num(0);
+                    state.charSpacing = num(1);
+                    moveLine(0, -state.leading);
+                    if (typeof args[2] === 'string') showText(args[2]);
+                    break;
+                case 'TJ':
+                    (Array.isArray(args[0]) ? args[0] : []).forEach(item => {
+                        if (typeof item === 'string') {
+                            showText(item);
+                        } else if (typeof item === 'number') {
+                            // Positive adjustments move left, negative ones open a gap
+                            const tx = -item / 1000 * state.fontSize * state.hScale;
+                            tm = PDFParser.multiply([1, 0, 0, 1, tx, 0], tm);
+                        }
+                    });
+                    break;
+                case 'Do':
+                    this.runFormXObject(args[0], resources, state, lines, depth);
+                    break;
+                case 'BI':
+                    this.skipInlineImage(lexer);
+                    break;
+            }
+        }
+    }
+
+    runFormXObject(name, resources, state, lines, depth) {
+        if (!(name instanceof PDFName) || depth > 8) return;
+        const xobjects = this.resolve(resources && resources.XObject) || {};
+        const xobject = this.resolve(xobjects[name.name]);
+        if (!(xobject instanceof PDFStream)) return;
+
+        const subtype = xobject.dict.Subtype;
+        if (!(subtype instanceof PDFName) || subtype.name !== 'Form') return;
+
+        const data = this.decodeStream(xobject);
+        if (!data) return;
+
+        const matrix = this.resolve(xobject.dict.Matrix);
+        const formState = Object.assign({}, state, {
+            ctm: Array.isArray(matrix) && matrix.length === 6
+                ? PDFParser.multiply(matrix, state.ctm)
+                : state.ctm.slice()
+        });
+        const formResources = this.resolve(xobject.dict.Resources) || resources;
+        this.runContent(data, formResources, formState, lines, depth + 1);
+    }
+
+    skipInlineImage(lexer) {
+        // Skip the image dictionary up to "ID", then binary data up to "EI"
+        for (;;) {
+            const token = lexer.readObject();
+            if (token === undefined) return;
+            if (token instanceof PDFCommand && token.op === 'ID') break;
+        }
+        const bytes = lexer.bytes;
+        let pos = lexer.pos + 1;
+        while (pos < bytes.length) {
+            const end = indexOfBytes(bytes, 'EI', pos);
+            if (end < 0) {
+                pos = bytes.length;
+                break;
+            }
+            if (PDF_WHITESPACE.has(bytes[end - 1]) &&
+                (end + 2 >= bytes.length || PDF_WHITESPACE.has(bytes[end + 2]))) {
+                pos = end + 2;
+                break;
+            }
+            pos = end + 2;
+        }
+        lexer.pos = pos;
+    }
+
+    // Plain text with one "--- Page N ---" section per page
+    static pagesToText(pages) {
+        return pages
+            .filter(page => page.lines.length > 0)
+            .map(page => {
+                const body = page.lines
+                    .map(line => line.text)
+                    .join('\n')
+                    // Re-join words hyphenated across line breaks
+                    .replace(/(\p{Ll})-\n(\p{Ll})/gu, '$1$2');
+                return `--- Page ${page.number} ---\n${body}`;
+            })
+            .join('\n\n');
+    }
+}
@@ -0,0 +1,153 @@
+// perturbation.js - False Statement Generator for True/False Questions
+// Turns a sentence from the document into a believable false variant by swapping
+// a key term, negating the verb, changing a number or reversing cause and effect.
+// Negation and cause swaps know English grammar only; other languages swap terms and numbers.
+// Needs grading.js for singular and plural forms.
+
+// Auxiliary verbs that can take "not" without changing the main verb
+const PERTURB_AUXILIARIES = /\b(is|are|was|were|can|will|should|must|could|would|may)\b/i;
+const PERTURB_NEGATED = /\b(is|are|was|were|will|should|must|could|would|may)\s+not\b|\b(cannot|can't)\b/i;
+
+const PERTURB_CAUSAL_VERBS = /^(.+?)\s+(causes|caused|leads to|led to|results in|resulted in|produces|produced|triggers|triggered)\s+(.+?)([.!?]?)$/i;
+const PERTURB_BECAUSE = /^(.+?),?\s+(because|since|due to the fact that)\s+(.+?)([.!?]?)$/i;
+
+
+class StatementPerturber {
+    // terms: key terms that may be swapped for each other; random: () => [0, 1);
+    // language: a code from LANGUAGES
+    constructor({ terms = [], random = Math.random, language = 'en' } = {}) {
+        this.terms = terms;
+        this.random = random;
+        this.language = language;
+    }
+
+    static termPattern(term, flags = 'iu') {
+        return new RegExp(Language.wholeWord(Language.escape(term), term), flags);
+    }
+
+    // A term is plural when its last word is ("cell membranes", not "endoplasmic reticulum")
+    static isPlural(term) {
+        return AnswerGrader.isPlural(term.split(/\s+/).pop().toLowerCase());
+    }
+
+    static capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    // Lowercase the first word of a clause moved out of sentence-initial position,
+    // unless it looks like a name (a key term, an acronym or a capitalized pair)
+    lowerOpener(text) {
+        const [first, second = ''] = text.split(/\s+/);
+        const isName = this.terms.some(term => text.startsWith(term)) ||
+            /^[A-Z0-9]{2,}$/.test(first) || /^[A-Z]/.test(second);
+        return isName ? text : text.charAt(0).toLowerCase() + text.slice(1);
+    }
+
+    shuffle(items) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    // Returns { text, method } or null when no strategy applies. Negation is the
+    // easiest change to spot, so it is only used when nothing else works.
+    perturb(sentence) {
+        const strategies = this.language === 'en'
+            ? [...this.shuffle(['termSwap', 'numberChange', 'causeSwap']), 'negation']
+            : this.shuffle(['termSwap', 'numberChange']);
+        for (const method of strategies) {
+            const text = this[method](sentence);
+            if (text && text !== sentence) return { text, method };
+        }
+        return null;
+    }
+
+    // Key terms in the sentence as [{ term, start, end }], longest first; a term inside a
+    // longer one ("membrane" in "cell membrane") is not counted
+    termsIn(sentence) {
+        const found = [];
+        [...this.terms].sort((a, b) => b.length - a.length).forEach(term => {
+            for (const match of sentence.matchAll(StatementPerturber.termPattern(term, 'giu'))) {
+                const start = match.index;
+                const end = start + match[0].length;
+                if (!found.some(other => start < other.end && end > other.start)) found.push({ term, start, end });
+            }
+        });
+        return found;
+    }
+
+    // Replace a key term with another one of the same number (singular/plural), so that
+    // it still agrees with its verb
+    termSwap(sentence) {
+        const present = this.termsIn(sentence);
+        if (present.length === 0) return null;
+
+        const { term, start, end } = present[Math.floor(this.random() * present.length)];
+        const isPlural = StatementPerturber.isPlural(term);
+        const replacements = this.shuffle(this.terms.filter(other =>
+            other.toLowerCase() !== term.toLowerCase() &&
+            StatementPerturber.isPlural(other) === isPlural &&
+            !StatementPerturber.termPattern(other).test(sentence)
+        ));
+        if (replacements.length === 0) return null;
+
+        // The new term keeps its own casing, capitalized only to start the sentence
+        const replacement = start === 0 ? StatementPerturber.capitalize(replacements[0]) : replacements[0];
+        return sentence.slice(0, start) + replacement + sentence.slice(end);
+    }
+
+    // "is" becomes "is not" and "is not" becomes "is"
+    negation(sentence) {
+        const negated = sentence.match(PERTURB_NEGATED);
+        if (negated) {
+            return negated[2]
+                ? sentence.replace(PERTURB_NEGATED, 'can')
+                : sentence.replace(PERTURB_NEGATED, negated[1]);
+        }
+
+        const auxiliary = sentence.match(PERTURB_AUXILIARIES);
+        if (!auxiliary || auxiliary.index === 0) return null;
+        const replacement = auxiliary[1].toLowerCase() === 'can' ? 'cannot' : `${auxiliary[1]} not`;
+        return sentence.slice(0, auxiliary.index) + replacement + sentence.slice(auxiliary.index + auxiliary[1].length);
+    }
+
+    // Shift a year by a few years, any other number by a noticeable amount
+    numberChange(sentence) {
+        const number = sentence.match(/\b\d+(?:\.\d+)?\b/);
+        if (!number) return null;
+
+        const original = number[0];
+        const value = parseFloat(original);
+        const decimals = (original.split('.')[1] || '').length;
+        let changed;
+
+        if (!decimals && value >= 1500 && value <= 2100) {
+            const shift = 1 + Math.floor(this.random() * 10);
+            changed = this.random() < 0.5 ? value - shift : value + shift;
+        } else if (!decimals && value <= 10) {
+            changed = value <= 1 || this.random() < 0.5 ? value + 1 + Math.floor(this.random() * 2) : value - 1;
+        } else {
+            const factors = [0.5, 1.5, 2, 3];
+            changed = value * factors[Math.floor(this.random() * factors.length)];
+        }
+
+        const text = changed.toFixed(decimals);
+        if (text === original) return null;
+        return sentence.slice(0, number.index) + text + sentence.slice(number.index + original.length);
+    }
+
+    // "A causes B" becomes "B causes A"; "A because B" becomes "B because A"
+    causeSwap(sentence) {
+        const match = sentence.match(PERTURB_CAUSAL_VERBS) || sentence.match(PERTURB_BECAUSE);
+        if (!match) return null;
+
+        const [, first, link, second, end] = match;
+        // "A causes B to do C" cannot be turned around
+        if (/^(\S+\s+){1,2}to\s/.test(second)) return null;
+
+        return `${StatementPerturber.capitalize(second)} ${link.toLowerCase()} ${this.lowerOpener(first)}${end}`;
+    }
+}
@@ -0,0 +1,85 @@
+// quiz-core.mjs - The Generator as a Node Module
+// Runs the same DOM-free scripts the page and study-worker.js load and exports what they
+// define, so Node gets exactly the browser's extraction and quizzes. The scripts run together
+// inside one function, where they see each other's names as they do in the browser but add
+// nothing to Node's globals; the function runs in this realm, so its arrays and errors are
+// ordinary ones.
+//
+//   import { readSource, generateStudySet } from './quiz-core.mjs';
+
+import { readFileSync } from 'node:fs';
+import { File } from 'node:buffer';
+import vm from 'node:vm';
+
+// study-worker.js's scripts, in its order, without the worker's own tasks, plus the file formats
+const QUIZ_CORE_SCRIPTS = [
+    'random.js',
+    'inflate.js',
+    'pdf-parser.js',
+    'zip-reader.js',
+    'document-model.js',
+    'math.js',
+    'text-processor.js',
+    'extractors.js',
+    'languages.js',
+    'stop-words.js',
+    'summarizer.js',
+    'key-terms.js',
+    'distractors.js',
+    'grading.js',
+    'perturbation.js',
+    'quiz-generator.js',
+    'exporters.js',
+    'quiz-file.js'
+];
+
+const QUIZ_CORE_SOURCE = QUIZ_CORE_SCRIPTS.map(script => readFileSync(new URL(script, import.meta.url), 'utf8')).join('\n');
+
+export const {
+    SeededRandom,
+    DocumentModel,
+    TextProcessor,
+    MathText,
+    LatexRenderer,
+    Language,
+    LANGUAGES,
+    QUESTION_TYPES,
+    DEFAULT_QUIZ_SETTINGS,
+    StatementPerturber,
+    QuizGenerator,
+    buildStudyMaterial,
+    defaultTitle,
+    extractorRegistry,
+    AnswerGrader,
+    StudyExporter,
+    QuizFile
+} = vm.runInThisContext(`(function () {
+${QUIZ_CORE_SOURCE}
+return {
+    SeededRandom, DocumentModel, TextProcessor, MathText, LatexRenderer, Language, LANGUAGES,
+    QUESTION_TYPES, DEFAULT_QUIZ_SETTINGS, StatementPerturber, QuizGenerator, buildStudyMaterial, defaultTitle,
+    extractorRegistry, AnswerGrader, StudyExporter, QuizFile
+};
+})`, { filename: 'quiz-core-scripts.js' })();
+
+// { name, document } for a file's bytes, read by the extractor its name picks;
+// onProgress(message, fraction) as in the app
+export async function readSource(name, bytes, onProgress = () => {}) {
+    const file = new File([bytes], name);
+    const extractor = extractorRegistry.find(file);
+    if (!extractor) throw new Error(`Unsupported file type: ${name}`);
+    return { name, document: await extractor.extract(file, onProgress) };
+}
+
+// { name, document } for plain text; 'Pasted text' as in the app unless named
+export function textSource(text, name = 'Pasted text') {
+    return { name, document: DocumentModel.fromText(text) };
+}
+
+// A study set like the ones the app saves: { title, settings, seed, language, notes, quiz }.
+// settings override DEFAULT_QUIZ_SETTINGS
+export function generateStudySet(sources, settings = {}, onProgress = () => {}) {
+    if (sources.length === 0) throw new Error('No sources to generate from');
+    const merged = { ...DEFAULT_QUIZ_SETTINGS, ...settings };
+    return { title: defaultTitle(sources), settings: merged, ...buildStudyMaterial(sources, merged, onProgress) };
+}
@@ -0,0 +1,231 @@
+// quiz-file.js - JSON Quiz File Format
+// A curated quiz saved as JSON and loaded back into the player. Files are checked
+// against QUIZ_FILE_SCHEMA (a small JSON Schema subset) and then per question type.
+
+const QUIZ_FILE_FORMAT = 'quiz-generator/quiz';
+const QUIZ_FILE_VERSION = 1;
+
+// A blank in a question: three or more underscores
+const QUIZ_FILE_BLANK = /_{3,}/g;
+
+const QUIZ_FILE_SCHEMA = {
+    type: 'object',
+    required: ['format', 'version', 'questions'],
+    properties: {
+        format: { const: QUIZ_FILE_FORMAT },
+        version: { type: 'integer', minimum: 1, maximum: QUIZ_FILE_VERSION },
+        title: { type: 'string' },
+        questions: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['id', 'type', 'question', 'correctAnswer'],
+                properties: {
+                    id: { type: 'string', minLength: 1 },
+                    type: { enum: QUESTION_TYPES.map(type => type.id) },
+                    question: { type: 'string', minLength: 1 },
+                    options: { type: 'array', items: { type: 'string', minLength: 1 } },
+                    correctAnswer: { type: 'string', minLength: 1 },
+                    // Other accepted answers to a fill-in-the-blank question
+                    alternatives: { type: 'array', items: { type: 'string', minLength: 1 } },
+                    // A numeric answer's unit, and how far off an answer may be (default: its precision)
+                    unit: { type: 'string' },
+                    tolerance: { type: 'number', minimum: 0 },
+                    // A cloze question's answers, one per blank in order
+                    answers: { type: 'array', items: { type: 'string', minLength: 1 } },
+                    // A matching question's terms and definitions
+                    pairs: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['term', 'definition'],
+                            properties: {
+                                term: { type: 'string', minLength: 1 },
+                                definition: { type: 'string', minLength: 1 }
+                            }
+                        }
+                    },
+                    // An ordering question's steps in the right order (options holds the order shown)
+                    items: { type: 'array', items: { type: 'string', minLength: 1 } },
+                    // Words a short answer is graded by
+                    keywords: { type: 'array', items: { type: 'string', minLength: 1 } },
+                    original: { type: 'string' },
+                    source: { type: 'string' },
+                    // The sentence the question was made from and where it is in its source
+                    sentence: {
+                        type: 'object',
+                        required: ['text'],
+                        properties: {
+                            text: { type: 'string', minLength: 1 },
+                            position: { type: 'integer', minimum: 0 },
+                            offset: { type: 'integer', minimum: 0 },
+                            heading: { type: 'string' },
+                            page: { type: 'integer', minimum: 1 }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+class QuizFile {
+    static typeOf(value) {
+        if (Array.isArray(value)) return 'array';
+        if (value === null) return 'null';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    // Error messages for `value` against a schema; an empty list means it is valid
+    static validate(value, schema, path = 'quiz') {
+        const errors = [];
+        const type = QuizFile.typeOf(value);
+
+        if (schema.const !== undefined && value !== schema.const) {
+            errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+        }
+        if (schema.type && schema.type !== type && !(schema.type === 'number' && type === 'integer')) {
+            errors.push(`${path} must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+            return errors;
+        }
+
+        if (type === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+            errors.push(`${path} must not be empty`);
+        }
+        if ((type === 'integer' || type === 'number') && schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be at least ${schema.minimum}`);
+        }
+        if ((type === 'integer' || type === 'number') && schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be at most ${schema.maximum}`);
+        }
+
+        if (type === 'array') {
+            if (schema.minItems && value.length < schema.minItems) {
+                errors.push(`${path} needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+            }
+            if (schema.items) {
+                value.forEach((item, idx) => errors.push(...QuizFile.validate(item, schema.items, `${path}[${idx}]`)));
+            }
+        }
+
+        if (type === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+            });
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (value[key] !== undefined) errors.push(...QuizFile.validate(value[key], propertySchema, `${path}.${key}`));
+            });
+        }
+
+        return errors;
+    }
+
+    // Rules the schema cannot express: options and answers must fit the question type
+    static checkQuestion(question, path) {
+        const errors = [];
+        const options = question.options || [];
+
+        if (question.type === 'truefalse') {
+            if (!['true', 'false'].includes(question.correctAnswer)) {
+                errors.push(`${path}.correctAnswer must be "true" or "false"`);
+            }
+        } else if (question.type === 'mcq') {
+            if (options.length < 2) errors.push(`${path} needs at least 2 options`);
+            if (new Set(options).size !== options.length) errors.push(`${path} has duplicate options`);
+            if (!options.includes(question.correctAnswer)) errors.push(`${path}.correctAnswer must be one of its options`);
+        } else if (question.type === 'numeric') {
+            if (MathText.parseNumber(question.correctAnswer) === null) errors.push(`${path}.correctAnswer must be a number`);
+        } else if (question.type === 'cloze') {
+            const blanks = (question.question.match(QUIZ_FILE_BLANK) || []).length;
+            if (blanks === 0) errors.push(`${path} needs a blank (______) in the question`);
+            if (!question.answers || question.answers.length !== blanks) errors.push(`${path} needs one answer per blank`);
+        } else if (question.type === 'matching') {
+            const pairs = question.pairs || [];
+            const definitions = pairs.map(pair => pair.definition);
+            if (pairs.length < 2) errors.push(`${path} needs at least 2 pairs`);
+            if (new Set(pairs.map(pair => pair.term)).size !== pairs.length) errors.push(`${path} has duplicate terms`);
+            if (new Set(definitions).size !== definitions.length) errors.push(`${path} has duplicate definitions`);
+            if (options.length !== definitions.length || !definitions.every(definition => options.includes(definition))) {
+                errors.push(`${path}.options must be its definitions`);
+            }
+        } else if (question.type === 'ordering') {
+            const items = question.items || [];
+            if (items.length < 2) errors.push(`${path} needs at least 2 items`);
+            if (new Set(items).size !== items.length) errors.push(`${path} has duplicate items`);
+            if (options.length !== items.length || !items.every(item => options.includes(item))) {
+                errors.push(`${path}.options must be its items`);
+            }
+        } else if (question.type === 'shortanswer') {
+            if (!question.keywords || question.keywords.length === 0) errors.push(`${path} needs at least 1 keyword`);
+        }
+        return errors;
+    }
+
+    // Errors for a list of questions, numbered the way the player shows them
+    static validateQuestions(questions) {
+        const { items, ...listSchema } = QUIZ_FILE_SCHEMA.properties.questions;
+        const errors = QuizFile.validate(questions, listSchema, 'questions');
+        if (errors.length > 0) return errors;
+
+        const ids = new Set();
+        questions.forEach((question, idx) => {
+            const path = `Question ${idx + 1}`;
+            const schemaErrors = QuizFile.validate(question, items, path);
+            errors.push(...(schemaErrors.length > 0 ? schemaErrors : QuizFile.checkQuestion(question, path)));
+            if (ids.has(question.id)) errors.push(`${path} repeats the id "${question.id}"`);
+            ids.add(question.id);
+        });
+        return errors;
+    }
+
+    // Only the fields in the schema are written
+    static serialize(title, questions) {
+        const fields = Object.keys(QUIZ_FILE_SCHEMA.properties.questions.items.properties);
+        const file = {
+            format: QUIZ_FILE_FORMAT,
+            version: QUIZ_FILE_VERSION,
+            title,
+            questions: questions.map(question => {
+                const entry = {};
+                fields.forEach(field => {
+                    if (question[field] !== undefined && question[field] !== null) entry[field] = question[field];
+                });
+                return entry;
+            })
+        };
+        return JSON.stringify(file, null, 2);
+    }
+
+    // { title, questions } from file text; throws with the list of problems
+    static parse(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        // The questions are checked one by one below
+        const { questions, ...properties } = QUIZ_FILE_SCHEMA.properties;
+        let errors = QuizFile.validate(file, { ...QUIZ_FILE_SCHEMA, properties });
+        if (errors.length === 0) errors = QuizFile.validateQuestions(file.questions);
+        if (errors.length > 0) {
+            const shown = errors.slice(0, 5).map(error => `- ${error}`);
+            if (errors.length > 5) shown.push(`- ...and ${errors.length - 5} more`);
+            throw new Error(`This is not a valid quiz file:\n${shown.join('\n')}`);
+        }
+
+        return {
+            title: file.title || '',
+            questions: file.questions.map(question => ({
+                ...question,
+                options: question.type === 'truefalse' ? ['True', 'False'] : question.options
+            }))
+        };
+    }
+}
@@ -0,0 +1,870 @@
+// quiz-generator.js - Notes and Quiz Generation
+// Turns extracted documents into sentences, key points, key terms and questions.
+// Uses no DOM APIs, so it runs on the page and in study-worker.js alike.
+
+// Question types offered in the quiz settings, with their default share of the quiz
+const QUESTION_TYPES = [
+    { id: 'truefalse', label: 'True/False', share: 20 },
+    { id: 'mcq', label: 'Multiple choice', share: 20 },
+    { id: 'fillblank', label: 'Fill in the blank', share: 15 },
+    { id: 'numeric', label: 'Numeric', share: 10 },
+    { id: 'cloze', label: 'Cloze', share: 10 },
+    { id: 'matching', label: 'Matching', share: 10 },
+    { id: 'ordering', label: 'Ordering', share: 5 },
+    { id: 'shortanswer', label: 'Short answer', share: 10 }
+];
+
+// Blanks in a cloze question, pairs in a matching one, steps in an ordering one
+const QUIZ_CLOZE_MAX_BLANKS = 3;
+const QUIZ_MATCHING_PAIRS = { min: 3, max: 5 };
+const QUIZ_ORDERING_STEPS = { min: 3, max: 8 };
+
+const DEFAULT_QUIZ_SETTINGS = {
+    questionCount: 10,
+    mix: Object.fromEntries(QUESTION_TYPES.map(type => [type.id, type.share])),
+    difficulty: 'mixed',
+    seed: '',
+    // Share of each file's sentences kept as key points, in percent
+    summaryLength: 20,
+    // A code from LANGUAGES, or 'auto' to detect it from the text
+    language: 'auto'
+};
+
+// Target difficulty score (0 - 1) for each setting; "mixed" takes everything
+const QUIZ_DIFFICULTY_TARGETS = { easy: 0.2, medium: 0.5, hard: 0.8 };
+
+// Enhanced Quiz Generator Class
+class QuizGenerator {
+    // Accepts plain text or a list of sources: [{ name, document }] or [{ name, text }];
+    // options override DEFAULT_QUIZ_SETTINGS
+    constructor(input, options = {}) {
+        this.settings = { ...DEFAULT_QUIZ_SETTINGS, ...options };
+        this.rng = new SeededRandom(this.settings.seed || undefined);
+        this.seed = this.rng.seed;
+
+        const sources = typeof input === 'string' ? [{ name: '', text: input }] : input;
+        const documents = sources.map(source => source.document || DocumentModel.fromText(source.text));
+        this.rawText = documents.map(doc => doc.toText()).join('\n\n');
+        this.language = LANGUAGES[this.settings.language] ? this.settings.language : Language.detect(this.rawText);
+
+        // Sections of every file in document order: [{ id, source, heading, level, page }]
+        this.sections = [];
+        // Paragraphs and list items, cleaned: [{ text, source, section, page }]
+        this.blocks = [];
+        // Numbered lists, cleaned: [{ items, source, section, page, sentence }] where sentence
+        // is the one introducing the list ("The stages are:") or else its first
+        this.orderedLists = [];
+        // Every sentence remembers its file, section and page, and where it starts in
+        // its file's text (offset) and among the file's sentences (position)
+        this.sentences = [];
+
+        this.sources = sources.map((source, idx) => {
+            const parts = [];
+            let position = 0;
+            // Start of the next part in the joined text below
+            let offset = 0;
+            const addPart = text => {
+                parts.push(text);
+                const start = offset;
+                offset += text.length + 2;
+                return start;
+            };
+
+            documents[idx].sections.forEach(section => {
+                const id = this.sections.length;
+                this.sections.push({
+                    id,
+                    source: source.name,
+                    heading: section.heading,
+                    level: section.level,
+                    page: section.page
+                });
+                if (section.heading) addPart(section.heading);
+
+                section.blocks.forEach(block => {
+                    const page = block.page ?? section.page;
+                    const texts = block.type === 'list' ? block.items : [block.text];
+                    const firstSentence = this.sentences.length;
+                    const items = [];
+
+                    texts.forEach(raw => {
+                        const text = this.preprocessText(raw);
+                        if (!text) return;
+                        items.push(text);
+                        const start = addPart(text);
+                        this.blocks.push({ text, source: source.name, section: id, page });
+                        let searchFrom = 0;
+                        this.splitSentences(text).forEach(sentence => {
+                            const at = text.indexOf(sentence, searchFrom);
+                            if (at >= 0) searchFrom = at + sentence.length;
+                            this.sentences.push({
+                                text: sentence,
+                                source: source.name,
+                                position: position++,
+                                offset: start + Math.max(at, 0),
+                                section: id,
+                                page
+                            });
+                        });
+                    });
+
+                    if (block.ordered && items.length > 1) {
+                        const before = this.sentences[firstSentence - 1];
+                        const intro = before && before.section === id && /:$/.test(before.text.trim()) ? before : null;
+                        const sentence = intro || this.sentences[firstSentence];
+                        if (sentence) this.orderedLists.push({ items, source: source.name, section: id, page, sentence });
+                    }
+                });
+            });
+
+            return { name: source.name, text: parts.join('\n\n') };
+        });
+        this.text = this.sources.map(source => source.text).join('\n\n');
+
+        // Word frequencies for judging how rare (and so how hard) a term is
+        this.wordCounts = new Map();
+        this.sentences.forEach(sentence => {
+            Language.words(sentence.text.toLowerCase(), this.language).forEach(word => {
+                if (/^[\p{L}\p{M}]+$/u.test(word)) this.wordCounts.set(word, (this.wordCounts.get(word) || 0) + 1);
+            });
+        });
+        this.maxWordCount = 1;
+        this.wordCounts.forEach(count => {
+            this.maxWordCount = Math.max(this.maxWordCount, count);
+        });
+    }
+
+    preprocessText(text) {
+        // Clean and structure the text; formulas are set aside and come back as $...$
+        return MathText.mask(text, masked => {
+            let processed = TextProcessor.cleanPDFText(masked);
+            processed = TextProcessor.extractReadableText(processed);
+            processed = TextProcessor.improveStructure(processed);
+            return processed;
+        });
+    }
+
+    splitSentences(text) {
+        const spaced = Language.isSpaced(this.language);
+        const sentences = Language.sentences(text, this.language)
+            // Closing punctuation is dropped, except at the very end of the text
+            .map(s => s.replace(/[.!?]+\s+$/, '').trim())
+            .filter(s => {
+                // Filter out garbage sentences
+                const wordCount = this.wordCount(s);
+                const hasLetters = /\p{L}{3,}/u.test(s);
+                const notTooShort = s.length > (spaced ? 20 : 8);
+                const notTooLong = s.length < 500;
+                const notMostlyNumbers = (s.match(/\d/g) || []).length < s.length * 0.5;
+                
+                return wordCount >= 3 && hasLetters && notTooShort && notTooLong && notMostlyNumbers;
+            });
+
+        return sentences;
+    }
+
+    wordCount(text) {
+        return Language.words(text, this.language).length;
+    }
+
+    // Letters only, long enough to mean something and not a stop word
+    isContentWord(word, minLength = Language.isSpaced(this.language) ? 4 : 2) {
+        return word.length >= minLength && /^[\p{L}\p{M}]+$/u.test(word) && !stopWordsFor(this.language).has(word.toLowerCase());
+    }
+
+    // 0 for the most frequent word in the document, 1 for a word used once
+    termRarity(word) {
+        const count = this.wordCounts.get(word.toLowerCase()) || 1;
+        return 1 - Math.log(count) / Math.log(this.maxWordCount + 1);
+    }
+
+    // 0 (easy) to 1 (hard) from sentence length and how rare its content words are
+    textDifficulty(text) {
+        const words = Language.words(text, this.language);
+        const lengthScore = Math.min(Math.max((words.length - 8) / 17, 0), 1);
+        const contentWords = words.filter(word => this.isContentWord(word));
+        const rarity = contentWords.length
+            ? contentWords.reduce((sum, word) => sum + this.termRarity(word), 0) / contentWords.length
+            : 0.5;
+        return (lengthScore + rarity) / 2;
+    }
+
+    // Keep the candidates closest to the chosen difficulty, in document order
+    selectByDifficulty(items, count, scoreOf) {
+        const target = QUIZ_DIFFICULTY_TARGETS[this.settings.difficulty];
+        if (target === undefined) return items;
+
+        const keep = new Set([...items]
+            .sort((a, b) => Math.abs(scoreOf(a) - target) - Math.abs(scoreOf(b) - target))
+            .slice(0, Math.max(count * 2, Math.ceil(items.length / 3))));
+        return items.filter(item => keep.has(item));
+    }
+
+    // Spread `count` picks over the whole document: every file gets a fair share, and
+    // within a file one item is drawn from each evenly sized stretch
+    sampleAcross(items, count) {
+        const groups = new Map();
+        items.forEach(item => {
+            if (!groups.has(item.source)) groups.set(item.source, []);
+            groups.get(item.source).push(item);
+        });
+
+        const quotas = new Map([...groups.keys()].map(key => [key, 0]));
+        let remaining = Math.min(count, items.length);
+        while (remaining > 0) {
+            groups.forEach((group, key) => {
+                if (remaining > 0 && quotas.get(key) < group.length) {
+                    quotas.set(key, quotas.get(key) + 1);
+                    remaining--;
+                }
+            });
+        }
+
+        const picked = [];
+        groups.forEach((group, key) => {
+            const quota = quotas.get(key);
+            for (let i = 0; i < quota; i++) {
+                const start = Math.floor(i * group.length / quota);
+                const end = Math.floor((i + 1) * group.length / quota);
+                picked.push(group[start + this.rng.int(end - start)]);
+            }
+        });
+        return picked;
+    }
+
+    // Extractive summary of each file: `percent`% of its sentences, in document order;
+    // onProgress(sentencesScored, sentenceCount) counts across all files
+    extractKeySentences(percent = this.settings.summaryLength, onProgress = () => {}) {
+        const bySource = new Map();
+        this.sentences.forEach(sentence => {
+            if (!bySource.has(sentence.source)) bySource.set(sentence.source, []);
+            bySource.get(sentence.source).push(sentence);
+        });
+
+        let scored = 0;
+        return [...bySource.values()].flatMap(sentences => {
+            const summary = new Summarizer(sentences, this.language).summarize(percent, done => {
+                onProgress(scored + done, this.sentences.length);
+            });
+            scored += sentences.length;
+            return summary;
+        });
+    }
+
+    // Key terms and phrases: [{ term, count, definition, occurrences }], best first
+    extractKeyTerms(maxTerms = Math.min(30, Math.max(15, Math.round(this.sentences.length / 8)))) {
+        return new KeyTermExtractor(this.sentences, this.language).extract(maxTerms);
+    }
+
+    // Notes grouped under the document's own headings: key points stay in
+    // reading order and each term goes to the section that uses it most
+    buildOutline(keySentences, keyTerms) {
+        const outline = this.sections.map(section => ({ ...section, points: [], terms: [] }));
+
+        [...keySentences]
+            .sort((a, b) => a.section - b.section || a.position - b.position)
+            .forEach(sentence => outline[sentence.section].points.push(sentence));
+
+        keyTerms.forEach(({ term, definition, occurrences }) => {
+            const counts = new Map();
+            [definition, ...occurrences].filter(Boolean).forEach(sentence => {
+                counts.set(sentence.section, (counts.get(sentence.section) || 0) + 1);
+            });
+            const best = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0];
+            if (best) outline[best[0]].terms.push(term);
+        });
+
+        // Keep sections with notes, plus the parent headings above them
+        const keep = new Set();
+        outline.forEach((section, idx) => {
+            if (section.points.length === 0 && section.terms.length === 0) return;
+            keep.add(idx);
+            let level = section.level;
+            for (let j = idx - 1; j >= 0 && level > 1; j--) {
+                const parent = outline[j];
+                if (parent.source !== section.source) break;
+                if (parent.level > 0 && parent.level < level) {
+                    keep.add(j);
+                    level = parent.level;
+                }
+            }
+        });
+
+        return outline.filter((section, idx) => keep.has(idx));
+    }
+
+    // What a question stores about the sentence it was made from, for explanations
+    // and for finding the passage again: { text, position, offset, heading, page }
+    sentenceRef(sentence) {
+        if (!sentence) return undefined;
+        const heading = this.sections[sentence.section].heading;
+        return {
+            text: sentence.text.trim(),
+            position: sentence.position,
+            offset: sentence.offset,
+            ...(heading && { heading }),
+            ...(sentence.page && { page: sentence.page })
+        };
+    }
+
+    // Sentences opening with "<term> is/are/means ..." in the document's language
+    // ("es un", "est un", "ist ein", "是"): [{ term, definition, source, sentence }]
+    extractDefinitions() {
+        const { copulas } = Language.get(this.language);
+        const pattern = Language.isSpaced(this.language)
+            // The shortest run of up to four words before the verb is the term
+            ? new RegExp(`^${Language.articlePrefix(this.language)}((?:[\\p{L}\\p{M}\\p{N}'’-]+\\s+){0,3}?[\\p{L}\\p{M}\\p{N}'’-]+)\\s+(?:${Language.alternatives(copulas)})(?:\\s+|(?<=['’]))([^.!?]{10,100})`, 'iu')
+            : new RegExp(`^([^\\s，、。,:：()（）]{2,12}?)(?:${Language.alternatives(copulas)})[，、,]?\\s*([^。！？]{5,100})`, 'u');
+        const stopWords = stopWordsFor(this.language);
+
+        return this.sentences
+            .map(sentence => ({ sentence, match: sentence.text.trim().match(pattern) }))
+            .filter(({ match }) => match)
+            .map(({ sentence, match }) => ({
+                term: match[1].trim(),
+                definition: match[2].trim(),
+                source: sentence.source,
+                sentence
+            }))
+            // "It is", "These are": a term does not start or end with a stop word
+            .filter(({ term }) => {
+                const words = Language.words(term.toLowerCase(), this.language);
+                return words.length > 0 && !stopWords.has(words[0]) && !stopWords.has(words[words.length - 1]);
+            })
+            .filter(d => this.wordCount(d.definition) >= 3);
+    }
+
+    // Questions per type from the settings' shares (largest remainder, so they add up)
+    allocateQuestions(types) {
+        const total = this.settings.questionCount;
+        const weights = types.map(type => Math.max(0, Number(this.settings.mix[type]) || 0));
+        const sum = weights.reduce((a, b) => a + b, 0);
+        if (sum === 0) return Object.fromEntries(types.map(type => [type, 0]));
+
+        const exact = weights.map(weight => weight / sum * total);
+        const counts = exact.map(Math.floor);
+        let remaining = total - counts.reduce((a, b) => a + b, 0);
+        exact
+            .map((value, idx) => ({ idx, fraction: value - Math.floor(value) }))
+            .sort((a, b) => b.fraction - a.fraction)
+            .forEach(({ idx }) => {
+                if (remaining > 0 && weights[idx] > 0) {
+                    counts[idx]++;
+                    remaining--;
+                }
+            });
+
+        return Object.fromEntries(types.map((type, idx) => [type, counts[idx]]));
+    }
+
+    generateQuiz() {
+        const keyTerms = this.extractKeyTerms().map(keyTerm => keyTerm.term);
+        const definitions = this.extractDefinitions();
+        const builders = {
+            truefalse: count => this.buildTrueFalse(count, keyTerms, definitions),
+            mcq: count => this.buildMultipleChoice(count, keyTerms, definitions),
+            fillblank: count => this.buildFillBlank(count, keyTerms),
+            numeric: count => this.buildNumeric(count),
+            cloze: count => this.buildCloze(count, keyTerms),
+            matching: count => this.buildMatching(count, definitions),
+            ordering: count => this.buildOrdering(count),
+            // Terms already asked as multiple choice are left out
+            shortanswer: count => this.buildShortAnswer(count, definitions.filter(d =>
+                !built.mcq.some(question => question.sentence.position === d.sentence.position)))
+        };
+        const types = Object.keys(builders);
+        const allocation = this.allocateQuestions(types);
+        const built = {};
+        types.forEach(type => {
+            built[type] = allocation[type] > 0 ? builders[type](allocation[type]) : [];
+        });
+
+        // When a type runs out of material, the other selected types make up the difference
+        const total = () => types.reduce((sum, type) => sum + built[type].length, 0);
+        types.forEach(type => {
+            const shortfall = this.settings.questionCount - total();
+            if (shortfall > 0 && allocation[type] > 0 && built[type].length === allocation[type]) {
+                built[type] = builders[type](allocation[type] + shortfall);
+            }
+        });
+
+        return types.flatMap(type => built[type]);
+    }
+
+    buildTrueFalse(count, keyTerms, definitions) {
+        const candidates = this.sentences.filter(s => this.wordCount(s.text) >= 8 && this.wordCount(s.text) <= 25);
+        const tfSentences = this.sampleAcross(
+            this.selectByDifficulty(candidates, count, s => this.textDifficulty(s.text)),
+            count
+        );
+
+        // About half of the statements are turned into false variants
+        const swappableTerms = new Map();
+        [...keyTerms, ...definitions.map(d => d.term.replace(/^(The|A|An)\s+/, ''))].forEach(term => {
+            if (!swappableTerms.has(term.toLowerCase())) swappableTerms.set(term.toLowerCase(), term);
+        });
+        const perturber = new StatementPerturber({
+            terms: [...swappableTerms.values()],
+            random: () => this.rng.next(),
+            language: this.language
+        });
+        const variants = tfSentences.map(sentence => perturber.perturb(sentence.text.trim()));
+        const falseTarget = Math.floor(tfSentences.length / 2) + (tfSentences.length % 2 && this.rng.next() < 0.5 ? 1 : 0);
+        const falseIndexes = new Set(this.rng.shuffle(
+            variants.map((variant, idx) => variant ? idx : -1).filter(idx => idx >= 0)
+        ).slice(0, falseTarget));
+
+        return tfSentences.map((sentence, idx) => {
+            const isFalse = falseIndexes.has(idx);
+            return {
+                id: `tf${idx}`,
+                type: 'truefalse',
+                question: isFalse ? variants[idx].text : sentence.text.trim(),
+                correctAnswer: isFalse ? 'false' : 'true',
+                options: ['True', 'False'],
+                source: sentence.source,
+                sentence: this.sentenceRef(sentence),
+                ...(isFalse && { original: sentence.text.trim(), perturbation: variants[idx].method })
+            };
+        });
+    }
+
+    // Multiple choice from definitions
+    buildMultipleChoice(count, keyTerms, definitions) {
+        const questions = [];
+
+        // Wrong options come from the rest of the document, ranked by similarity
+        const distractorEngine = new DistractorEngine({
+            definitions,
+            terms: keyTerms,
+            sentences: this.sentences,
+            language: this.language
+        });
+
+        const candidates = this.selectByDifficulty(
+            definitions,
+            count,
+            d => (this.textDifficulty(d.definition) + this.termRarity(Language.words(d.term, this.language).pop() || d.term)) / 2
+        );
+
+        this.sampleAcross(candidates, count).forEach(({ term, definition, source, sentence }) => {
+            const distractors = distractorEngine.forDefinition(term, definition, 3);
+            // Fewer options are better than obvious fakes, but a question needs at least two
+            if (distractors.length === 0) return;
+
+            const options = this.rng.shuffle([definition, ...distractors]);
+
+            questions.push({
+                id: `mcq${questions.length}`,
+                type: 'mcq',
+                question: Language.get(this.language).whatIs(term),
+                correctAnswer: definition,
+                options: options,
+                source,
+                sentence: this.sentenceRef(sentence)
+            });
+        });
+
+        return questions;
+    }
+
+    // Fill in the blank questions; the blank goes on a word of a key term when there is one
+    buildFillBlank(count, keyTerms = []) {
+        const termWords = new Set(keyTerms.flatMap(term =>
+            Language.words(term, this.language).map(word => KeyTermExtractor.keyOf([word]))));
+        const questions = [];
+        const candidates = this.sentences.filter(s => {
+            const count = this.wordCount(s.text);
+            return count >= 8 && count <= 20;
+        });
+        const fibSentences = this.sampleAcross(
+            this.selectByDifficulty(candidates, count, s => this.textDifficulty(s.text)),
+            count
+        );
+
+        fibSentences.forEach(sentence => {
+            // Words and the spaces and punctuation between them, so the blank keeps its surroundings
+            const text = sentence.text.trim();
+            const segments = Language.segments(text, this.language);
+            // Words inside a formula are never blanked
+            const formulas = MathText.split(text).filter(token => token.tex !== undefined);
+            let offset = 0;
+            segments.forEach(segment => {
+                segment.inFormula = formulas.some(formula => offset < formula.end && offset + segment.text.length > formula.start);
+                offset += segment.text.length;
+            });
+            // Choose a meaningful word, a key term's if the sentence has one: common ones
+            // are easier to recall, rare ones harder
+            const order = {
+                easy: (a, b) => this.termRarity(a.word) - this.termRarity(b.word),
+                hard: (a, b) => this.termRarity(b.word) - this.termRarity(a.word)
+            }[this.settings.difficulty];
+            const words = segments
+                .map((segment, i) => ({ word: segment.text, index: i, isWord: segment.word && !segment.inFormula }))
+                .filter(({ isWord }) => isWord);
+            const conceptWords = words.filter(({ word }) =>
+                termWords.has(KeyTermExtractor.keyOf([word])) && (this.isContentWord(word) || KeyTermExtractor.isAcronym(word)));
+            const meaningfulWords = conceptWords.length > 0
+                ? conceptWords
+                : words.filter(({ word }) => this.isContentWord(word, Language.isSpaced(this.language) ? 5 : 2));
+            meaningfulWords.sort((a, b) => (order && order(a, b)) || b.word.length - a.word.length);
+
+            if (meaningfulWords.length > 0) {
+                const blankIdx = meaningfulWords[0].index;
+                const correctWord = segments[blankIdx].text;
+                const questionText = segments
+                    .map((segment, i) => i === blankIdx ? '______' : segment.text)
+                    .join('');
+
+                questions.push({
+                    id: `fib${questions.length}`,
+                    type: 'fillblank',
+                    question: questionText,
+                    correctAnswer: correctWord.toLowerCase(),
+                    source: sentence.source,
+                    sentence: this.sentenceRef(sentence)
+                });
+            }
+        });
+
+        return questions;
+    }
+
+    // Values the text states: a symbol set to a number ("g = 9.8 m/s²", in a formula or
+    // not) or a number with a unit or inside a formula. [{ start, end, answer, unit, symbol }]
+    // with start and end in the text
+    findQuantities(text) {
+        const quantities = [];
+        const symbolSource = '[A-Za-z](?:_(?:\\{[^{}]*\\}|[A-Za-z0-9]))?';
+        const texNumber = /(?<![\^_{\\a-zA-Z\d.-])-?\d+(?:\.\d+)?(?:\s*\\(?:times|cdot)\s*10\^\{?-?\d+\}?)?(?![\d^])/g;
+        const isUnit = new RegExp(`^\\s*(?:${MATH_UNIT_SOURCE})?\\s*$`, 'u');
+
+        MathText.split(text).forEach(token => {
+            if (token.tex !== undefined) {
+                const texStart = token.start + text.slice(token.start, token.end).indexOf(token.tex);
+                const assignment = token.tex.match(new RegExp(`^(${symbolSource}|\\\\[a-zA-Z]+)\\s*(?:=|\\\\approx)\\s*`));
+                texNumber.lastIndex = 0;
+                let match;
+                while ((match = texNumber.exec(token.tex))) {
+                    const rest = token.tex.slice(match.index + match[0].length);
+                    // Units in formulas are often spaced ("\text{N m}^2")
+                    const unit = LatexRenderer.toPlain(rest).trim().replace(/(\S) (?=\S)/g, '$1·');
+                    const symbol = assignment && match.index === assignment[0].length && isUnit.test(unit) &&
+                        (!assignment[1].startsWith('\\') || MATH_SYMBOLS[assignment[1].slice(1)])
+                        ? MathText.wrap(assignment[1])
+                        : null;
+                    quantities.push({
+                        start: texStart + match.index,
+                        end: texStart + match.index + match[0].length,
+                        answer: LatexRenderer.toPlain(match[0]),
+                        unit: symbol ? unit : '',
+                        symbol,
+                        symbolStart: token.start
+                    });
+                }
+                return;
+            }
+
+            const assignment = new RegExp(`(?<![\\p{L}\\p{N}])(\\p{L}[\\p{L}\\p{N}₀-₉]{0,2})\\s*[=≈]\\s*(${MATH_NUMBER_SOURCE})(?:\\s*(${MATH_UNIT_SOURCE}))?`, 'gu');
+            const withUnit = new RegExp(`(?<![\\p{L}\\p{N}.,])(${MATH_NUMBER_SOURCE})\\s?(${MATH_UNIT_SOURCE})`, 'gu');
+            let match;
+            while ((match = assignment.exec(token.text))) {
+                const start = token.start + match.index + match[0].indexOf(match[2], match[1].length);
+                quantities.push({
+                    start,
+                    end: start + match[2].length,
+                    answer: match[2],
+                    unit: match[3] || '',
+                    symbol: match[1],
+                    symbolStart: token.start + match.index
+                });
+            }
+            while ((match = withUnit.exec(token.text))) {
+                const start = token.start + match.index;
+                if (quantities.some(quantity => quantity.start === start)) continue;
+                quantities.push({ start, end: start + match[1].length, answer: match[1], unit: '', symbol: null });
+            }
+        });
+
+        return quantities.filter(quantity => MathText.parseNumber(quantity.answer) !== null);
+    }
+
+    // "The acceleration due to gravity is" before "g = 9.8": a short name for the quantity
+    quantityName(before) {
+        if (!Language.isSpaced(this.language)) return '';
+        const { copulas } = Language.get(this.language);
+        const name = before
+            .replace(/[\s,:(]+$/, '')
+            .replace(new RegExp(`\\s+(?:${Language.alternatives(copulas)})$`, 'iu'), '')
+            .replace(new RegExp(`^${Language.articlePrefix(this.language)}`, 'iu'), '')
+            .trim();
+        const words = Language.words(name, this.language);
+        if (words.length === 0 || words.length > 6 || /[.!?;$=]/.test(name)) return '';
+        if (!words.some(word => this.isContentWord(word))) return '';
+        return /^\p{Lu}\p{Ll}/u.test(name) ? name.charAt(0).toLowerCase() + name.slice(1) : name;
+    }
+
+    // "What is the value of g?" when the text gives a symbol its value, otherwise the
+    // sentence with the number blanked; answers are graded with a numeric tolerance
+    buildNumeric(count) {
+        const candidates = this.sentences
+            .map(sentence => ({ sentence, source: sentence.source, quantities: this.findQuantities(sentence.text.trim()) }))
+            .filter(candidate => candidate.quantities.length > 0);
+        const picked = this.sampleAcross(
+            this.selectByDifficulty(candidates, count, candidate => this.textDifficulty(candidate.sentence.text)),
+            count
+        );
+
+        return picked.map(({ sentence, source, quantities }, idx) => {
+            const text = sentence.text.trim();
+            const quantity = quantities.find(item => item.symbol) || quantities[0];
+            let question;
+            if (quantity.symbol) {
+                const name = this.quantityName(text.slice(0, quantity.symbolStart));
+                question = Language.get(this.language).valueOf(name ? `${name} (${quantity.symbol})` : quantity.symbol);
+            } else {
+                question = `${text.slice(0, quantity.start)}______${text.slice(quantity.end)}`;
+            }
+
+            return {
+                id: `num${idx}`,
+                type: 'numeric',
+                question,
+                correctAnswer: quantity.answer,
+                ...(quantity.unit && { unit: quantity.unit }),
+                source,
+                sentence: this.sentenceRef(sentence)
+            };
+        });
+    }
+
+    // Sentences using two or more key terms, each blanked once: the best terms when there
+    // are too many, and the longest term where terms overlap ("cell membrane", not "cell").
+    // "______ are organelles that release energy through ______"
+    buildCloze(count, keyTerms) {
+        const patterns = keyTerms.map(term =>
+            KeyTermExtractor.termPattern(KeyTermExtractor.keyOf(Language.words(term, this.language)), 'gi'));
+        const candidates = this.sentences
+            .filter(sentence => this.wordCount(sentence.text) >= 8 && this.wordCount(sentence.text) <= 30)
+            .map(sentence => {
+                const text = sentence.text.trim();
+                const formulas = MathText.split(text).filter(token => token.tex !== undefined);
+                const matches = patterns.flatMap((pattern, rank) =>
+                    [...text.matchAll(pattern)].map(match => ({ start: match.index, end: match.index + match[0].length, answer: match[0], rank })));
+                const blanks = [];
+                matches
+                    .sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.rank - b.rank)
+                    .forEach(match => {
+                        // Blanks side by side would give no clue between them
+                        const near = span => !/\S/.test(text.slice(Math.min(match.end, span.end), Math.max(match.start, span.start)));
+                        const overlaps = span => match.start < span.end && match.end > span.start;
+                        const repeated = blanks.some(blank => blank.answer.toLowerCase() === match.answer.toLowerCase());
+                        if (!repeated && !blanks.some(near) && !formulas.some(overlaps)) blanks.push(match);
+                    });
+                const best = blanks.sort((a, b) => a.rank - b.rank).slice(0, QUIZ_CLOZE_MAX_BLANKS);
+                return { sentence, source: sentence.source, text, blanks: best.sort((a, b) => a.start - b.start) };
+            })
+            // Enough of the sentence must be left to go on
+            .filter(({ text, blanks }) => blanks.length >= 2 &&
+                this.wordCount(text) - blanks.reduce((sum, blank) => sum + this.wordCount(blank.answer), 0) >= 4);
+        const picked = this.sampleAcross(
+            this.selectByDifficulty(candidates, count, candidate => this.textDifficulty(candidate.text)),
+            count
+        );
+
+        return picked.map(({ sentence, source, text, blanks }, idx) => {
+            let question = '';
+            let at = 0;
+            blanks.forEach(blank => {
+                question += `${text.slice(at, blank.start)}______`;
+                at = blank.end;
+            });
+            const answers = blanks.map(blank => blank.answer);
+            return {
+                id: `cloze${idx}`,
+                type: 'cloze',
+                question: question + text.slice(at),
+                answers,
+                correctAnswer: answers.join(', '),
+                source,
+                sentence: this.sentenceRef(sentence)
+            };
+        });
+    }
+
+    // Defined terms to pair with their definitions; neighbouring definitions go together,
+    // so a question keeps to one topic
+    buildMatching(count, definitions) {
+        const seenTerms = new Set();
+        const seenDefinitions = new Set();
+        const unique = definitions.filter(({ term, definition }) => {
+            const key = term.toLowerCase();
+            const text = definition.toLowerCase();
+            if (seenTerms.has(key) || seenDefinitions.has(text)) return false;
+            seenTerms.add(key);
+            seenDefinitions.add(text);
+            return true;
+        });
+        const groupCount = Math.min(count, Math.floor(unique.length / QUIZ_MATCHING_PAIRS.min));
+        if (groupCount === 0) return [];
+
+        const size = Math.min(QUIZ_MATCHING_PAIRS.max, Math.floor(unique.length / groupCount));
+        const groups = [];
+        for (let start = 0; start + size <= unique.length; start += size) {
+            const group = unique.slice(start, start + size);
+            groups.push({ group, source: group[0].source });
+        }
+
+        return this.sampleAcross(groups, groupCount).map(({ group, source }, idx) => {
+            const pairs = group.map(({ term, definition }) => ({ term, definition }));
+            return {
+                id: `match${idx}`,
+                type: 'matching',
+                question: Language.get(this.language).matchTerms,
+                pairs,
+                options: this.rng.shuffle(pairs.map(pair => pair.definition)),
+                correctAnswer: pairs.map(pair => `${pair.term}: ${pair.definition}`).join('; '),
+                source,
+                sentence: this.sentenceRef(group[0].sentence)
+            };
+        });
+    }
+
+    // Numbered lists, and runs of sentences opening with the language's sequence words
+    // ("First ...", "Then ...", "Finally ..."), with those words taken off:
+    // [{ items, source, sentence }]
+    findSequences() {
+        const { steps } = Language.get(this.language);
+        const spaced = Language.isSpaced(this.language);
+        const marker = kind => new RegExp(
+            `^(?:${Language.alternatives(steps[kind])})${spaced ? '(?![\\p{L}\\p{M}\\p{N}])' : ''}[,，、]?\\s*`,
+            'iu'
+        );
+        const first = marker('first');
+        const next = marker('next');
+        const last = marker('last');
+        const step = (text, pattern) => {
+            const rest = text.replace(pattern, '');
+            return spaced ? rest.charAt(0).toUpperCase() + rest.slice(1) : rest;
+        };
+
+        const sequences = [...this.orderedLists];
+        let run = null;
+        const finish = () => {
+            if (run && run.items.length >= QUIZ_ORDERING_STEPS.min) sequences.push(run);
+            run = null;
+        };
+        this.sentences.forEach((sentence, idx) => {
+            const text = sentence.text.trim();
+            if (run && this.sentences[idx - 1].section === sentence.section) {
+                if (next.test(text)) {
+                    run.items.push(step(text, next));
+                    return;
+                }
+                if (last.test(text)) {
+                    run.items.push(step(text, last));
+                    finish();
+                    return;
+                }
+            }
+            finish();
+            if (first.test(text)) run = { items: [step(text, first)], source: sentence.source, sentence };
+        });
+        finish();
+
+        return sequences;
+    }
+
+    // Steps of a sequence to put back in order, shown never already in order
+    buildOrdering(count) {
+        const candidates = this.findSequences()
+            // Only the last sentence of a text keeps its full stop
+            .map(sequence => ({ ...sequence, items: sequence.items.map(item => item.replace(/[.!?。！？]+$/u, '')) }))
+            .filter(({ items }) =>
+            items.length >= QUIZ_ORDERING_STEPS.min && items.length <= QUIZ_ORDERING_STEPS.max &&
+            new Set(items).size === items.length && items.every(item => item.length <= 200));
+        const picked = this.sampleAcross(
+            this.selectByDifficulty(candidates, count, candidate => this.textDifficulty(candidate.items.join(' '))),
+            count
+        );
+
+        return picked.map(({ items, source, sentence }, idx) => {
+            let options = this.rng.shuffle(items);
+            if (options.every((item, i) => item === items[i])) options = [...items.slice(1), items[0]];
+            return {
+                id: `order${idx}`,
+                type: 'ordering',
+                question: Language.get(this.language).putInOrder,
+                items: [...items],
+                options,
+                correctAnswer: items.join(' → '),
+                source,
+                sentence: this.sentenceRef(sentence)
+            };
+        });
+    }
+
+    // "Describe osmosis in your own words": the defining sentence is the model answer and
+    // its rarest content words are the keywords an answer is graded by
+    buildShortAnswer(count, definitions) {
+        const candidates = definitions
+            .map(d => {
+                const termWords = new Set(Language.words(d.term.toLowerCase(), this.language));
+                // Words of the phrases key terms are found in, so no stop words or "over"
+                const keywords = [...new Set(KeyTermExtractor.phrases(d.definition, this.language)
+                    .flatMap(words => words.map(({ word }) => word.toLowerCase()))
+                    .filter(word => this.isContentWord(word) && !termWords.has(word)))];
+                const kept = new Set([...keywords]
+                    .sort((a, b) => this.termRarity(b) - this.termRarity(a))
+                    .slice(0, 5));
+                return { ...d, keywords: keywords.filter(word => kept.has(word)) };
+            })
+            .filter(d => d.keywords.length >= 2);
+        const picked = this.sampleAcross(
+            this.selectByDifficulty(candidates, count, d => this.textDifficulty(d.definition)),
+            count
+        );
+
+        return picked.map(({ term, keywords, source, sentence }, idx) => ({
+            id: `short${idx}`,
+            type: 'shortanswer',
+            question: Language.get(this.language).describe(term),
+            correctAnswer: sentence.text.trim(),
+            keywords,
+            source,
+            sentence: this.sentenceRef(sentence)
+        }));
+    }
+}
+
+// A single file is named after the file; pasted text after its first heading or words
+function defaultTitle(sources) {
+    const first = sources[0];
+    let title = first.name;
+    if (first.name === 'Pasted text') {
+        const heading = first.document.sections.find(section => section.heading);
+        title = heading ? heading.heading : first.document.toText().split(/\s+/).slice(0, 6).join(' ');
+    }
+    return sources.length > 1 ? `${title} + ${sources.length - 1} more` : title;
+}
+
+// Notes and quiz for a set of sources: { seed, notes: { outline, keyTerms }, quiz, sourceTexts }
+// where sourceTexts are the cleaned texts ([{ name, text }]) sentence offsets point into;
+// onProgress(message, fraction) names each step, fraction is null when unknown
+function buildStudyMaterial(sources, settings, onProgress = () => {}) {
+    onProgress('Splitting sentences...', null);
+    const generator = new QuizGenerator(sources, settings);
+    const keySentences = generator.extractKeySentences(undefined, (done, total) => {
+        onProgress(`Scoring sentences: ${done} of ${total}`, done / total);
+    });
+    onProgress('Finding key terms...', null);
+    const keyTerms = generator.extractKeyTerms();
+    onProgress('Writing questions...', null);
+    return {
+        seed: generator.seed,
+        language: generator.language,
+        notes: { outline: generator.buildOutline(keySentences, keyTerms), keyTerms },
+        quiz: generator.generateQuiz(),
+        sourceTexts: generator.sources
+    };
+}
\ No newline at end of file
@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+// quizgen.mjs - Command-Line Quiz Generator
+// Makes a quiz from each file, every supported file in a directory, or stdin, with the
+// same extractors and generator as the app (see quiz-core.mjs).
+
+import { readFile, readdir, stat, mkdir, writeFile } from 'node:fs/promises';
+import { basename, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+    readSource,
+    textSource,
+    generateStudySet,
+    extractorRegistry,
+    StudyExporter,
+    QuizFile,
+    QUESTION_TYPES,
+    LANGUAGES
+} from './quiz-core.mjs';
+
+const QUIZGEN_USAGE = `Usage: quizgen [options] [file|directory|-]...
+
+Makes a quiz from each file, from every supported file in a directory, or from
+stdin when no file (or "-") is given.
+
+Options:
+  -n, --questions <n>     Number of questions per quiz (default 10)
+  -f, --format <format>   json (a quiz file the app can open), gift or md (notes
+                          and quiz as Markdown); default json
+  -t, --types <list>      Question types to use, e.g. mcq,fillblank
+                          (${QUESTION_TYPES.map(type => type.id).join(', ')})
+  -d, --difficulty <d>    easy, medium, hard or mixed (default mixed)
+  -l, --language <code>   auto or one of ${Object.keys(LANGUAGES).join(', ')} (default auto)
+  -s, --seed <seed>       Seed; the same seed and input give the same quiz
+      --summary <percent> Share of sentences kept as key points (default 20)
+  -c, --combine           One quiz from all the inputs together, as the app does
+  -o, --out <directory>   Write one file per quiz there instead of to stdout
+  -q, --quiet             No progress on stderr
+  -h, --help              Show this help
+
+Several quizzes on stdout are written one after another; JSON ones as an array.`;
+
+const QUIZGEN_OPTIONS = {
+    questions: { type: 'string', short: 'n' },
+    format: { type: 'string', short: 'f', default: 'json' },
+    types: { type: 'string', short: 't' },
+    difficulty: { type: 'string', short: 'd' },
+    language: { type: 'string', short: 'l' },
+    seed: { type: 'string', short: 's' },
+    summary: { type: 'string' },
+    combine: { type: 'boolean', short: 'c' },
+    out: { type: 'string', short: 'o' },
+    quiet: { type: 'boolean', short: 'q' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// File name ending and the text written for each format
+const QUIZGEN_FORMATS = {
+    json: {
+        extension: '-quiz.json',
+        write: studySet => QuizFile.serialize(studySet.title, studySet.quiz),
+        join: texts => `[\n${texts.join(',\n')}\n]`
+    },
+    gift: {
+        extension: '-quiz.gift.txt',
+        write: studySet => StudyExporter.quizToGIFT(studySet.quiz, studySet.title),
+        join: texts => texts.join('\n')
+    },
+    md: {
+        extension: '.md',
+        write: studySet => `${StudyExporter.notesToMarkdown(studySet)}\n${StudyExporter.quizToMarkdown(studySet.quiz)}`,
+        join: texts => texts.join('\n')
+    }
+};
+
+class UsageError extends Error {}
+
+// Quiz settings from the options; throws UsageError for values the app would not accept
+function readSettings(values) {
+    const settings = {};
+    if (values.questions !== undefined) {
+        settings.questionCount = Number(values.questions);
+        if (!Number.isInteger(settings.questionCount) || settings.questionCount < 1) {
+            throw new UsageError('--questions must be a whole number of at least 1');
+        }
+    }
+    if (values.types !== undefined) {
+        const types = values.types.split(',').map(type => type.trim()).filter(Boolean);
+        const unknown = types.filter(type => !QUESTION_TYPES.some(known => known.id === type));
+        if (types.length === 0 || unknown.length > 0) {
+            throw new UsageError(`--types takes ${QUESTION_TYPES.map(type => type.id).join(', ')}`);
+        }
+        settings.mix = Object.fromEntries(QUESTION_TYPES.map(type => [type.id, types.includes(type.id) ? type.share : 0]));
+    }
+    if (values.difficulty !== undefined) {
+        if (!['easy', 'medium', 'hard', 'mixed'].includes(values.difficulty)) {
+            throw new UsageError('--difficulty must be easy, medium, hard or mixed');
+        }
+        settings.difficulty = values.difficulty;
+    }
+    if (values.language !== undefined) {
+        if (values.language !== 'auto' && !LANGUAGES[values.language]) {
+            throw new UsageError(`--language must be auto or one of ${Object.keys(LANGUAGES).join(', ')}`);
+        }
+        settings.language = values.language;
+    }
+    if (values.seed !== undefined) settings.seed = values.seed;
+    if (values.summary !== undefined) {
+        settings.summaryLength = Number(values.summary);
+        if (!(settings.summaryLength >= 1 && settings.summaryLength <= 100)) {
+            throw new UsageError('--summary must be a percentage from 1 to 100');
+        }
+    }
+    return settings;
+}
+
+// The files behind the inputs: directories give every supported file in them, in name order
+async function listFiles(inputs) {
+    const files = [];
+    for (const input of inputs) {
+        if (input === '-') {
+            files.push(input);
+            continue;
+        }
+        // Missing files are reported when they are read, with the other inputs still done
+        const info = await stat(input).catch(() => null);
+        if (!info || !info.isDirectory()) {
+            files.push(input);
+            continue;
+        }
+        const entries = await readdir(input, { recursive: true, withFileTypes: true });
+        entries
+            .filter(entry => entry.isFile() && !entry.name.startsWith('.') && extractorRegistry.find({ name: entry.name }))
+            .map(entry => join(entry.parentPath ?? entry.path, entry.name))
+            .sort()
+            .forEach(file => files.push(file));
+    }
+    return files;
+}
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+// Progress on one stderr line, only when someone is watching
+function progressReporter(quiet) {
+    if (quiet || !process.stderr.isTTY) return { report: () => () => {}, clear: () => {} };
+    return {
+        report: name => message => process.stderr.write(`\r\x1b[K${name}: ${message}`),
+        clear: () => process.stderr.write('\r\x1b[K')
+    };
+}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: QUIZGEN_OPTIONS, allowPositionals: true });
+    if (values.help) {
+        console.log(QUIZGEN_USAGE);
+        return 0;
+    }
+    const format = QUIZGEN_FORMATS[values.format];
+    if (!format) throw new UsageError('--format must be json, gift or md');
+    const settings = readSettings(values);
+
+    const inputs = positionals.length > 0 ? positionals : ['-'];
+    if (inputs.includes('-') && process.stdin.isTTY) throw new UsageError('No input: give a file, a directory or text on stdin');
+
+    const progress = progressReporter(values.quiet);
+    let failed = false;
+    // [{ input, source }]: messages name the input, since text from stdin is titled after its content
+    const sources = [];
+    for (const file of await listFiles(inputs)) {
+        const input = file === '-' ? 'stdin' : file;
+        try {
+            sources.push({
+                input,
+                source: file === '-'
+                    ? textSource(await readStdin())
+                    : await readSource(basename(file), await readFile(file), progress.report(input))
+            });
+        } catch (error) {
+            progress.clear();
+            console.error(`quizgen: ${input}: ${error.message}`);
+            failed = true;
+        }
+    }
+
+    const studySets = [];
+    for (const group of values.combine ? [sources] : sources.map(source => [source])) {
+        if (group.length === 0) continue;
+        const input = group.length > 1 ? `${group[0].input} + ${group.length - 1} more` : group[0].input;
+        const studySet = generateStudySet(group.map(({ source }) => source), settings, progress.report(input));
+        progress.clear();
+        if (studySet.quiz.length === 0) {
+            console.error(`quizgen: ${input}: not enough structured content for a quiz`);
+            failed = true;
+            continue;
+        }
+        studySets.push(studySet);
+    }
+
+    if (values.out) {
+        await mkdir(values.out, { recursive: true });
+        // Inputs with the same name ("a/notes.txt", "b/notes.md") are numbered rather than overwritten
+        const names = new Set();
+        for (const studySet of studySets) {
+            const slug = StudyExporter.slug(studySet.title.replace(/\.[^.\s]+$/, ''));
+            let name = slug;
+            for (let n = 2; names.has(name); n++) name = `${slug}-${n}`;
+            names.add(name);
+            const path = join(values.out, `${name}${format.extension}`);
+            await writeFile(path, format.write(studySet));
+            if (!values.quiet) console.error(`${path}: ${studySet.quiz.length} questions (seed ${studySet.seed})`);
+        }
+    } else if (studySets.length > 0) {
+        const texts = studySets.map(format.write);
+        const output = texts.length > 1 ? format.join(texts) : texts[0];
+        process.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+    }
+    return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+    code => {
+        process.exitCode = code;
+    },
+    error => {
+        console.error(`quizgen: ${error.message}`);
+        if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') console.error('Run "quizgen --help" for usage.');
+        process.exitCode = 2;
+    }
+);
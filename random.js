@@ -0,0 +1,45 @@
+// random.js - Seeded Random Number Generator
+// The same seed always gives the same sequence, so a quiz can be rebuilt exactly.
+
+class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = String(seed);
+        this.state = SeededRandom.hash(this.seed);
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000).toString(36);
+    }
+
+    // FNV-1a string hash, used to turn any seed text into a 32-bit state
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Mulberry32: a float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    shuffle(items) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = this.int(i + 1);
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+}
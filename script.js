@@ -1,286 +1,170 @@
 // script.js - 100% Original Code (No External Dependencies)
 
-// Text Cleaning and Processing Utilities
-class TextProcessor {
-    static cleanPDFText(rawText) {
-        // Remove PDF artifacts and fix common issues
-        let cleaned = rawText
-            // Remove multiple spaces
-            .replace(/\s+/g, ' ')
-            // Fix broken words (e.g., "w o r d" -> "word")
-            .replace(/\b(\w)\s+(?=\w\b)/g, '$1')
-            // Remove standalone numbers and R characters (PDF artifacts)
-            .replace(/\b\d+\s*R\s*/g, ' ')
-            // Remove page markers
-            .replace(/\/Type\s*\/Pages?/gi, '')
-            .replace(/\/Kids\s*\[.*?\]/gi, '')
-            .replace(/\/Count\s*\d+/gi, '')
-            .replace(/<<|>>/g, '')
-            .replace(/endobj/g, '')
-            // Remove PDF commands
-            .replace(/\/[A-Z][a-zA-Z0-9]*/g, ' ')
-            // Fix sentence breaks
-            .replace(/([a-z])([A-Z])/g, '$1. $2')
-            // Remove excessive punctuation
-            .replace(/[.!?]{2,}/g, '.')
-            // Clean up whitespace
-            .trim();
-
-        return cleaned;
-    }
-
-    static extractReadableText(text) {
-        // Remove mathematical formulas and keep only readable text
-        let readable = text
-            // Remove complex math notation
-            .replace(/\$\$[^$]+\$\$/g, ' [math] ')
-            .replace(/\$[^$]+\$/g, ' [formula] ')
-            // Remove LaTeX commands
-            .replace(/\\[a-z]+\{[^}]*\}/gi, '')
-            .replace(/\\[a-z]+/gi, '')
-            // Remove special characters clusters
-            .replace(/[^\w\s.,!?;:()\-'"/]{3,}/g, ' ')
-            // Keep only printable ASCII characters
-            .replace(/[^\x20-\x7E\n]/g, ' ')
-            // Remove numbers that are alone (likely page numbers or artifacts)
-            .replace(/\b\d+\b/g, '')
-            .trim();
-
-        return readable;
-    }
-
-    static improveStructure(text) {
-        // Add proper paragraph breaks
-        let structured = text
-            // Add breaks after periods followed by capital letters
-            .replace(/\.\s*([A-Z])/g, '.\n\n$1')
-            // Fix common title patterns
-            .replace(/([a-z])\s*([A-Z][A-Z\s]+):/g, '$1\n\n$2:')
-            // Remove extra blank lines
-            .replace(/\n{3,}/g, '\n\n')
-            .trim();
-
-        return structured;
-    }
-}
-
-// Enhanced Quiz Generator Class
-class QuizGenerator {
-    constructor(text) {
-        this.rawText = text;
-        this.text = this.preprocessText(text);
-        this.sentences = this.splitSentences(this.text);
-    }
-
-    preprocessText(text) {
-        // Clean and structure the text
-        let processed = TextProcessor.cleanPDFText(text);
-        processed = TextProcessor.extractReadableText(processed);
-        processed = TextProcessor.improveStructure(processed);
-        return processed;
-    }
-
-    splitSentences(text) {
-        // Better sentence splitting
-        const sentences = text
-            .split(/[.!?]+\s+/)
-            .map(s => s.trim())
-            .filter(s => {
-                // Filter out garbage sentences
-                const wordCount = s.split(/\s+/).length;
-                const hasLetters = /[a-zA-Z]{3,}/.test(s);
-                const notTooShort = s.length > 20;
-                const notTooLong = s.length < 500;
-                const notMostlyNumbers = (s.match(/\d/g) || []).length < s.length * 0.5;
-                
-                return wordCount >= 3 && hasLetters && notTooShort && notTooLong && notMostlyNumbers;
-            });
-
-        return sentences;
-    }
-
-    extractKeySentences(maxSentences = 10) {
-        const importantWords = [
-            'define', 'definition', 'important', 'key', 'main', 'primary',
-            'significant', 'crucial', 'essential', 'means', 'refers to',
-            'is a', 'are a', 'includes', 'consists of', 'theory', 'principle',
-            'concept', 'method', 'process', 'system', 'function', 'purpose'
-        ];
-
-        const scoredSentences = this.sentences.map((sentence, idx) => {
-            let score = 0;
-            const lower = sentence.toLowerCase();
-
-            // Score based on important words
-            importantWords.forEach(word => {
-                if (lower.includes(word)) score += 3;
-            });
-
-            // Score based on position (early sentences often more important)
-            if (idx < 5) score += 3;
-            else if (idx < 10) score += 2;
-
-            // Score based on length (not too short, not too long)
-            const wordCount = sentence.split(/\s+/).length;
-            if (wordCount >= 8 && wordCount <= 25) score += 3;
-            else if (wordCount >= 5 && wordCount <= 30) score += 1;
-
-            // Score based on proper nouns
-            const properNouns = sentence.match(/\b[A-Z][a-z]+\b/g);
-            if (properNouns) score += Math.min(properNouns.length * 0.5, 3);
-
-            // Penalize sentences with too many numbers
-            const numbers = sentence.match(/\d+/g) || [];
-            if (numbers.length > 3) score -= 2;
-
-            // Bonus for sentences with colons (often definitions)
-            if (sentence.includes(':')) score += 2;
-
-            return { sentence, score };
-        });
-
-        // Sort by score and return top sentences
-        scoredSentences.sort((a, b) => b.score - a.score);
-        return scoredSentences
-            .slice(0, maxSentences * 2)
-            .filter(s => s.score > 0)
-            .slice(0, maxSentences)
-            .map(s => s.sentence);
-    }
-
-    extractKeyTerms(maxTerms = 15) {
-        // Extract meaningful terms
-        const words = this.text.match(/\b[A-Z][a-z]{2,}\b/g) || [];
-        const frequency = {};
-        
-        // Common words to exclude
-        const commonWords = new Set([
-            'The', 'This', 'That', 'These', 'Those', 'There', 'Where',
-            'When', 'What', 'Which', 'Who', 'How', 'Why', 'Could', 'Would',
-            'Should', 'Must', 'May', 'Can', 'Will', 'Shall', 'Page'
-        ]);
-
-        words.forEach(word => {
-            if (word.length > 3 && !commonWords.has(word)) {
-                frequency[word] = (frequency[word] || 0) + 1;
-            }
-        });
-
-        return Object.entries(frequency)
-            .filter(([term, count]) => count >= 2)
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, maxTerms)
-            .map(([term]) => term);
-    }
-
-    generateQuiz() {
-        const questions = [];
-
-        // True/False questions from key sentences
-        const tfSentences = this.sentences
-            .filter(s => s.split(/\s+/).length >= 8 && s.split(/\s+/).length <= 25)
-            .slice(0, 5);
-
-        tfSentences.forEach((sentence, idx) => {
-            questions.push({
-                id: `tf${idx}`,
-                type: 'truefalse',
-                question: sentence.trim(),
-                correctAnswer: 'true',
-                options: ['True', 'False']
-            });
-        });
-
-        // Multiple choice from definitions
-        const definitionPattern = /([A-Z][a-z]+(?:\s+[A-Z][a-z]+){0,3})\s+(?:is|are|refers to|means|defines?)\s+([^.!?]{10,100})/g;
-        let match;
-        let mcqCount = 0;
-
-        while ((match = definitionPattern.exec(this.text)) && mcqCount < 5) {
-            const term = match[1].trim();
-            const definition = match[2].trim();
-
-            if (definition.split(/\s+/).length < 3) continue;
-
-            // Generate better distractors
-            const words = definition.split(/\s+/);
-            const midPoint = Math.floor(words.length / 2);
-            
-            const distractor1 = words.slice(0, midPoint).join(' ') + ' (incorrect)';
-            const distractor2 = words.slice(midPoint).join(' ') + ' (incorrect)';
-            const distractor3 = 'None of the above';
-
-            const options = [definition, distractor1, distractor2, distractor3];
-
-            // Shuffle options
-            for (let i = options.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [options[i], options[j]] = [options[j], options[i]];
-            }
-
-            questions.push({
-                id: `mcq${mcqCount}`,
-                type: 'mcq',
-                question: `What is ${term}?`,
-                correctAnswer: definition,
-                options: options
-            });
-            mcqCount++;
-        }
-
-        // Fill in the blank questions
-        const fibSentences = this.sentences
-            .filter(s => {
-                const words = s.split(/\s+/);
-                return words.length >= 8 && words.length <= 20;
-            })
-            .slice(0, 5);
-
-        fibSentences.forEach((sentence, idx) => {
-            const words = sentence.split(/\s+/);
-            // Choose a meaningful word (longer words)
-            const meaningfulWords = words
-                .map((w, i) => ({ word: w, index: i }))
-                .filter(({word}) => word.length > 4 && /^[a-zA-Z]+$/.test(word))
-                .sort((a, b) => b.word.length - a.word.length);
-
-            if (meaningfulWords.length > 0) {
-                const blankIdx = meaningfulWords[0].index;
-                const correctWord = words[blankIdx];
-                const questionText = words
-                    .map((w, i) => i === blankIdx ? '______' : w)
-                    .join(' ');
-
-                questions.push({
-                    id: `fib${idx}`,
-                    type: 'fillblank',
-                    question: questionText,
-                    correctAnswer: correctWord.toLowerCase().replace(/[^a-z]/g, '')
-                });
-            }
-        });
-
-        return questions.slice(0, 10);
-    }
-}
-
 // Global variables
 let quizData = null;
 let userAnswers = {};
 let showingResults = false;
+let uploadedFiles = [];
+let nextFileId = 0;
+// The study set on screen, as saved in the library
+let currentSet = null;
+const library = new StudyLibrary();
+// Flashcard session: [{ card, state }], the card on screen first
+let flashcardQueue = [];
+// Copy of the questions being edited; quizData stays untouched until saved
+let quizDraft = null;
+// Time spent on each question of the quiz on screen
+let quizTimer = null;
+// True while the quiz on screen is a retry of missed questions rather than the whole quiz
+let retryingWeak = false;
+// Exam mode state: { current, flagged (question indexes), deadline, interval }
+let exam = null;
+// The BackgroundTask generating a study set, while it runs
+let generateTask = null;
 
 // DOM Elements
 const uploadArea = document.getElementById('uploadArea');
 const fileInput = document.getElementById('fileInput');
-const fileName = document.getElementById('fileName');
+const fileList = document.getElementById('fileList');
 const textInput = document.getElementById('textInput');
 const generateBtn = document.getElementById('generateBtn');
 const loading = document.getElementById('loading');
+const loadingMessage = document.getElementById('loadingMessage');
+const loadingProgress = document.getElementById('loadingProgress');
 const inputSection = document.getElementById('inputSection');
 const notesSection = document.getElementById('notesSection');
 const quizSection = document.getElementById('quizSection');
 const submitBtn = document.getElementById('submitBtn');
 const resetBtn = document.getElementById('resetBtn');
+const retakeBtn = document.getElementById('retakeBtn');
+const librarySidebar = document.getElementById('librarySidebar');
+const libraryList = document.getElementById('libraryList');
+const libraryToggle = document.getElementById('libraryToggle');
+const questionCountInput = document.getElementById('questionCount');
+const difficultySelect = document.getElementById('difficulty');
+const seedInput = document.getElementById('quizSeed');
+const languageSelect = document.getElementById('quizLanguage');
+const summaryLengthInput = document.getElementById('summaryLength');
+const typeMix = document.getElementById('typeMix');
+const flashcardSection = document.getElementById('flashcardSection');
+const reviewDueBtn = document.getElementById('reviewDueBtn');
+const showAnswerBtn = document.getElementById('showAnswerBtn');
+const ratingButtons = document.getElementById('ratingButtons');
+const printView = document.getElementById('printView');
+const quizForm = document.getElementById('quizForm');
+const quizEditor = document.getElementById('quizEditor');
+const editorQuestions = document.getElementById('editorQuestions');
+const quizFileInput = document.getElementById('quizFileInput');
+const sourceViewer = document.getElementById('sourceViewer');
+const sourceViewerText = document.getElementById('sourceViewerText');
+const quizAnalytics = document.getElementById('quizAnalytics');
+const questionsContainer = document.getElementById('questionsContainer');
+const examBar = document.getElementById('examBar');
+const examPalette = document.getElementById('examPalette');
+const examCountdown = document.getElementById('examCountdown');
+const examNav = document.getElementById('examNav');
+const examPrevBtn = document.getElementById('examPrevBtn');
+const examNextBtn = document.getElementById('examNextBtn');
+const examFlagBtn = document.getElementById('examFlagBtn');
+
+// Document text is always set as textContent, never parsed as HTML
+function makeElement(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+}
+
+// Text with its $...$ formulas drawn from LatexRenderer's tree; everything else stays text
+function richText(text) {
+    const fragment = document.createDocumentFragment();
+    MathText.split(text).forEach(token => {
+        if (token.tex === undefined) {
+            fragment.append(token.text);
+            return;
+        }
+        const formula = makeElement('span', token.display ? 'math math-display' : 'math');
+        formula.title = token.tex;
+        LatexRenderer.parse(token.tex).forEach(node => formula.appendChild(mathElement(node)));
+        fragment.append(formula);
+    });
+    return fragment;
+}
+
+function mathElement(node) {
+    if (!node.tag) return document.createTextNode(node.text);
+    const element = makeElement(node.tag, node.className, node.text);
+    (node.children || []).forEach(child => element.appendChild(mathElement(child)));
+    return element;
+}
+
+function makeRichElement(tag, className, text) {
+    const node = makeElement(tag, className);
+    node.append(richText(text));
+    return node;
+}
+
+// Quiz Settings: one slider per question type, shown as a share of the quiz
+function renderTypeMix() {
+    typeMix.innerHTML = '';
+    QUESTION_TYPES.forEach(type => {
+        const row = document.createElement('label');
+        row.className = 'type-mix-row';
+
+        const name = document.createElement('span');
+        name.textContent = type.label;
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = '0';
+        slider.max = '100';
+        slider.step = '5';
+        slider.value = String(type.share);
+        slider.dataset.type = type.id;
+        slider.addEventListener('input', updateTypeShares);
+
+        const share = document.createElement('span');
+        share.className = 'type-share';
+
+        row.append(name, slider, share);
+        typeMix.appendChild(row);
+    });
+    updateTypeShares();
+}
+
+function updateTypeShares() {
+    const sliders = [...typeMix.querySelectorAll('input[type="range"]')];
+    const total = sliders.reduce((sum, slider) => sum + Number(slider.value), 0);
+    sliders.forEach(slider => {
+        const percent = total > 0 ? Math.round(Number(slider.value) / total * 100) : 0;
+        slider.parentElement.querySelector('.type-share').textContent = `${percent}%`;
+    });
+}
+
+function readQuizSettings() {
+    const mix = {};
+    typeMix.querySelectorAll('input[type="range"]').forEach(slider => {
+        mix[slider.dataset.type] = Number(slider.value);
+    });
+
+    return {
+        questionCount: Math.min(50, Math.max(1, parseInt(questionCountInput.value, 10) || DEFAULT_QUIZ_SETTINGS.questionCount)),
+        mix,
+        difficulty: difficultySelect.value,
+        seed: seedInput.value.trim(),
+        language: languageSelect.value,
+        summaryLength: Math.min(100, Math.max(1, parseInt(summaryLengthInput.value, 10) || DEFAULT_QUIZ_SETTINGS.summaryLength))
+    };
+}
+
+renderTypeMix();
+
+Object.entries(LANGUAGES).forEach(([code, language]) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = language.name;
+    languageSelect.appendChild(option);
+});
 
 // File Upload Handlers
 uploadArea.addEventListener('click', () => fileInput.click());
@@ -297,285 +181,1748 @@ uploadArea.addEventListener('dragleave', () => {
 uploadArea.addEventListener('drop', (e) => {
     e.preventDefault();
     uploadArea.classList.remove('dragover');
-    const file = e.dataTransfer.files[0];
-    if (file) {
-        fileInput.files = e.dataTransfer.files;
-        handleFileUpload(file);
-    }
+    [...e.dataTransfer.files].forEach(handleFileUpload);
 });
 
 fileInput.addEventListener('change', (e) => {
-    if (e.target.files[0]) {
-        handleFileUpload(e.target.files[0]);
-    }
+    [...e.target.files].forEach(handleFileUpload);
+    // Allow the same file to be picked again later
+    fileInput.value = '';
 });
 
 async function handleFileUpload(file) {
-    fileName.textContent = `📄 ${file.name}`;
-    fileName.style.display = 'block';
+    const entry = {
+        id: nextFileId++,
+        name: file.name,
+        status: 'reading',
+        message: 'Reading...',
+        document: null,
+        text: '',
+        included: true,
+        task: null
+    };
+    uploadedFiles.push(entry);
+    renderFileList();
+
+    // Pick the reader registered for this extension or MIME type
+    const extractor = extractorRegistry.find(file);
+    if (!extractor) {
+        entry.status = 'error';
+        entry.message = `Unsupported file type (supported: ${extractorRegistry.describe()})`;
+        entry.included = false;
+        renderFileList();
+        return;
+    }
 
     try {
-        let extractedText = '';
-
-        if (file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf')) {
-            // Handle PDF files with raw extraction
-            extractedText = await extractPDFTextRaw(file);
-        } else if (file.type.includes('text') || file.name.toLowerCase().endsWith('.txt')) {
-            // Handle text files
-            extractedText = await file.text();
+        // Extractors return a DocumentModel with headings, lists and page numbers
+        entry.task = new BackgroundTask('extract', { file }, message => {
+            entry.message = message;
+            renderFileList();
+        });
+        entry.document = DocumentModel.from((await entry.task.promise).document);
+        entry.text = entry.document.toText();
+        const wordCount = entry.text.split(/\s+/).filter(Boolean).length;
+
+        if (entry.text.length < 50) {
+            entry.status = 'warning';
+            entry.message = `${extractor.name}: extraction was minimal - paste the text directly for best results`;
         } else {
-            alert('Supported files: PDF or TXT. For best results, paste text directly or use TXT files.');
-            return;
+            entry.status = 'ready';
+            entry.message = `${extractor.name} - ${wordCount} words`;
         }
+    } catch (error) {
+        // Removed from the list while it was being read; there is no task when the worker
+        // could not be started
+        if (entry.task && entry.task.cancelled) return;
+        console.error('Error reading file:', error);
+        entry.status = 'error';
+        entry.message = `Error reading ${extractor.name} file - copy the text and paste it directly`;
+        entry.included = false;
+    }
+    renderFileList();
+}
 
-        // Clean and display the text
-        const cleanedText = TextProcessor.cleanPDFText(extractedText);
-        textInput.value = cleanedText;
+// File list with per-file status and include/exclude toggles
+function renderFileList() {
+    fileList.innerHTML = '';
+    fileList.style.display = uploadedFiles.length > 0 ? 'block' : 'none';
+
+    uploadedFiles.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = `file-item ${entry.status}`;
+
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = entry.included;
+        checkbox.disabled = entry.status === 'reading' || entry.status === 'error';
+        checkbox.addEventListener('change', () => {
+            entry.included = checkbox.checked;
+        });
 
-        if (cleanedText.length < 50) {
-            alert('Warning: PDF text extraction was minimal. For best results, copy text from your PDF and paste it directly into the text box.');
-        }
+        const name = document.createElement('span');
+        name.className = 'file-item-name';
+        name.textContent = `📄 ${entry.name}`;
+        label.append(checkbox, name);
+
+        const status = document.createElement('span');
+        status.className = 'file-item-status';
+        status.textContent = entry.message;
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'file-item-remove';
+        remove.title = 'Remove file';
+        remove.textContent = '✕';
+        remove.addEventListener('click', () => {
+            if (entry.status === 'reading') entry.task.cancel();
+            uploadedFiles = uploadedFiles.filter(f => f !== entry);
+            renderFileList();
+        });
 
-    } catch (error) {
-        console.error('Error reading file:', error);
-        alert('Error reading file. For best results, copy text from your PDF and paste it directly into the text box.');
-    }
-}
-
-// Raw PDF Text Extraction (100% Original - No External Library)
-async function extractPDFTextRaw(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        
-        reader.onload = (e) => {
-            try {
-                // Read PDF as binary
-                const uint8Array = new Uint8Array(e.target.result);
-                
-                // Convert to string
-                let binaryText = '';
-                for (let i = 0; i < uint8Array.length; i++) {
-                    binaryText += String.fromCharCode(uint8Array[i]);
-                }
-                
-                // Extract text between stream markers (basic PDF structure)
-                let extractedText = '';
-                
-                // Method 1: Find text between BT and ET markers (BeginText/EndText)
-                const btPattern = /BT\s+(.*?)\s+ET/gs;
-                let matches = binaryText.matchAll(btPattern);
-                
-                for (const match of matches) {
-                    let content = match[1];
-                    // Extract text from Tj and TJ commands
-                    const textMatches = content.match(/\((.*?)\)/g);
-                    if (textMatches) {
-                        textMatches.forEach(tm => {
-                            const text = tm.slice(1, -1); // Remove parentheses
-                            extractedText += text + ' ';
-                        });
-                    }
-                }
-                
-                // Method 2: Look for readable text in the entire file
-                if (extractedText.length < 100) {
-                    // Fallback: extract any readable ASCII text
-                    const readablePattern = /[A-Za-z]{3,}(?:\s+[A-Za-z]{3,})*/g;
-                    const readableMatches = binaryText.match(readablePattern);
-                    if (readableMatches) {
-                        extractedText = readableMatches.join(' ');
-                    }
-                }
-                
-                // Clean up escape sequences and PDF artifacts
-                extractedText = extractedText
-                    .replace(/\\n/g, ' ')
-                    .replace(/\\r/g, ' ')
-                    .replace(/\\t/g, ' ')
-                    .replace(/\\/g, '')
-                    .replace(/\(/g, '')
-                    .replace(/\)/g, '')
-                    .replace(/\s+/g, ' ')
-                    .trim();
-                
-                if (extractedText.length < 50) {
-                    resolve('PDF extraction was limited. Please copy and paste your text directly for better results.');
-                } else {
-                    resolve(extractedText);
-                }
-                
-            } catch (error) {
-                reject(new Error('Could not read PDF. Please copy text and paste directly.'));
-            }
-        };
-        
-        reader.onerror = () => reject(new Error('Failed to read file'));
-        reader.readAsArrayBuffer(file);
+        item.append(label, status, remove);
+        fileList.appendChild(item);
     });
 }
 
+// Combine the included files and any pasted text into one corpus
+function collectSources() {
+    const sources = uploadedFiles
+        .filter(entry => entry.included && entry.text.trim())
+        .map(entry => ({ name: entry.name, document: entry.document, text: entry.text }));
+
+    const pasted = textInput.value.trim();
+    if (pasted) sources.push({ name: 'Pasted text', document: DocumentModel.fromText(pasted), text: pasted });
+    return sources;
+}
+
 // Generate Button Handler
-generateBtn.addEventListener('click', () => {
-    const text = textInput.value.trim();
+generateBtn.addEventListener('click', async () => {
+    if (uploadedFiles.some(entry => entry.status === 'reading')) {
+        alert('Please wait until all files have been read.');
+        return;
+    }
+
+    const sources = collectSources();
+    const settings = readQuizSettings();
+    const totalLength = sources.reduce((sum, source) => sum + source.text.length, 0);
 
-    if (!text || text.length < 100) {
+    if (totalLength < 100) {
         alert('Please upload a file or paste some text (at least 100 characters)!');
         return;
     }
 
+    if (Object.values(settings.mix).every(share => share === 0)) {
+        alert('Please give at least one question type a share of the quiz.');
+        return;
+    }
+
     loading.style.display = 'block';
     generateBtn.disabled = true;
+    showProgress('Processing...', null);
 
-    // Process with slight delay for UX
-    setTimeout(() => {
-        try {
-            const generator = new QuizGenerator(text);
-            const keySentences = generator.extractKeySentences();
-            const keyTerms = generator.extractKeyTerms();
-            quizData = generator.generateQuiz();
-
-            if (quizData.length === 0) {
-                alert('Could not generate quiz. The text might not have enough structured content. Try adding more detailed text.');
-                loading.style.display = 'none';
-                generateBtn.disabled = false;
-                return;
-            }
-
-            displayNotes(keySentences, keyTerms);
-            displayQuiz(quizData);
+    let task = null;
+    try {
+        task = new BackgroundTask('generate', {
+            sources: sources.map(source => ({ name: source.name, document: source.document })),
+            settings
+        }, showProgress);
+        generateTask = task;
+        const material = await task.promise;
+
+        if (material.quiz.length === 0) {
+            alert('Could not generate quiz. The text might not have enough structured content. Try adding more detailed text.');
+            return;
+        }
 
-            inputSection.style.display = 'none';
-            loading.style.display = 'none';
-            generateBtn.disabled = false;
-        } catch (error) {
+        const studySet = {
+            title: defaultTitle(sources),
+            sources: sources.map(source => ({ name: source.name, document: source.document })),
+            settings,
+            ...material
+        };
+        showStudySet(studySet);
+        saveStudySet(studySet);
+    } catch (error) {
+        if (!(task && task.cancelled)) {
             console.error('Generation error:', error);
             alert('Error generating quiz: ' + error.message);
-            loading.style.display = 'none';
-            generateBtn.disabled = false;
         }
-    }, 800);
+    } finally {
+        generateTask = null;
+        loading.style.display = 'none';
+        generateBtn.disabled = false;
+    }
 });
 
-// Display Notes
-function displayNotes(keySentences, keyTerms) {
-    const sentencesList = document.getElementById('keySentences');
-    const termsContainer = document.getElementById('keyTerms');
+// fraction: 0 - 1, or null while the length of a step is unknown
+function showProgress(message, fraction) {
+    loadingMessage.textContent = message;
+    if (fraction === null) loadingProgress.removeAttribute('value');
+    else loadingProgress.value = fraction;
+}
+
+document.getElementById('cancelBtn').addEventListener('click', () => {
+    if (generateTask) generateTask.cancel();
+});
+
+function showStudySet(studySet) {
+    currentSet = studySet;
+    quizData = studySet.quiz;
+    displayNotes(studySet.notes.outline, studySet.notes.keyTerms);
+    // Quizzes opened from a file have no notes
+    if (studySet.sources.length === 0) notesSection.style.display = 'none';
+    displayQuiz(quizData);
+    // The same seed and input give the same quiz again
+    document.getElementById('seedDisplay').textContent = [
+        studySet.language && Language.get(studySet.language).name,
+        studySet.seed && `Seed: ${studySet.seed}`
+    ].filter(Boolean).join(' · ');
+    inputSection.style.display = 'none';
+    flashcardSection.style.display = 'none';
+    renderPrintView(studySet);
+    renderLibrary();
+}
+
+async function saveStudySet(studySet) {
+    if (!library.isAvailable()) return;
+    try {
+        const saved = await library.save(studySet);
+        if (currentSet === studySet) currentSet = saved;
+        renderLibrary();
+    } catch (error) {
+        console.warn('Could not save the study set:', error);
+    }
+}
+
+// Library Sidebar
+libraryToggle.addEventListener('click', () => {
+    librarySidebar.classList.toggle('open');
+});
+
+document.getElementById('libraryClose').addEventListener('click', () => {
+    librarySidebar.classList.remove('open');
+});
+
+function describeStudySet(studySet) {
+    const parts = [new Date(studySet.updatedAt).toLocaleDateString(), `${studySet.quiz.length} questions`];
+    // Retries of weak questions do not count towards the best score
+    const trend = QuizAnalytics.scoreTrend(studySet.attempts);
+    if (trend.length > 0) {
+        const best = Math.max(...trend.map(attempt => attempt.percent));
+        parts.push(`${trend.length} attempt${trend.length === 1 ? '' : 's'}, best ${best}%`);
+    }
+    return parts.join(' · ');
+}
+
+async function renderLibrary() {
+    if (!library.isAvailable()) {
+        reviewDueBtn.style.display = 'none';
+        libraryList.innerHTML = '<li class="library-empty">Saving is not available in this browser.</li>';
+        return;
+    }
+
+    let sets;
+    try {
+        sets = await library.list();
+    } catch (error) {
+        console.warn('Could not read the library:', error);
+        libraryList.innerHTML = '<li class="library-empty">The library could not be opened.</li>';
+        return;
+    }
+
+    updateDueCount(sets);
+    libraryList.innerHTML = '';
+    if (sets.length === 0) {
+        libraryList.innerHTML = '<li class="library-empty">Generated study sets are saved here.</li>';
+        return;
+    }
+
+    sets.forEach(studySet => {
+        const item = document.createElement('li');
+        item.className = 'library-item' + (currentSet && currentSet.id === studySet.id ? ' active' : '');
+
+        const open = document.createElement('button');
+        open.type = 'button';
+        open.className = 'library-item-open';
+        const title = document.createElement('span');
+        title.className = 'library-item-title';
+        title.textContent = studySet.title;
+        const meta = document.createElement('span');
+        meta.className = 'library-item-meta';
+        meta.textContent = describeStudySet(studySet);
+        open.append(title, meta);
+        open.addEventListener('click', () => {
+            showStudySet(studySet);
+            librarySidebar.classList.remove('open');
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'library-item-actions';
+        [
+            ['✎', 'Rename', () => renameStudySet(studySet)],
+            studySet.sources.length > 0 && ['↻', 'Regenerate notes and quiz', () => regenerateStudySet(studySet)],
+            ['✕', 'Delete', () => deleteStudySet(studySet)]
+        ].filter(Boolean).forEach(([icon, label, action]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.title = label;
+            button.setAttribute('aria-label', label);
+            button.textContent = icon;
+            button.addEventListener('click', action);
+            actions.appendChild(button);
+        });
+
+        item.append(open, actions);
+        libraryList.appendChild(item);
+    });
+}
+
+async function renameStudySet(studySet) {
+    const title = prompt('Rename study set:', studySet.title);
+    if (!title || !title.trim()) return;
+    try {
+        const saved = await library.rename(studySet.id, title.trim());
+        if (currentSet && currentSet.id === saved.id) currentSet = saved;
+        renderLibrary();
+    } catch (error) {
+        console.warn('Could not rename the study set:', error);
+        alert('Could not rename the study set: ' + error.message);
+    }
+}
+
+// New notes and quiz from the saved sources and settings, with a fresh seed
+async function regenerateStudySet(studySet) {
+    try {
+        const task = new BackgroundTask('generate', { sources: studySet.sources, settings: { ...studySet.settings, seed: '' } });
+        const material = await task.promise;
+        if (material.quiz.length === 0) {
+            alert('Could not generate a new quiz from this study set.');
+            return;
+        }
+        const saved = await library.update(studySet.id, { ...material, settings: { ...studySet.settings, seed: material.seed } });
+        showStudySet(saved);
+        librarySidebar.classList.remove('open');
+    } catch (error) {
+        console.error('Regeneration error:', error);
+        alert('Error regenerating study set: ' + error.message);
+    }
+}
+
+async function deleteStudySet(studySet) {
+    if (!confirm(`Delete "${studySet.title}" and all of its attempts?`)) return;
+    try {
+        await library.delete(studySet.id);
+        if (currentSet && currentSet.id === studySet.id) showHome();
+        renderLibrary();
+    } catch (error) {
+        console.warn('Could not delete the study set:', error);
+        alert('Could not delete the study set: ' + error.message);
+    }
+}
+
+// Back to the start screen with an empty input; saved sets stay in the library
+function showHome() {
+    stopExam();
+    currentSet = null;
+    quizData = null;
+    uploadedFiles = [];
+    renderFileList();
+    textInput.value = '';
+    notesSection.style.display = 'none';
+    quizSection.style.display = 'none';
+    flashcardSection.style.display = 'none';
+    sourceViewer.classList.remove('open');
+    inputSection.style.display = 'block';
+    printView.innerHTML = '';
+    renderLibrary();
+}
+
+// Flashcards
+const FLASHCARD_KIND_LABELS = { term: 'Term', point: 'Key point', question: 'Question' };
+
+async function loadReviews() {
+    if (!library.isAvailable()) return new Map();
+    try {
+        return await library.reviews();
+    } catch (error) {
+        console.warn('Could not read flashcard reviews:', error);
+        return new Map();
+    }
+}
+
+// Today's cards from every saved study set
+reviewDueBtn.addEventListener('click', async () => {
+    let sets;
+    try {
+        sets = await library.list();
+    } catch (error) {
+        console.warn('Could not read the library:', error);
+        alert('Could not read the saved study sets: ' + error.message);
+        return;
+    }
+    librarySidebar.classList.remove('open');
+    startFlashcards(sets.flatMap(studySet => FlashcardDeck.fromStudySet(studySet)));
+});
+
+document.getElementById('studyCardsBtn').addEventListener('click', () => {
+    startFlashcards(FlashcardDeck.fromStudySet(currentSet));
+});
+
+async function startFlashcards(cards) {
+    flashcardQueue = FlashcardDeck.dueQueue(cards, await loadReviews());
+    if (flashcardQueue.length === 0) {
+        alert('No cards are due today. Come back tomorrow!');
+        return;
+    }
+
+    stopExam();
+    inputSection.style.display = 'none';
+    notesSection.style.display = 'none';
+    quizSection.style.display = 'none';
+    flashcardSection.style.display = 'block';
+    showFlashcard();
+    flashcardSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+function showFlashcard() {
+    const front = document.getElementById('flashcardFront');
+    const back = document.getElementById('flashcardBack');
+    const source = document.getElementById('flashcardSource');
+    const progress = document.getElementById('flashcardProgress');
+
+    back.style.display = 'none';
+    ratingButtons.style.display = 'none';
+
+    if (flashcardQueue.length === 0) {
+        source.textContent = '';
+        front.textContent = 'All caught up! Your next cards are scheduled for later.';
+        progress.textContent = '';
+        showAnswerBtn.style.display = 'none';
+        renderLibrary();
+        return;
+    }
+
+    const { card } = flashcardQueue[0];
+    source.textContent = [FLASHCARD_KIND_LABELS[card.kind], card.setTitle].filter(Boolean).join(' · ');
+    front.textContent = '';
+    front.append(richText(card.front));
+    back.textContent = '';
+    back.append(richText(card.back));
+    progress.textContent = `${flashcardQueue.length} card${flashcardQueue.length === 1 ? '' : 's'} left`;
+    showAnswerBtn.style.display = 'inline-block';
+}
+
+function revealFlashcard() {
+    const { state } = flashcardQueue[0];
+    document.getElementById('flashcardBack').style.display = 'block';
+    showAnswerBtn.style.display = 'none';
+
+    ratingButtons.innerHTML = '';
+    FLASHCARD_RATINGS.forEach((rating, idx) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn rating-btn rating-${rating}`;
+        button.title = `Key ${idx + 1}`;
+        const label = document.createElement('span');
+        label.textContent = rating[0].toUpperCase() + rating.slice(1);
+        const interval = document.createElement('small');
+        interval.textContent = FlashcardScheduler.previewLabel(state, rating);
+        button.append(label, interval);
+        button.addEventListener('click', () => rateFlashcard(rating));
+        ratingButtons.appendChild(button);
+    });
+    ratingButtons.style.display = 'flex';
+}
+
+async function rateFlashcard(rating) {
+    const { card, state } = flashcardQueue.shift();
+    const next = FlashcardScheduler.review(state, rating);
+    // Forgotten cards come back at the end of this session
+    if (rating === 'again') flashcardQueue.push({ card, state: next });
+    showFlashcard();
+
+    if (!library.isAvailable()) return;
+    try {
+        await library.saveReview(next);
+    } catch (error) {
+        console.warn('Could not save the review:', error);
+    }
+}
+
+showAnswerBtn.addEventListener('click', revealFlashcard);
+
+// Space shows the answer, 1-4 rate it
+document.addEventListener('keydown', (e) => {
+    if (flashcardSection.style.display === 'none' || flashcardQueue.length === 0) return;
+    if (/^(?:INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+
+    if (showAnswerBtn.style.display !== 'none' && (e.key === ' ' || e.key === 'Enter')) {
+        e.preventDefault();
+        revealFlashcard();
+    } else if (ratingButtons.style.display !== 'none' && /^[1-4]$/.test(e.key)) {
+        rateFlashcard(FLASHCARD_RATINGS[Number(e.key) - 1]);
+    }
+});
+
+// Back to the study set the session started from, or to the start screen
+document.getElementById('flashcardDoneBtn').addEventListener('click', () => {
+    flashcardQueue = [];
+    if (currentSet) showStudySet(currentSet);
+    else showHome();
+});
+
+// Exports
+function downloadFile(name, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportStudySet(format) {
+    const studySet = currentSet;
+    const name = StudyExporter.slug(studySet.title);
+
+    switch (format) {
+        case 'markdown':
+            downloadFile(`${name}-notes.md`, StudyExporter.notesToMarkdown(studySet), 'text/markdown');
+            break;
+        case 'gift':
+            downloadFile(`${name}-quiz.gift.txt`, StudyExporter.quizToGIFT(studySet.quiz, studySet.title), 'text/plain');
+            break;
+        case 'qti':
+            downloadFile(`${name}-quiz-qti.zip`, StudyExporter.quizToQTI(studySet.quiz, studySet.title), 'application/zip');
+            break;
+        case 'anki-tsv':
+            downloadFile(`${name}-flashcards.txt`, StudyExporter.cardsToAnki(FlashcardDeck.fromStudySet(studySet), '\t'), 'text/tab-separated-values');
+            break;
+        case 'anki-csv':
+            downloadFile(`${name}-flashcards.csv`, StudyExporter.cardsToAnki(FlashcardDeck.fromStudySet(studySet), ','), 'text/csv');
+            break;
+        case 'print':
+            window.print();
+            break;
+    }
+}
+
+document.querySelectorAll('[data-export]').forEach(button => {
+    button.addEventListener('click', () => {
+        button.closest('details').open = false;
+        exportStudySet(button.dataset.export);
+    });
+});
+
+// Notes, the quiz without answers, then the answer key on its own page
+function renderPrintView(studySet) {
+    printView.innerHTML = '';
+    printView.appendChild(makeElement('h1', '', studySet.title));
+
+    const notes = makeElement('section', 'print-notes');
+    notes.appendChild(makeElement('h2', '', 'Notes'));
+    studySet.notes.outline.forEach(section => {
+        notes.appendChild(makeElement('h3', '', section.heading || section.source || 'Overview'));
+        const points = makeElement('ul');
+        section.points.forEach(point => points.appendChild(makeRichElement('li', '', point.text)));
+        notes.appendChild(points);
+    });
+    if (studySet.notes.keyTerms.length > 0) {
+        notes.appendChild(makeElement('h3', '', 'Key Terms'));
+        const terms = makeElement('dl');
+        studySet.notes.keyTerms.forEach(({ term, definition }) => {
+            terms.appendChild(makeElement('dt', '', term));
+            if (definition) terms.appendChild(makeRichElement('dd', '', definition.text));
+        });
+        notes.appendChild(terms);
+    }
+
+    const quiz = makeElement('section', 'print-quiz');
+    quiz.appendChild(makeElement('h2', '', 'Quiz'));
+    const questions = makeElement('ol');
+    studySet.quiz.forEach(question => {
+        const item = makeRichElement('li', '', question.question);
+        if (question.type === 'matching') {
+            const terms = makeElement('ul', 'print-options');
+            question.pairs.forEach(pair => {
+                const term = makeRichElement('li', '', pair.term);
+                term.append(' ____');
+                terms.appendChild(term);
+            });
+            const definitions = makeElement('ol', 'print-definitions');
+            definitions.type = 'A';
+            question.options.forEach(option => definitions.appendChild(makeRichElement('li', '', option)));
+            item.append(terms, definitions);
+        } else if (question.options) {
+            const options = makeElement('ul', 'print-options');
+            question.options.forEach(option => options.appendChild(makeRichElement('li', '', option)));
+            item.appendChild(options);
+        } else if (question.type !== 'cloze') {
+            item.appendChild(makeElement('p', 'print-answer-line', `Answer: ______________________${question.unit ? ` ${question.unit}` : ''}`));
+        }
+        questions.appendChild(item);
+    });
+    quiz.appendChild(questions);
+
+    const key = makeElement('section', 'print-answer-key');
+    key.appendChild(makeElement('h2', '', 'Answer Key'));
+    const answers = makeElement('ol');
+    studySet.quiz.forEach(question => answers.appendChild(makeRichElement('li', '', StudyExporter.answerText(question))));
+    key.appendChild(answers);
+
+    printView.append(notes, quiz, key);
+}
+
+async function updateDueCount(sets) {
+    const cards = sets.flatMap(studySet => FlashcardDeck.fromStudySet(studySet));
+    const due = FlashcardDeck.dueQueue(cards, await loadReviews()).length;
+    reviewDueBtn.textContent = `Review due cards (${due})`;
+    reviewDueBtn.disabled = due === 0;
+}
+
+// Source tags are only useful when the study set has more than one file
+function hasMultipleSources(items) {
+    return new Set(items.map(item => item.source)).size > 1;
+}
+
+function sourceTag(source) {
+    return makeElement('span', 'source-tag', source);
+}
+
+function pageTag(page) {
+    return makeElement('span', 'page-tag', `p. ${page}`);
+}
+
+function sectionTitle(section, showSources) {
+    if (section.heading) return section.heading;
+    return showSources && section.source ? section.source : 'Overview';
+}
 
-    if (keySentences.length === 0) {
-        sentencesList.innerHTML = '<li>No key sentences found. Try pasting text directly for better results.</li>';
+// Display Notes
+function displayNotes(outline, keyTerms) {
+    const toc = document.getElementById('notesToc');
+    const outlineContainer = document.getElementById('notesOutline');
+    const showSources = hasMultipleSources(outline);
+
+    if (outline.length === 0) {
+        toc.style.display = 'none';
+        outlineContainer.innerHTML = '<p class="notes-empty">No key sentences found. Try pasting text directly for better results.</p>';
     } else {
-        sentencesList.innerHTML = keySentences
-            .map(s => `<li>${s}</li>`)
-            .join('');
+        // Table of contents mirrors the document's heading levels
+        toc.style.display = outline.length > 1 ? 'block' : 'none';
+        const tocList = toc.querySelector('ol');
+        tocList.innerHTML = '';
+        outlineContainer.innerHTML = '';
+
+        outline.forEach(section => {
+            const tocItem = makeElement('li', `toc-level-${section.level}`);
+            const link = makeElement('a', '', sectionTitle(section, showSources));
+            link.href = `#note-section-${section.id}`;
+            tocItem.appendChild(link);
+            tocList.appendChild(tocItem);
+
+            const container = makeElement('section', `outline-section outline-level-${section.level}`);
+            container.id = `note-section-${section.id}`;
+
+            const level = Math.min(Math.max(section.level, 1) + 3, 6);
+            const heading = makeElement(`h${level}`, 'outline-heading', sectionTitle(section, showSources));
+            if (section.page) heading.appendChild(pageTag(section.page));
+            if (showSources && section.heading && section.source) heading.appendChild(sourceTag(section.source));
+            container.appendChild(heading);
+
+            if (section.points.length > 0) {
+                const points = makeElement('ul', 'key-sentences');
+                section.points.forEach(sentence => {
+                    const item = makeRichElement('li', '', sentence.text);
+                    if (sentence.page && sentence.page !== section.page) item.appendChild(pageTag(sentence.page));
+                    points.appendChild(item);
+                });
+                container.appendChild(points);
+            }
+
+            if (section.terms.length > 0) {
+                const terms = makeElement('div', 'terms-container');
+                section.terms.forEach(term => terms.appendChild(makeElement('span', 'term-badge', term)));
+                container.appendChild(terms);
+            }
+
+            outlineContainer.appendChild(container);
+        });
     }
 
+    renderKeyTerms(keyTerms);
+
+    notesSection.style.display = 'block';
+}
+
+// Term badges expand into the defining sentence and the other places the term is used
+function renderKeyTerms(keyTerms) {
+    const termsContainer = document.getElementById('keyTerms');
+    const detail = document.getElementById('termDetail');
+    detail.style.display = 'none';
+
     if (keyTerms.length === 0) {
         termsContainer.innerHTML = '<span class="term-badge">No key terms found</span>';
-    } else {
-        termsContainer.innerHTML = keyTerms
-            .map(t => `<span class="term-badge">${t}</span>`)
-            .join('');
+        return;
     }
 
-    notesSection.style.display = 'block';
+    termsContainer.innerHTML = '';
+    keyTerms.forEach(keyTerm => {
+        const badge = document.createElement('button');
+        badge.type = 'button';
+        badge.className = 'term-badge';
+        badge.textContent = keyTerm.term;
+        badge.setAttribute('aria-expanded', 'false');
+        badge.addEventListener('click', () => {
+            const wasOpen = badge.getAttribute('aria-expanded') === 'true';
+            termsContainer.querySelectorAll('.term-badge').forEach(b => b.setAttribute('aria-expanded', 'false'));
+            if (wasOpen) {
+                detail.style.display = 'none';
+                return;
+            }
+            badge.setAttribute('aria-expanded', 'true');
+            showTermDetail(keyTerm, detail);
+        });
+        termsContainer.appendChild(badge);
+    });
 }
 
-// Display Quiz
-function displayQuiz(questions) {
-    const container = document.getElementById('questionsContainer');
+// Sentence text with every use of the term outside a formula wrapped in <mark>
+function highlightTerm(text, term) {
+    const fragment = document.createDocumentFragment();
+    const pattern = KeyTermExtractor.termPattern(term.toLowerCase(), 'gi');
+    const formulas = MathText.split(text).filter(token => token.tex !== undefined);
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(text))) {
+        if (formulas.some(formula => match.index < formula.end && pattern.lastIndex > formula.start)) continue;
+        fragment.append(richText(text.slice(last, match.index)));
+        const mark = document.createElement('mark');
+        mark.textContent = match[0];
+        fragment.append(mark);
+        last = match.index + match[0].length;
+    }
+    fragment.append(richText(text.slice(last)));
+    return fragment;
+}
 
-    container.innerHTML = questions.map((q, idx) => {
-        let optionsHtml = '';
+function showTermDetail({ term, definition, occurrences }, detail) {
+    const maxOccurrences = 5;
+    detail.innerHTML = '';
 
+    const title = document.createElement('h4');
+    title.textContent = term;
+
+    const definitionText = document.createElement('p');
+    definitionText.className = 'term-definition';
+    if (definition) {
+        definitionText.append(highlightTerm(definition.text, term));
+    } else {
+        definitionText.classList.add('missing');
+        definitionText.textContent = 'No defining sentence found in the text.';
+    }
+    detail.append(title, definitionText);
+
+    if (occurrences.length > 0) {
+        const label = document.createElement('p');
+        label.className = 'term-occurrences-label';
+        const plural = occurrences.length === 1 ? '' : 's';
+        label.textContent = definition
+            ? `Also appears in ${occurrences.length} other sentence${plural}:`
+            : `Appears in ${occurrences.length} sentence${plural}:`;
+
+        const list = document.createElement('ul');
+        list.className = 'term-occurrences';
+        occurrences.slice(0, maxOccurrences).forEach(sentence => {
+            const item = document.createElement('li');
+            item.append(highlightTerm(sentence.text, term));
+            if (sentence.page) {
+                const page = document.createElement('span');
+                page.className = 'page-tag';
+                page.textContent = `p. ${sentence.page}`;
+                item.append(page);
+            }
+            list.appendChild(item);
+        });
+        if (occurrences.length > maxOccurrences) {
+            const more = document.createElement('li');
+            more.className = 'term-occurrences-more';
+            more.textContent = `...and ${occurrences.length - maxOccurrences} more`;
+            list.appendChild(more);
+        }
+        detail.append(label, list);
+    }
+
+    detail.style.display = 'block';
+}
+
+// Display Quiz; `retry` marks a quiz of previously missed questions
+function displayQuiz(questions, retry = questions !== currentSet.quiz) {
+    const container = document.getElementById('questionsContainer');
+    const showSources = hasMultipleSources(questions);
+    stopExam();
+
+    // Answers are checked against quizData on submit; nothing in the DOM says which is correct
+    container.innerHTML = '';
+    questions.forEach((q, idx) => {
+        const question = makeElement('div', 'question');
+        const header = makeElement('div', 'question-header');
+        const text = q.type === 'cloze' ? clozeText(q, idx) : makeRichElement('p', 'question-text', q.question);
+        header.append(makeElement('span', 'question-number', String(idx + 1)), text);
+        if (showSources && q.source) header.appendChild(sourceTag(q.source));
+
+        const options = makeElement('div', 'question-options');
         if (q.type === 'truefalse' || q.type === 'mcq') {
-            optionsHtml = q.options.map((opt, i) => `
-                <label class="option">
-                    <input type="radio" name="${q.id}" value="${opt}" 
-                           data-correct="${q.type === 'truefalse' ? (opt.toLowerCase() === q.correctAnswer) : (opt === q.correctAnswer)}">
-                    <span>${opt}</span>
-                </label>
-            `).join('');
+            q.options.forEach((option, optionIdx) => {
+                const label = makeElement('label', 'option');
+                const radio = makeElement('input');
+                radio.type = 'radio';
+                radio.name = `question-${idx}`;
+                radio.value = String(optionIdx);
+                label.append(radio, makeRichElement('span', '', option));
+                options.appendChild(label);
+            });
         } else if (q.type === 'fillblank') {
-            optionsHtml = `
-                <input type="text" name="${q.id}" class="text-answer" 
-                       placeholder="Type your answer..." 
-                       data-correct="${q.correctAnswer}">
-            `;
+            const input = makeElement('input', 'text-answer');
+            input.type = 'text';
+            input.name = `question-${idx}`;
+            input.placeholder = 'Type your answer...';
+            input.autocomplete = 'off';
+            options.appendChild(input);
+        } else if (q.type === 'numeric') {
+            const input = makeElement('input', 'text-answer numeric-answer');
+            input.type = 'text';
+            input.inputMode = 'decimal';
+            input.name = `question-${idx}`;
+            input.placeholder = 'Type a number...';
+            input.autocomplete = 'off';
+            options.appendChild(input);
+            if (q.unit) options.appendChild(makeElement('span', 'answer-unit', q.unit));
+        } else if (q.type === 'matching') {
+            // Lettered definitions, and a letter to choose for each term
+            const definitions = makeElement('ol', 'match-definitions');
+            definitions.type = 'A';
+            q.options.forEach(option => definitions.appendChild(makeRichElement('li', '', option)));
+            options.appendChild(definitions);
+            q.pairs.forEach((pair, pairIdx) => {
+                const row = makeElement('label', 'match-row');
+                const select = makeElement('select', 'match-select');
+                select.name = `question-${idx}-${pairIdx}`;
+                select.add(new Option('–', ''));
+                q.options.forEach((option, optionIdx) => select.add(new Option(String.fromCharCode(65 + optionIdx), String(optionIdx))));
+                row.append(makeRichElement('span', 'match-term', pair.term), select);
+                options.appendChild(row);
+            });
+        } else if (q.type === 'ordering') {
+            options.appendChild(orderList(q));
+        } else if (q.type === 'shortanswer') {
+            const textarea = makeElement('textarea', 'text-answer short-answer');
+            textarea.name = `question-${idx}`;
+            textarea.rows = 3;
+            textarea.placeholder = 'Answer in a sentence or two...';
+            options.appendChild(textarea);
         }
 
-        return `
-            <div class="question" data-id="${q.id}">
-                <div class="question-header">
-                    <span class="question-number">${idx + 1}</span>
-                    <p class="question-text">${q.question}</p>
-                </div>
-                <div class="question-options">
-                    ${optionsHtml}
-                </div>
-                <div class="question-result" style="display: none;"></div>
-            </div>
-        `;
-    }).join('');
+        const result = makeElement('div', 'question-result');
+        result.style.display = 'none';
+
+        question.append(header, options, result);
+        container.appendChild(question);
+    });
+
+    userAnswers = {};
+    showingResults = false;
+    document.getElementById('scoreDisplay').style.display = 'none';
+    submitBtn.style.display = 'inline-block';
+    resetBtn.style.display = 'none';
+    retakeBtn.style.display = 'none';
+    quizDraft = null;
+    quizForm.style.display = 'block';
+    quizEditor.style.display = 'none';
+    quizAnalytics.style.display = 'none';
+    quizTimer = new QuestionTimer();
+    retryingWeak = retry;
 
     quizSection.style.display = 'block';
     quizSection.scrollIntoView({ behavior: 'smooth' });
 }
 
+// A cloze sentence with a text box in place of each blank
+function clozeText(question, idx) {
+    const text = makeElement('p', 'question-text');
+    question.question.split(/_{3,}/).forEach((part, partIdx) => {
+        if (partIdx > 0) {
+            const input = makeElement('input', 'text-answer cloze-blank');
+            input.type = 'text';
+            input.name = `question-${idx}-${partIdx - 1}`;
+            input.autocomplete = 'off';
+            input.setAttribute('aria-label', `Blank ${partIdx}`);
+            text.appendChild(input);
+        }
+        text.append(richText(part));
+    });
+    return text;
+}
+
+// The steps as shown, each with buttons to move it up or down
+function orderList(question) {
+    const list = makeElement('ol', 'order-list');
+    const move = (item, by) => {
+        const target = by < 0 ? item.previousElementSibling : item.nextElementSibling;
+        if (!target) return;
+        if (by < 0) list.insertBefore(item, target);
+        else list.insertBefore(target, item);
+        list.dataset.moved = 'true';
+        list.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+    question.options.forEach((option, optionIdx) => {
+        const item = makeElement('li', 'order-item');
+        item.dataset.option = String(optionIdx);
+        item.appendChild(makeRichElement('span', 'order-text', option));
+        [['↑', 'Move up', -1], ['↓', 'Move down', 1]].forEach(([icon, label, by]) => {
+            const button = makeElement('button', 'order-move', icon);
+            button.type = 'button';
+            button.title = label;
+            button.setAttribute('aria-label', label);
+            button.addEventListener('click', () => move(item, by));
+            item.appendChild(button);
+        });
+        list.appendChild(item);
+    });
+    return list;
+}
+
+// The learner's answer to a rendered question: the chosen option's text or the typed text;
+// a list for cloze (each blank), matching (the definition chosen for each term) and ordering
+function readAnswer(question, element) {
+    if (question.type === 'cloze') return [...element.querySelectorAll('.cloze-blank')].map(input => input.value);
+    if (question.type === 'matching') {
+        return [...element.querySelectorAll('.match-select')].map(select => select.value === '' ? '' : question.options[Number(select.value)]);
+    }
+    if (question.type === 'ordering') return [...element.querySelectorAll('.order-item')].map(item => question.options[Number(item.dataset.option)]);
+    if (question.type === 'shortanswer') return element.querySelector('textarea').value;
+    if (question.type === 'fillblank' || question.type === 'numeric') return element.querySelector('input[type="text"]').value;
+    const checked = element.querySelector('input[type="radio"]:checked');
+    return checked ? question.options[Number(checked.value)] : '';
+}
+
+// An ordering counts as answered once a step has been moved
+function hasAnswer(question, element) {
+    if (question.type === 'ordering') return element.querySelector('.order-list').dataset.moved === 'true';
+    const answer = readAnswer(question, element);
+    return Array.isArray(answer) ? answer.some(part => part.trim() !== '') : answer.trim() !== '';
+}
+
+// { correct, close }: typed answers may be accepted as a close match. Matching and ordering
+// questions must be entirely right
+function gradeAnswer(question, answer) {
+    if (question.type === 'truefalse') return { correct: answer.toLowerCase() === question.correctAnswer, close: false };
+    if (question.type === 'mcq') return { correct: answer === question.correctAnswer, close: false };
+    if (question.type === 'matching') return { correct: question.pairs.every((pair, i) => answer[i] === pair.definition), close: false };
+    if (question.type === 'ordering') return { correct: question.items.every((item, i) => answer[i] === item), close: false };
+    return AnswerGrader.grade(question, answer);
+}
+
+// Right and wrong parts of a multi-part answer: each blank, term or step
+function markParts(question, element, answer, result) {
+    let parts = [];
+    if (question.type === 'cloze') {
+        parts = [...element.querySelectorAll('.cloze-blank')].map((input, i) => [input, result.blanks[i].correct]);
+    } else if (question.type === 'matching') {
+        parts = [...element.querySelectorAll('.match-row')].map((row, i) => [row, answer[i] === question.pairs[i].definition]);
+    } else if (question.type === 'ordering') {
+        parts = [...element.querySelectorAll('.order-item')].map((item, i) => [item, answer[i] === question.items[i]]);
+    }
+    parts.forEach(([part, correct]) => part.classList.add(correct ? 'part-correct' : 'part-incorrect'));
+}
+
+// Time on each question goes to whichever one was last clicked, focused or typed in
+['focusin', 'click', 'input'].forEach(type => {
+    questionsContainer.addEventListener(type, (e) => {
+        const element = e.target.closest('.question');
+        if (!element || showingResults || !quizTimer) return;
+        quizTimer.activate(quizData[[...questionsContainer.children].indexOf(element)].id);
+    });
+});
+
+// Exam mode: the same grading, one question per screen, shuffled, optionally timed
+
+// A new order of questions and multiple choice options for each attempt
+function shuffleQuiz(questions, random = new SeededRandom()) {
+    return random.shuffle(questions).map(question => question.type === 'mcq' || question.type === 'matching'
+        ? { ...question, options: random.shuffle(question.options) }
+        : question);
+}
+
+document.getElementById('startExamBtn').addEventListener('click', () => {
+    // An exam over the weak questions is still a retry
+    const retry = retryingWeak;
+    quizData = shuffleQuiz(retry ? quizData : currentSet.quiz);
+    displayQuiz(quizData, retry);
+    startExam(Number(document.getElementById('examTimeLimit').value));
+});
+
+function startExam(minutes) {
+    exam = {
+        current: 0,
+        flagged: new Set(),
+        deadline: minutes > 0 ? Date.now() + minutes * 60 * 1000 : null,
+        interval: null
+    };
+    quizForm.classList.add('exam-mode');
+    examBar.style.display = 'flex';
+    examNav.style.display = 'flex';
+    if (exam.deadline) exam.interval = setInterval(updateCountdown, 1000);
+    updateCountdown();
+    showExamQuestion(0);
+}
+
+function stopExam() {
+    if (exam && exam.interval) clearInterval(exam.interval);
+    exam = null;
+    quizForm.classList.remove('exam-mode');
+    examBar.style.display = 'none';
+    examNav.style.display = 'none';
+}
+
+// Submits by itself when the time is up
+function updateCountdown() {
+    if (!exam.deadline) {
+        examCountdown.textContent = '';
+        return;
+    }
+    const seconds = Math.max(0, Math.ceil((exam.deadline - Date.now()) / 1000));
+    examCountdown.textContent = `⏱ ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    examCountdown.classList.toggle('low', seconds <= 60);
+    if (seconds === 0) {
+        submitQuiz();
+        alert('Time is up! Your answers have been submitted.');
+    }
+}
+
+function showExamQuestion(idx) {
+    const elements = questionsContainer.children;
+    exam.current = Math.max(0, Math.min(idx, quizData.length - 1));
+    [...elements].forEach((element, i) => element.classList.toggle('current', i === exam.current));
+    quizTimer.activate(quizData[exam.current].id);
+
+    examPrevBtn.disabled = exam.current === 0;
+    examNextBtn.disabled = exam.current === quizData.length - 1;
+    examFlagBtn.textContent = exam.flagged.has(exam.current) ? '⚑ Remove flag' : '⚑ Flag for review';
+    renderExamPalette();
+
+    const input = elements[exam.current].querySelector('input[type="text"], textarea');
+    if (input) input.focus();
+}
+
+// One button per question: answered, flagged and current ones look different
+function renderExamPalette() {
+    const elements = questionsContainer.children;
+    examPalette.innerHTML = '';
+    quizData.forEach((question, idx) => {
+        const button = makeElement('button', 'palette-item', String(idx + 1));
+        const answered = hasAnswer(question, elements[idx]);
+        button.type = 'button';
+        button.classList.toggle('answered', answered);
+        button.classList.toggle('flagged', exam.flagged.has(idx));
+        button.classList.toggle('current', idx === exam.current);
+        button.title = `Question ${idx + 1}${answered ? ', answered' : ''}${exam.flagged.has(idx) ? ', flagged' : ''}`;
+        button.addEventListener('click', () => showExamQuestion(idx));
+        examPalette.appendChild(button);
+    });
+}
+
+function toggleFlag() {
+    if (exam.flagged.has(exam.current)) exam.flagged.delete(exam.current);
+    else exam.flagged.add(exam.current);
+    showExamQuestion(exam.current);
+}
+
+examPrevBtn.addEventListener('click', () => showExamQuestion(exam.current - 1));
+examNextBtn.addEventListener('click', () => showExamQuestion(exam.current + 1));
+examFlagBtn.addEventListener('click', toggleFlag);
+
+questionsContainer.addEventListener('input', () => {
+    if (exam) renderExamPalette();
+});
+
+// 1-4 choose an option, Enter moves on (to Submit after the last question), F flags
+document.addEventListener('keydown', (e) => {
+    if (!exam || quizSection.style.display === 'none' || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.tagName === 'BUTTON' || e.target.tagName === 'SELECT' || e.target.tagName === 'TEXTAREA') return;
+    const typing = e.target.tagName === 'INPUT' && e.target.type !== 'radio';
+
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        if (exam.current < quizData.length - 1) showExamQuestion(exam.current + 1);
+        else submitBtn.focus();
+    } else if (!typing && /^[1-9]$/.test(e.key)) {
+        const radio = questionsContainer.children[exam.current].querySelectorAll('input[type="radio"]')[Number(e.key) - 1];
+        if (radio) {
+            radio.checked = true;
+            radio.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+    } else if (!typing && e.key.toLowerCase() === 'f') {
+        toggleFlag();
+    }
+});
+
 // Submit Quiz
 submitBtn.addEventListener('click', () => {
-    let score = 0;
-    const questions = document.querySelectorAll('.question');
-
-    questions.forEach(q => {
-        const inputs = q.querySelectorAll('input[type="radio"], input[type="text"]');
-        let isCorrect = false;
-        let userAnswer = '';
-        let correctAnswer = '';
-
-        inputs.forEach(input => {
-            if (input.type === 'radio' && input.checked) {
-                isCorrect = input.dataset.correct === 'true';
-                userAnswer = input.value;
-            } else if (input.type === 'text') {
-                const normalized = input.value.toLowerCase().replace(/[^a-z]/g, '');
-                correctAnswer = input.dataset.correct;
-                isCorrect = normalized === correctAnswer;
-                userAnswer = input.value;
-            }
-        });
+    if (exam) {
+        const unanswered = quizData.filter((question, idx) => !hasAnswer(question, questionsContainer.children[idx])).length;
+        const problems = [];
+        if (unanswered > 0) problems.push(`${unanswered} question${unanswered === 1 ? ' is' : 's are'} unanswered`);
+        if (exam.flagged.size > 0) problems.push(`${exam.flagged.size} ${exam.flagged.size === 1 ? 'is' : 'are'} flagged for review`);
+        if (problems.length > 0 && !confirm(`${problems.join(' and ')}. Submit anyway?`)) return;
+    }
+    submitQuiz();
+});
 
+function submitQuiz() {
+    let score = 0;
+    const elements = questionsContainer.querySelectorAll('.question');
+    const results = [];
+    stopExam();
+    quizTimer.stop();
+
+    quizData.forEach((question, idx) => {
+        const element = elements[idx];
+        const userAnswer = readAnswer(question, element);
+        const grade = gradeAnswer(question, userAnswer);
+        const { correct: isCorrect, close } = grade;
+
+        userAnswers[question.id] = userAnswer;
         if (isCorrect) score++;
+        results.push({
+            id: question.id,
+            type: question.type,
+            question: question.question,
+            correct: isCorrect,
+            close,
+            time: quizTimer.time(question.id)
+        });
 
-        const resultDiv = q.querySelector('.question-result');
+        const resultDiv = element.querySelector('.question-result');
         resultDiv.style.display = 'flex';
         resultDiv.className = 'question-result ' + (isCorrect ? 'correct' : 'incorrect');
-        
-        if (isCorrect) {
-            resultDiv.innerHTML = '<span>✓</span> Correct!';
+        resultDiv.innerHTML = '';
+
+        if (close) {
+            resultDiv.append(makeElement('span', '', '✓'), ' Accepted (close match). Expected: ', richText(StudyExporter.answerText(question)));
+        } else if (isCorrect) {
+            resultDiv.append(makeElement('span', '', '✓'), ' Correct!');
         } else {
-            const correctInput = q.querySelector('[data-correct="true"]');
-            if (correctInput) {
-                correctAnswer = correctInput.value;
-            } else {
-                correctAnswer = q.querySelector('[data-correct]').dataset.correct;
-            }
-            resultDiv.innerHTML = `<span>✗</span> Incorrect. Correct answer: ${correctAnswer}`;
+            resultDiv.append(makeElement('span', '', '✗'), ' Incorrect. Correct answer: ', richText(StudyExporter.answerText(question)));
+        }
+        if (question.type === 'shortanswer' && grade.missing.length > 0) {
+            resultDiv.appendChild(makeElement('div', 'missing-keywords', `Key words not used: ${grade.missing.join(', ')}`));
+        }
+        markParts(question, element, userAnswer, grade);
+        // The sentence the question was made from explains the answer
+        if (question.sentence) {
+            resultDiv.appendChild(renderExplanation(question));
+        } else if (question.original) {
+            resultDiv.appendChild(makeRichElement('div', 'original-statement', `Original: ${question.original}`));
         }
 
-        q.querySelectorAll('input').forEach(i => i.disabled = true);
+        element.querySelectorAll('input, select, textarea, .order-move').forEach(i => i.disabled = true);
     });
 
     const percentage = Math.round((score / quizData.length) * 100);
-    document.getElementById('scoreDisplay').innerHTML = `
-        Score: ${score}/${quizData.length} (${percentage}%)
-    `;
+    document.getElementById('scoreDisplay').textContent = `Score: ${score}/${quizData.length} (${percentage}%)`;
     document.getElementById('scoreDisplay').style.display = 'block';
     submitBtn.style.display = 'none';
     resetBtn.style.display = 'inline-block';
+    retakeBtn.style.display = 'inline-block';
     showingResults = true;
+
+    const attempt = {
+        date: Date.now(),
+        seed: currentSet.seed,
+        score,
+        total: quizData.length,
+        duration: quizTimer.elapsed(),
+        // A retry covers only the questions missed before
+        retry: retryingWeak,
+        answers: { ...userAnswers },
+        results
+    };
+    currentSet = { ...currentSet, attempts: [...(currentSet.attempts || []), attempt] };
+    renderAnalytics(currentSet);
+
+    if (currentSet.id && library.isAvailable()) {
+        library.addAttempt(currentSet.id, attempt)
+            .then(saved => {
+                if (currentSet && currentSet.id === saved.id) currentSet = saved;
+                renderLibrary();
+            })
+            .catch(error => console.warn('Could not save the attempt:', error));
+    }
+}
+
+// Dashboard under the results: score history, accuracy per question type, missed terms
+function renderAnalytics(studySet) {
+    quizAnalytics.innerHTML = '';
+    quizAnalytics.appendChild(makeElement('h3', '', 'Your Progress'));
+    const grid = makeElement('div', 'analytics-grid');
+
+    const history = makeElement('div', 'analytics-panel');
+    history.appendChild(makeElement('h4', '', 'Score history'));
+    const chart = makeElement('div', 'trend-chart');
+    QuizAnalytics.scoreTrend(studySet.attempts).slice(-12).forEach(point => {
+        const column = makeElement('div', 'trend-column');
+        column.title = `${new Date(point.date).toLocaleString()}: ${point.score}/${point.total}`;
+        const bar = makeElement('div', 'trend-bar');
+        bar.style.height = `${Math.max(point.percent, 2)}%`;
+        column.append(makeElement('span', 'trend-value', `${point.percent}%`), bar);
+        chart.appendChild(column);
+    });
+    history.appendChild(chart.children.length > 0 ? chart : makeElement('p', 'notes-empty', 'Take the full quiz to start a history.'));
+
+    const byType = makeElement('div', 'analytics-panel');
+    byType.appendChild(makeElement('h4', '', 'Accuracy by question type'));
+    QuizAnalytics.accuracyByType(studySet.attempts, QUESTION_TYPES).forEach(row => {
+        const line = makeElement('div', 'accuracy-row');
+        const meter = makeElement('div', 'accuracy-meter');
+        const fill = makeElement('span');
+        fill.style.width = `${row.percent}%`;
+        meter.appendChild(fill);
+        const time = row.averageTime > 0 ? ` · ${Math.max(1, Math.round(row.averageTime / 1000))}s each` : '';
+        line.append(
+            makeElement('span', 'accuracy-label', row.label),
+            meter,
+            makeElement('span', 'accuracy-value', `${row.percent}% (${row.correct}/${row.total})${time}`)
+        );
+        byType.appendChild(line);
+    });
+
+    const missed = makeElement('div', 'analytics-panel');
+    missed.appendChild(makeElement('h4', '', 'Most missed key terms'));
+    const terms = QuizAnalytics.missedTerms(studySet);
+    if (terms.length === 0) {
+        missed.appendChild(makeElement('p', 'notes-empty', 'No missed key terms so far.'));
+    } else {
+        const badges = makeElement('div', 'terms-container');
+        terms.forEach(({ term, count }) => badges.appendChild(makeElement('span', 'term-badge', `${term} ×${count}`)));
+        missed.appendChild(badges);
+    }
+
+    grid.append(history, byType, missed);
+
+    const weak = QuizAnalytics.weakQuestions(studySet);
+    const retry = makeElement('button', 'btn btn-primary', `Retry my weak questions (${weak.length})`);
+    retry.type = 'button';
+    retry.disabled = weak.length === 0;
+    retry.addEventListener('click', () => {
+        quizData = weak;
+        displayQuiz(quizData);
+    });
+
+    quizAnalytics.append(grid, retry);
+    quizAnalytics.style.display = 'block';
+}
+
+function renderExplanation(question) {
+    const explanation = makeElement('div', 'explanation');
+    explanation.append(makeElement('strong', '', 'From the text: '), richText(question.sentence.text));
+
+    if (currentSet && currentSet.sources.some(source => source.name === question.source)) {
+        const link = makeElement('button', 'link-button', 'Show in source');
+        link.type = 'button';
+        link.addEventListener('click', () => showInSource(question));
+        explanation.append(' ', link);
+    }
+    return explanation;
+}
+
+// Source Viewer
+// Each file's text as the generator cleaned it; sentence offsets point into this text
+const sourceTextCache = new WeakMap();
+
+// Promise of a Map from file name to text; sets saved before the texts were kept have
+// them cleaned again in the worker
+function sourceTexts(studySet) {
+    if (!sourceTextCache.has(studySet.sources)) {
+        const texts = studySet.sourceTexts
+            ? Promise.resolve(studySet.sourceTexts)
+            : new BackgroundTask('sourceTexts', { sources: studySet.sources, settings: studySet.settings }).promise;
+        sourceTextCache.set(studySet.sources, texts.then(list => new Map(list.map(source => [source.name, source.text]))));
+    }
+    return sourceTextCache.get(studySet.sources);
+}
+
+async function showInSource(question) {
+    const studySet = currentSet;
+    let texts;
+    try {
+        texts = await sourceTexts(studySet);
+    } catch (error) {
+        sourceTextCache.delete(studySet.sources);
+        console.error('Source text error:', error);
+        alert('Error showing the source: ' + error.message);
+        return;
+    }
+    const text = texts.get(question.source) || '';
+    const { sentence } = question;
+    // Fall back to searching when the offset does not line up (e.g. an edited quiz file)
+    let start = sentence.offset;
+    if (start === undefined || text.substr(start, sentence.text.length) !== sentence.text) {
+        start = text.indexOf(sentence.text);
+    }
+    const end = start + sentence.text.length;
+
+    document.getElementById('sourceViewerTitle').textContent = question.source || 'Source';
+    sourceViewerText.innerHTML = '';
+    let highlight = null;
+    let partStart = 0;
+    text.split('\n\n').forEach(part => {
+        const partEnd = partStart + part.length;
+        const paragraph = makeElement('p');
+        if (start >= partStart && start < partEnd) {
+            highlight = makeElement('mark', '', part.slice(start - partStart, end - partStart));
+            paragraph.className = 'source-passage';
+            paragraph.append(part.slice(0, start - partStart), highlight, part.slice(end - partStart));
+        } else {
+            paragraph.textContent = part;
+        }
+        sourceViewerText.appendChild(paragraph);
+        partStart = partEnd + 2;
+    });
+
+    if (!highlight) {
+        sourceViewerText.prepend(makeElement('p', 'notes-empty', 'This sentence could not be found in the source.'));
+    }
+    sourceViewer.classList.add('open');
+    if (highlight) highlight.scrollIntoView({ block: 'center' });
+}
+
+document.getElementById('sourceViewerClose').addEventListener('click', () => {
+    sourceViewer.classList.remove('open');
+});
+
+// Retake the whole quiz with empty answers (also after retrying weak questions)
+retakeBtn.addEventListener('click', () => {
+    quizData = currentSet.quiz;
+    displayQuiz(quizData);
 });
 
-// Reset Button
+// Start Over: back to the start screen with the library open
 resetBtn.addEventListener('click', () => {
-    location.reload();
-});
\ No newline at end of file
+    showHome();
+    librarySidebar.classList.add('open');
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+});
+
+// Quiz Files: save the questions as JSON, or open a saved file as a new study set
+document.getElementById('saveQuizFileBtn').addEventListener('click', () => {
+    downloadFile(`${StudyExporter.slug(currentSet.title)}-quiz.json`, QuizFile.serialize(currentSet.title, currentSet.quiz), 'application/json');
+});
+
+document.getElementById('openQuizBtn').addEventListener('click', () => quizFileInput.click());
+
+quizFileInput.addEventListener('change', async () => {
+    const file = quizFileInput.files[0];
+    quizFileInput.value = '';
+    if (!file) return;
+
+    try {
+        const { title, questions } = QuizFile.parse(await file.text());
+        const studySet = {
+            title: title || file.name.replace(/\.json$/i, ''),
+            sources: [],
+            settings: readQuizSettings(),
+            seed: '',
+            notes: { outline: [], keyTerms: [] },
+            quiz: questions
+        };
+        showStudySet(studySet);
+        saveStudySet(studySet);
+    } catch (error) {
+        alert(error.message);
+    }
+});
+
+// Question Editor
+function newQuestionId() {
+    return `custom-${Date.now().toString(36)}-${Math.floor(Math.random() * 0x10000).toString(36)}`;
+}
+
+// Multiple choice answers are tracked by position while editing, so renaming an option keeps it correct
+function startEditing() {
+    // Always edit the whole quiz, not a retry of weak questions
+    stopExam();
+    quizData = currentSet.quiz;
+    quizDraft = quizData.map(question => ({
+        ...question,
+        options: question.options ? [...question.options] : undefined,
+        pairs: question.pairs ? question.pairs.map(pair => ({ ...pair })) : undefined,
+        correctIndex: question.type === 'mcq' ? question.options.indexOf(question.correctAnswer) : -1
+    }));
+    quizForm.style.display = 'none';
+    quizEditor.style.display = 'block';
+    renderEditor();
+}
+
+// Keep what still makes sense when a question changes type
+function convertQuestion(question, type) {
+    const converted = { id: question.id, type, question: question.question, source: question.source };
+    const answerText = question.type === 'mcq' ? question.options[question.correctIndex] || '' : question.correctAnswer;
+
+    if (type === 'truefalse') {
+        converted.options = ['True', 'False'];
+        converted.correctAnswer = question.type === 'truefalse' ? question.correctAnswer : 'true';
+    } else if (type === 'mcq') {
+        converted.options = question.type === 'fillblank' && answerText ? [answerText, '', ''] : ['', '', ''];
+        converted.correctIndex = 0;
+    } else if (type === 'numeric') {
+        converted.correctAnswer = MathText.parseNumber(answerText || '') === null ? '' : answerText;
+    } else if (type === 'cloze') {
+        converted.answers = question.type === 'fillblank' && answerText ? [answerText] : [];
+    } else if (type === 'matching') {
+        converted.pairs = [0, 1, 2].map(() => ({ term: '', definition: '' }));
+    } else if (type === 'ordering') {
+        converted.items = question.type === 'mcq' ? question.options.filter(Boolean) : [];
+    } else if (type === 'shortanswer') {
+        converted.correctAnswer = ['fillblank', 'cloze', 'truefalse'].includes(question.type) ? '' : answerText;
+        converted.keywords = [];
+    } else {
+        converted.correctAnswer = question.type === 'truefalse' ? '' : answerText;
+    }
+    return converted;
+}
+
+function renderEditor() {
+    editorQuestions.innerHTML = '';
+
+    quizDraft.forEach((question, idx) => {
+        const card = document.createElement('div');
+        card.className = 'editor-question';
+
+        const header = document.createElement('div');
+        header.className = 'editor-question-header';
+        const number = document.createElement('span');
+        number.className = 'question-number';
+        number.textContent = idx + 1;
+
+        const typeSelect = document.createElement('select');
+        typeSelect.setAttribute('aria-label', 'Question type');
+        QUESTION_TYPES.forEach(({ id, label }) => typeSelect.add(new Option(label, id, false, id === question.type)));
+        typeSelect.addEventListener('change', () => {
+            quizDraft[idx] = convertQuestion(question, typeSelect.value);
+            renderEditor();
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'editor-question-actions';
+        [
+            ['↑', 'Move up', idx > 0, () => [quizDraft[idx - 1], quizDraft[idx]] = [quizDraft[idx], quizDraft[idx - 1]]],
+            ['↓', 'Move down', idx < quizDraft.length - 1, () => [quizDraft[idx + 1], quizDraft[idx]] = [quizDraft[idx], quizDraft[idx + 1]]],
+            ['✕', 'Delete question', true, () => quizDraft.splice(idx, 1)]
+        ].forEach(([icon, label, enabled, action]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.title = label;
+            button.setAttribute('aria-label', label);
+            button.textContent = icon;
+            button.disabled = !enabled;
+            button.addEventListener('click', () => {
+                action();
+                renderEditor();
+            });
+            actions.appendChild(button);
+        });
+        header.append(number, typeSelect, actions);
+
+        const text = document.createElement('textarea');
+        text.className = 'editor-question-text';
+        text.value = question.question;
+        text.placeholder = {
+            fillblank: 'Sentence with the blank written as ______',
+            cloze: 'Sentence with each blank written as ______',
+            numeric: 'Question, or a sentence with the missing number written as ______'
+        }[question.type] || 'Question';
+        text.setAttribute('aria-label', 'Question text');
+        text.addEventListener('input', () => {
+            question.question = text.value;
+        });
+
+        card.append(header, text, renderAnswerEditor(question, idx));
+        editorQuestions.appendChild(card);
+    });
+}
+
+// A labelled text box or area in the editor; onInput gets its value
+function editorField(text, value, placeholder, onInput, multiline = false) {
+    const label = document.createElement('label');
+    label.textContent = text;
+    const input = document.createElement(multiline ? 'textarea' : 'input');
+    if (!multiline) input.type = 'text';
+    input.placeholder = placeholder;
+    input.value = value;
+    input.addEventListener('input', () => onInput(input.value));
+    label.appendChild(input);
+    return label;
+}
+
+// The answer part of a question card: True/False, options with the correct one, the blank's
+// answer, a number with its unit and tolerance, or the blanks, pairs, steps or keywords of the
+// other types
+function renderAnswerEditor(question, idx) {
+    const container = document.createElement('div');
+    container.className = 'editor-answers';
+
+    if (question.type === 'cloze') {
+        container.appendChild(editorField('Answers ', question.answers.join('; '), 'One per blank, in order, separated by semicolons', value => {
+            question.answers = value.split(';').map(item => item.trim()).filter(Boolean);
+        }));
+        return container;
+    }
+
+    if (question.type === 'matching') {
+        question.pairs.forEach((pair, pairIdx) => {
+            const row = document.createElement('div');
+            row.className = 'editor-option';
+            [['term', 'Term'], ['definition', 'Definition']].forEach(([field, placeholder]) => {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.value = pair[field];
+                input.placeholder = placeholder;
+                input.addEventListener('input', () => {
+                    pair[field] = input.value;
+                });
+                row.appendChild(input);
+            });
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.title = 'Remove pair';
+            remove.setAttribute('aria-label', 'Remove pair');
+            remove.textContent = '✕';
+            remove.addEventListener('click', () => {
+                question.pairs.splice(pairIdx, 1);
+                renderEditor();
+            });
+            row.appendChild(remove);
+            container.appendChild(row);
+        });
+        const add = document.createElement('button');
+        add.type = 'button';
+        add.className = 'link-button';
+        add.textContent = '+ Add pair';
+        add.addEventListener('click', () => {
+            question.pairs.push({ term: '', definition: '' });
+            renderEditor();
+        });
+        container.appendChild(add);
+        return container;
+    }
+
+    if (question.type === 'ordering') {
+        container.appendChild(editorField('Steps ', question.items.join('\n'), 'The steps in the right order, one per line', value => {
+            question.items = value.split('\n').map(item => item.trim()).filter(Boolean);
+        }, true));
+        return container;
+    }
+
+    if (question.type === 'shortanswer') {
+        container.append(
+            editorField('Model answer ', question.correctAnswer, 'What a full answer says', value => {
+                question.correctAnswer = value;
+            }),
+            editorField('Keywords ', question.keywords.join(', '), 'Words a correct answer uses, separated by commas', value => {
+                question.keywords = value.split(',').map(item => item.trim()).filter(Boolean);
+            })
+        );
+        return container;
+    }
+
+    if (question.type === 'numeric') {
+        [
+            ['Answer ', 'correctAnswer', 'e.g. 9.8 or 3.0 × 10^8'],
+            ['Unit ', 'unit', 'Optional, e.g. m/s²'],
+            ['Tolerance ± ', 'tolerance', 'Default: the precision of the answer']
+        ].forEach(([text, field, placeholder]) => {
+            const label = document.createElement('label');
+            label.textContent = text;
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = placeholder;
+            input.value = question[field] ?? '';
+            input.addEventListener('input', () => {
+                question[field] = input.value;
+            });
+            label.appendChild(input);
+            container.appendChild(label);
+        });
+        return container;
+    }
+
+    if (question.type === 'fillblank') {
+        const label = document.createElement('label');
+        label.textContent = 'Answer ';
+        const answer = document.createElement('input');
+        answer.type = 'text';
+        answer.value = question.correctAnswer;
+        answer.addEventListener('input', () => {
+            question.correctAnswer = answer.value;
+        });
+        label.appendChild(answer);
+
+        const alternativesLabel = document.createElement('label');
+        alternativesLabel.textContent = 'Also accept ';
+        const alternatives = document.createElement('input');
+        alternatives.type = 'text';
+        alternatives.placeholder = 'Other answers, separated by commas';
+        alternatives.value = (question.alternatives || []).join(', ');
+        alternatives.addEventListener('input', () => {
+            question.alternatives = alternatives.value.split(',').map(item => item.trim()).filter(Boolean);
+        });
+        alternativesLabel.appendChild(alternatives);
+
+        container.append(label, alternativesLabel);
+        return container;
+    }
+
+    const options = question.type === 'truefalse' ? ['True', 'False'] : question.options;
+    options.forEach((option, optionIdx) => {
+        const row = document.createElement('div');
+        row.className = 'editor-option';
+
+        const correct = document.createElement('input');
+        correct.type = 'radio';
+        correct.name = `editor-correct-${idx}`;
+        correct.title = 'Correct answer';
+        correct.checked = question.type === 'truefalse'
+            ? option.toLowerCase() === question.correctAnswer
+            : optionIdx === question.correctIndex;
+        correct.addEventListener('change', () => {
+            if (question.type === 'truefalse') question.correctAnswer = option.toLowerCase();
+            else question.correctIndex = optionIdx;
+        });
+        row.appendChild(correct);
+
+        if (question.type === 'truefalse') {
+            const label = document.createElement('span');
+            label.textContent = option;
+            row.appendChild(label);
+        } else {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.value = option;
+            input.placeholder = `Option ${optionIdx + 1}`;
+            input.addEventListener('input', () => {
+                question.options[optionIdx] = input.value;
+            });
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.title = 'Remove option';
+            remove.setAttribute('aria-label', 'Remove option');
+            remove.textContent = '✕';
+            remove.addEventListener('click', () => {
+                question.options.splice(optionIdx, 1);
+                if (question.correctIndex === optionIdx) question.correctIndex = -1;
+                else if (question.correctIndex > optionIdx) question.correctIndex--;
+                renderEditor();
+            });
+            row.append(input, remove);
+        }
+        container.appendChild(row);
+    });
+
+    if (question.type === 'mcq') {
+        const add = document.createElement('button');
+        add.type = 'button';
+        add.className = 'link-button';
+        add.textContent = '+ Add option';
+        add.addEventListener('click', () => {
+            question.options.push('');
+            renderEditor();
+        });
+        container.appendChild(add);
+    }
+    return container;
+}
+
+document.getElementById('editQuizBtn').addEventListener('click', startEditing);
+
+document.getElementById('addQuestionBtn').addEventListener('click', () => {
+    quizDraft.push({ id: newQuestionId(), type: 'mcq', question: '', options: ['', '', ''], correctIndex: 0 });
+    renderEditor();
+    editorQuestions.lastElementChild.scrollIntoView({ behavior: 'smooth' });
+});
+
+document.getElementById('cancelEditsBtn').addEventListener('click', () => {
+    displayQuiz(quizData);
+});
+
+// The order matching definitions or ordering steps were shown in, reshuffled once they change
+function keptOrder(shown = [], values) {
+    const kept = shown.filter(value => values.includes(value));
+    return kept.length === values.length ? kept : new SeededRandom().shuffle(values);
+}
+
+document.getElementById('saveEditsBtn').addEventListener('click', async () => {
+    const questions = quizDraft.map(({ correctIndex, ...question }) => {
+        const edited = { ...question, question: question.question.trim() };
+        if (edited.type === 'mcq') {
+            edited.options = edited.options.map(option => option.trim());
+            edited.correctAnswer = edited.options[correctIndex] || '';
+        }
+        if (edited.type === 'fillblank' || edited.type === 'numeric') edited.correctAnswer = edited.correctAnswer.trim();
+        if (edited.type === 'numeric') {
+            edited.unit = (edited.unit || '').trim();
+            if (!edited.unit) delete edited.unit;
+            // A tolerance that is not a number is left for validation to report
+            const tolerance = String(edited.tolerance ?? '').trim();
+            if (tolerance === '') delete edited.tolerance;
+            else edited.tolerance = Number.isNaN(Number(tolerance)) ? tolerance : Number(tolerance);
+        }
+        if (edited.type === 'cloze') edited.correctAnswer = edited.answers.join(', ');
+        if (edited.type === 'matching') {
+            edited.pairs = edited.pairs
+                .map(pair => ({ term: pair.term.trim(), definition: pair.definition.trim() }))
+                .filter(pair => pair.term || pair.definition);
+            edited.options = keptOrder(edited.options, edited.pairs.map(pair => pair.definition));
+            edited.correctAnswer = edited.pairs.map(pair => `${pair.term}: ${pair.definition}`).join('; ');
+        }
+        if (edited.type === 'ordering') {
+            edited.options = keptOrder(edited.options, edited.items);
+            // Shown in the right order, the question would answer itself
+            if (edited.items.length > 1 && edited.options.every((item, i) => item === edited.items[i])) {
+                edited.options = [...edited.items.slice(1), edited.items[0]];
+            }
+            edited.correctAnswer = edited.items.join(' → ');
+        }
+        if (edited.type === 'shortanswer') edited.correctAnswer = edited.correctAnswer.trim();
+        if (edited.type !== 'fillblank' || !(edited.alternatives || []).length) delete edited.alternatives;
+        // A rewritten statement no longer matches the sentence it came from
+        const original = quizData.find(item => item.id === edited.id);
+        if (!original || original.question !== edited.question || original.correctAnswer !== edited.correctAnswer) delete edited.original;
+        return edited;
+    });
+
+    const errors = QuizFile.validateQuestions(questions);
+    if (errors.length > 0) {
+        alert(`Please fix these problems first:\n${errors.slice(0, 8).map(error => `- ${error}`).join('\n')}`);
+        return;
+    }
+
+    quizData = questions;
+    currentSet = { ...currentSet, quiz: questions };
+    displayQuiz(quizData);
+    renderPrintView(currentSet);
+    if (currentSet.id && library.isAvailable()) {
+        try {
+            currentSet = await library.update(currentSet.id, { quiz: questions });
+            renderLibrary();
+        } catch (error) {
+            console.warn('Could not save the edited quiz:', error);
+        }
+    }
+});
+
+renderLibrary();
\ No newline at end of file
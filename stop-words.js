@@ -0,0 +1,93 @@
+// stop-words.js - Common Words and Content-Word Tokenizer
+// Shared by the distractor engine and the summarizer to compare sentences by meaning words only.
+// STOP_WORDS is English; STOP_WORDS_BY_LANGUAGE has a list for every language in languages.js.
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'in', 'on', 'at', 'to', 'for', 'with',
+    'by', 'from', 'as', 'into', 'than', 'that', 'this', 'these', 'those', 'it', 'its',
+    'is', 'are', 'was', 'were', 'be', 'been', 'being', 'has', 'have', 'had', 'do', 'does',
+    'did', 'can', 'could', 'will', 'would', 'should', 'may', 'might', 'must', 'which',
+    'who', 'whom', 'what', 'when', 'where', 'how', 'also', 'such', 'not', 'no', 'so',
+    'if', 'then', 'there', 'their', 'they', 'them', 'he', 'she', 'we', 'you', 'i',
+    'all', 'any', 'each', 'other', 'some', 'more', 'most', 'very', 'used', 'use'
+]);
+
+const STOP_WORDS_BY_LANGUAGE = {
+    en: STOP_WORDS,
+    es: new Set([
+        'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'y', 'o', 'pero', 'de', 'del', 'en',
+        'a', 'al', 'por', 'para', 'con', 'sin', 'sobre', 'entre', 'como', 'que', 'quien', 'cual',
+        'este', 'esta', 'estos', 'estas', 'ese', 'esa', 'eso', 'es', 'son', 'era', 'eran', 'ser',
+        'fue', 'ha', 'han', 'hay', 'se', 'su', 'sus', 'lo', 'le', 'les', 'no', 'más', 'muy',
+        'también', 'cuando', 'donde', 'si', 'todo', 'todos', 'otro', 'otros', 'puede', 'pueden'
+    ]),
+    fr: new Set([
+        'le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'et', 'ou', 'mais', 'dans', 'en', 'au',
+        'aux', 'par', 'pour', 'avec', 'sans', 'sur', 'sous', 'entre', 'comme', 'que', 'qui', 'quoi',
+        'ce', 'cet', 'cette', 'ces', 'est', 'sont', 'était', 'être', 'été', 'a', 'ont', 'avoir',
+        'se', 'sa', 'son', 'ses', 'leur', 'leurs', 'il', 'elle', 'ils', 'elles', 'on', 'nous',
+        'vous', 'ne', 'pas', 'plus', 'très', 'aussi', 'quand', 'où', 'si', 'tout', 'tous', 'peut'
+    ]),
+    de: new Set([
+        'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'einer', 'eines',
+        'und', 'oder', 'aber', 'in', 'im', 'an', 'am', 'auf', 'aus', 'bei', 'mit', 'von', 'vom',
+        'zu', 'zum', 'zur', 'für', 'durch', 'über', 'unter', 'als', 'wie', 'dass', 'ist', 'sind',
+        'war', 'waren', 'sein', 'wird', 'werden', 'wurde', 'hat', 'haben', 'es', 'er', 'sie',
+        'wir', 'ihr', 'sich', 'nicht', 'auch', 'noch', 'sehr', 'wenn', 'wo', 'alle', 'kann', 'können'
+    ]),
+    it: new Set([
+        'il', 'lo', 'la', 'i', 'gli', 'le', 'un', 'uno', 'una', 'e', 'o', 'ma', 'di', 'del', 'della',
+        'dei', 'delle', 'in', 'nel', 'nella', 'a', 'al', 'alla', 'da', 'dal', 'per', 'con', 'su',
+        'tra', 'fra', 'come', 'che', 'chi', 'questo', 'questa', 'questi', 'quello', 'quella', 'è',
+        'sono', 'era', 'essere', 'ha', 'hanno', 'si', 'suo', 'sua', 'suoi', 'non', 'più', 'molto',
+        'anche', 'quando', 'dove', 'se', 'tutto', 'tutti', 'può', 'possono'
+    ]),
+    pt: new Set([
+        'o', 'a', 'os', 'as', 'um', 'uma', 'uns', 'umas', 'e', 'ou', 'mas', 'de', 'do', 'da', 'dos',
+        'das', 'em', 'no', 'na', 'nos', 'nas', 'por', 'para', 'com', 'sem', 'sobre', 'entre', 'como',
+        'que', 'quem', 'este', 'esta', 'estes', 'estas', 'esse', 'essa', 'isso', 'é', 'são', 'era',
+        'ser', 'foi', 'tem', 'têm', 'há', 'se', 'seu', 'sua', 'seus', 'não', 'mais', 'muito',
+        'também', 'quando', 'onde', 'todo', 'todos', 'pode', 'podem'
+    ]),
+    ru: new Set([
+        'и', 'в', 'во', 'не', 'что', 'он', 'на', 'я', 'с', 'со', 'как', 'а', 'то', 'все', 'она',
+        'так', 'его', 'но', 'да', 'ты', 'к', 'у', 'же', 'вы', 'за', 'бы', 'по', 'только', 'ее',
+        'её', 'мы', 'из', 'от', 'это', 'этот', 'эта', 'эти', 'для', 'или', 'при', 'был', 'была',
+        'были', 'быть', 'есть', 'является', 'являются', 'который', 'которая', 'которые', 'также',
+        'их', 'они', 'оно', 'может', 'могут', 'более', 'очень', 'когда', 'где'
+    ]),
+    el: new Set([
+        'ο', 'η', 'το', 'οι', 'τα', 'του', 'της', 'των', 'τον', 'την', 'τους', 'τις', 'ένας', 'μια',
+        'μία', 'ένα', 'και', 'ή', 'αλλά', 'σε', 'στο', 'στη', 'στην', 'στον', 'στα', 'στους', 'στις',
+        'από', 'με', 'για', 'ως', 'που', 'ότι', 'είναι', 'ήταν', 'έχει', 'έχουν', 'δεν', 'μη',
+        'μην', 'πιο', 'πολύ', 'επίσης', 'όταν', 'όπου', 'αυτό', 'αυτή', 'αυτός', 'αυτά', 'κάθε',
+        'μπορεί', 'θα', 'να'
+    ]),
+    zh: new Set([
+        '的', '了', '和', '是', '在', '有', '与', '及', '或', '也', '都', '而', '这', '那', '这个',
+        '那个', '这些', '那些', '一个', '一种', '我们', '他们', '它们', '它', '其', '之', '为',
+        '被', '把', '从', '对', '由', '以', '于', '等', '可以', '就', '不', '很', '更', '所',
+        '因为', '所以', '如果', '但是', '并', '中', '上', '下'
+    ]),
+    ja: new Set([
+        'の', 'に', 'は', 'を', 'た', 'が', 'で', 'て', 'って', 'と', 'し', 'れ', 'さ', 'ある', 'いる',
+        'も', 'する', 'から', 'な', 'こと', 'として', 'い', 'や', 'れる', 'など', 'なっ', 'ない',
+        'この', 'ため', 'その', 'あっ', 'よう', 'また', 'もの', 'あり', 'まで', 'られ', 'なる',
+        'へ', 'か', 'だ', 'これ', 'によって', 'により', 'おり', 'より', 'による', 'ず', 'なり',
+        'です', 'ます', 'である', 'それ', 'とは'
+    ])
+};
+
+function stopWordsFor(language) {
+    return STOP_WORDS_BY_LANGUAGE[language] || STOP_WORDS;
+}
+
+// Lowercase content words in text order, formulas left out; English words also lose common suffixes
+function contentWords(text, language = 'en') {
+    const stopWords = stopWordsFor(language);
+    // Words in unspaced scripts are often only two characters long
+    const minLength = Language.isSpaced(language) ? 3 : 2;
+    const words = Language.words(MathText.strip(text).toLowerCase(), language)
+        .filter(word => word.length >= minLength && !stopWords.has(word));
+    return language === 'en' ? words.map(word => word.replace(/(?:ing|ed|es|s)$/, '') || word) : words;
+}
@@ -0,0 +1,35 @@
+// study-worker.js - Background Worker for Extraction and Generation
+// Receives { type, ...payload } for a task in BACKGROUND_TASKS and replies with
+// { type: 'progress', message, fraction }, then { type: 'done', result } or { type: 'error', message }.
+
+importScripts(
+    'random.js',
+    'inflate.js',
+    'pdf-parser.js',
+    'zip-reader.js',
+    'document-model.js',
+    'math.js',
+    'text-processor.js',
+    'extractors.js',
+    'languages.js',
+    'stop-words.js',
+    'summarizer.js',
+    'key-terms.js',
+    'distractors.js',
+    'grading.js',
+    'perturbation.js',
+    'quiz-generator.js',
+    'background.js'
+);
+
+self.onmessage = async (e) => {
+    const { type, ...payload } = e.data;
+    try {
+        const result = await BACKGROUND_TASKS[type](payload, (message, fraction) => {
+            self.postMessage({ type: 'progress', message, fraction });
+        });
+        self.postMessage({ type: 'done', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,140 @@
+// summarizer.js - Extractive Summarizer (TF-IDF + TextRank, No External Dependencies)
+// Sentences are weighted by TF-IDF, ranked on a similarity graph, de-duplicated and
+// returned in the order they appear in the document.
+
+// Sentences closer than this (cosine similarity) count as saying the same thing
+const SUMMARY_DUPLICATE_SIMILARITY = 0.5;
+// Larger documents are ranked in consecutive stretches of this many sentences
+const SUMMARY_MAX_GRAPH = 1500;
+const SUMMARY_DAMPING = 0.85;
+
+class Summarizer {
+    // sentences: [{ text, ... }] in document order; language: a code from LANGUAGES
+    constructor(sentences, language = 'en') {
+        this.sentences = sentences;
+        this.tokens = sentences.map(sentence => contentWords(sentence.text, language));
+
+        // Each sentence is one "document" for the inverse document frequency
+        const documentFrequency = new Map();
+        this.tokens.forEach(words => {
+            new Set(words).forEach(word => {
+                documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1);
+            });
+        });
+        const count = sentences.length;
+        this.idf = new Map();
+        documentFrequency.forEach((df, word) => {
+            this.idf.set(word, Math.log(count / df) + 1);
+        });
+
+        this.vectors = this.tokens.map(words => this.tfidfVector(words));
+    }
+
+    tfidfVector(words) {
+        const vector = new Map();
+        words.forEach(word => vector.set(word, (vector.get(word) || 0) + 1));
+        let norm = 0;
+        vector.forEach((tf, word) => {
+            const weight = (tf / words.length) * this.idf.get(word);
+            vector.set(word, weight);
+            norm += weight * weight;
+        });
+        vector.norm = Math.sqrt(norm);
+        return vector;
+    }
+
+    static cosine(a, b) {
+        if (!a.norm || !b.norm) return 0;
+        const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+        let dot = 0;
+        small.forEach((weight, word) => {
+            const other = large.get(word);
+            if (other) dot += weight * other;
+        });
+        return dot / (a.norm * b.norm);
+    }
+
+    // PageRank over the weighted similarity graph of sentences [start, end)
+    textRank(start, end) {
+        const size = end - start;
+        const edges = Array.from({ length: size }, () => []);
+        const outWeight = new Float64Array(size);
+
+        for (let i = 0; i < size; i++) {
+            for (let j = i + 1; j < size; j++) {
+                const weight = Summarizer.cosine(this.vectors[start + i], this.vectors[start + j]);
+                if (weight > 0) {
+                    edges[i].push([j, weight]);
+                    edges[j].push([i, weight]);
+                    outWeight[i] += weight;
+                    outWeight[j] += weight;
+                }
+            }
+        }
+
+        let ranks = new Float64Array(size).fill(1 / size);
+        for (let iteration = 0; iteration < 50; iteration++) {
+            const next = new Float64Array(size).fill((1 - SUMMARY_DAMPING) / size);
+            for (let i = 0; i < size; i++) {
+                edges[i].forEach(([j, weight]) => {
+                    next[i] += SUMMARY_DAMPING * ranks[j] * weight / outWeight[j];
+                });
+            }
+            const change = next.reduce((sum, rank, i) => sum + Math.abs(rank - ranks[i]), 0);
+            ranks = next;
+            if (change < 1e-6) break;
+        }
+        return ranks;
+    }
+
+    // Graph centrality, scaled per stretch, plus the sentence's own TF-IDF weight;
+    // onProgress(sentencesScored, sentenceCount) follows each stretch
+    scores(onProgress = () => {}) {
+        const scores = new Array(this.sentences.length).fill(0);
+        for (let start = 0; start < this.sentences.length; start += SUMMARY_MAX_GRAPH) {
+            const end = Math.min(start + SUMMARY_MAX_GRAPH, this.sentences.length);
+            const ranks = this.textRank(start, end);
+            const maxRank = ranks.reduce((max, rank) => Math.max(max, rank), 0) || 1;
+            ranks.forEach((rank, i) => {
+                scores[start + i] = rank / maxRank;
+            });
+            onProgress(end, this.sentences.length);
+        }
+
+        const salience = this.tokens.map(words =>
+            words.reduce((sum, word) => sum + this.idf.get(word), 0) / Math.sqrt(words.length || 1)
+        );
+        // Not Math.max(...salience): spreading a long document's sentences overflows the stack
+        const maxSalience = salience.reduce((max, value) => Math.max(max, value), 0) || 1;
+
+        return scores.map((rank, i) => {
+            // Very short sentences rarely stand on their own in notes
+            const lengthFactor = Math.min(this.tokens[i].length / 5, 1);
+            return (0.8 * rank + 0.2 * salience[i] / maxSalience) * lengthFactor;
+        });
+    }
+
+    // The best `percent`% of sentences (at least one), without near-duplicates, in document order
+    summarize(percent, onProgress) {
+        if (this.sentences.length === 0) return [];
+        const target = Math.max(1, Math.round(this.sentences.length * percent / 100));
+        const scores = this.scores(onProgress);
+
+        const ranked = this.sentences
+            .map((sentence, index) => ({ index, score: scores[index] }))
+            .sort((a, b) => b.score - a.score);
+
+        const chosen = [];
+        for (const candidate of ranked) {
+            if (chosen.length >= target) break;
+            const duplicate = chosen.some(other =>
+                Summarizer.cosine(this.vectors[other.index], this.vectors[candidate.index]) > SUMMARY_DUPLICATE_SIMILARITY
+            );
+            if (!duplicate) chosen.push(candidate);
+        }
+
+        return chosen
+            .sort((a, b) => a.index - b.index)
+            .map(({ index }) => this.sentences[index]);
+    }
+}
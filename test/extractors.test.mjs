@@ -0,0 +1,16 @@
+// extractors.test.mjs - Reading Documents into Sections and Blocks
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readSource } from '../quiz-core.mjs';
+
+async function htmlText(html) {
+    const { document } = await readSource('page.html', new TextEncoder().encode(html));
+    return document.toText();
+}
+
+test('hidden HTML is skipped up to the close of the element that hid it', async () => {
+    assert.equal(await htmlText('<div hidden><p>secret</div><p>visible</p>'), 'visible');
+    assert.equal(await htmlText('<div style="display: none"><div><li>one<li>two</div></div><p>after</p>'), 'after');
+    assert.equal(await htmlText('<p>before<span aria-hidden="true">x<br>y</span> text</p>'), 'before text');
+});
@@ -0,0 +1,135 @@
+// generator.test.mjs - Generator Output on the Fixture Documents
+// Each fixture is read by its extractor and turned into a quiz with a fixed seed; the
+// quiz file must match the one in test/expected. After an intended change to the output,
+// rewrite the expected files with UPDATE_EXPECTED=1 npm test and review the diff.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import {
+    readSource,
+    textSource,
+    generateStudySet,
+    AnswerGrader,
+    StudyExporter,
+    QuizFile
+} from '../quiz-core.mjs';
+
+const FIXTURES = new URL('fixtures/', import.meta.url);
+const EXPECTED = new URL('expected/', import.meta.url);
+const SETTINGS = { questionCount: 8, seed: 'fixture' };
+
+// Fixture file and what it must come out as
+const CASES = [
+    { file: 'cells.txt', language: 'en' },
+    { file: 'mechanics.md', language: 'en', types: ['numeric'] },
+    { file: 'fotosintesis.html', language: 'es' }
+];
+
+async function studySetFor(file, settings = SETTINGS) {
+    const source = await readSource(file, await readFile(new URL(file, FIXTURES)));
+    return generateStudySet([source], settings);
+}
+
+CASES.forEach(({ file, language, types = [] }) => {
+    test(`${file} gives the expected quiz`, async () => {
+        const studySet = await studySetFor(file);
+        const actual = QuizFile.serialize(studySet.title, studySet.quiz);
+        const expectedUrl = new URL(`${file.replace(/\.[^.]+$/, '')}.quiz.json`, EXPECTED);
+        if (process.env.UPDATE_EXPECTED) await writeFile(expectedUrl, `${actual}\n`);
+
+        assert.equal(studySet.language, language);
+        assert.deepEqual(JSON.parse(actual), JSON.parse(await readFile(expectedUrl, 'utf8')));
+        types.forEach(type => assert.ok(studySet.quiz.some(question => question.type === type), `no ${type} question`));
+    });
+
+    test(`${file} gives a valid quiz whose answers grade as correct`, async () => {
+        const studySet = await studySetFor(file);
+        assert.equal(studySet.quiz.length, SETTINGS.questionCount);
+        assert.deepEqual(QuizFile.validateQuestions(studySet.quiz), []);
+
+        studySet.quiz.forEach(question => {
+            assert.ok(question.sentence.text.length > 0, `${question.id} has no source sentence`);
+            if (['fillblank', 'numeric', 'cloze', 'shortanswer'].includes(question.type)) {
+                const result = AnswerGrader.grade(question, question.type === 'cloze' ? question.answers : question.correctAnswer);
+                assert.ok(result.correct && !result.close, `${question.id} does not accept its own answer`);
+            }
+            if (question.type === 'mcq') assert.ok(question.options.includes(question.correctAnswer));
+            if (question.type === 'cloze') assert.ok(question.answers.length >= 2);
+        });
+    });
+});
+
+test('the same seed gives the same quiz and a different one changes it', async () => {
+    const first = await studySetFor('cells.txt');
+    const again = await studySetFor('cells.txt');
+    const other = await studySetFor('cells.txt', { ...SETTINGS, seed: 'another' });
+    assert.equal(JSON.stringify(again.quiz), JSON.stringify(first.quiz));
+    assert.notEqual(JSON.stringify(other.quiz), JSON.stringify(first.quiz));
+});
+
+test('only the chosen question types are made', async () => {
+    const studySet = await studySetFor('cells.txt', {
+        ...SETTINGS,
+        mix: { truefalse: 0, mcq: 1, fillblank: 1, numeric: 0 }
+    });
+    assert.ok(studySet.quiz.length > 0);
+    studySet.quiz.forEach(question => assert.ok(['mcq', 'fillblank'].includes(question.type), question.type));
+});
+
+test('numbered lists and "First... Then... Finally" passages give ordering questions', () => {
+    const text = [
+        'To make bread you follow these steps:',
+        '1. Mix the flour, water, yeast and salt in a large bowl.\n2. Knead the dough for ten minutes until smooth.\n3. Bake the loaf in a hot oven for thirty minutes.',
+        'First, the chlorophyll in the leaves absorbs energy from sunlight. Then the energy splits water molecules into hydrogen and oxygen. Finally, the hydrogen combines with carbon dioxide to build glucose.'
+    ].join('\n\n');
+    const { quiz } = generateStudySet([textSource(text)], { ...SETTINGS, questionCount: 2, mix: { ordering: 1 } });
+    assert.deepEqual(quiz.map(question => question.items), [
+        ['Mix the flour, water, yeast and salt in a large bowl', 'Knead the dough for ten minutes until smooth', 'Bake the loaf in a hot oven for thirty minutes'],
+        ['The chlorophyll in the leaves absorbs energy from sunlight', 'The energy splits water molecules into hydrogen and oxygen', 'The hydrogen combines with carbon dioxide to build glucose']
+    ]);
+    assert.equal(quiz[0].sentence.text, 'To make bread you follow these steps:');
+    quiz.forEach(question => assert.notDeepEqual(question.options, question.items));
+    assert.deepEqual(QuizFile.validateQuestions(quiz), []);
+});
+
+test('short answers are graded by the keywords they use, cloze answers blank by blank', () => {
+    const question = { type: 'shortanswer', correctAnswer: 'Ribosomes build proteins from amino acids', keywords: ['build', 'proteins', 'amino', 'acids', 'structures'] };
+    const result = AnswerGrader.grade(question, 'They build protein out of amino acids');
+    assert.ok(result.correct && result.close);
+    assert.deepEqual(result.found, ['build', 'proteins', 'amino', 'acids']);
+    assert.deepEqual(result.missing, ['structures']);
+    assert.equal(AnswerGrader.grade(question, 'They are made of amino acids').correct, false);
+
+    const cloze = { type: 'cloze', answers: ['Mitochondria', 'energy'], correctAnswer: 'Mitochondria, energy' };
+    assert.deepEqual(AnswerGrader.grade(cloze, ['mitochondrion', 'energy']).blanks.map(blank => blank.correct), [true, true]);
+    assert.equal(AnswerGrader.grade(cloze, ['mitochondria', 'food']).correct, false);
+});
+
+test('GIFT matching questions have three pairs or become multiple choice', () => {
+    const pairs = [{ term: 'Osmosis', definition: 'water crossing a membrane' }, { term: 'Diffusion', definition: 'particles spreading out' }];
+    const matching = { type: 'matching', question: 'Match each term with its definition.', pairs, options: pairs.map(pair => pair.definition) };
+    assert.equal(StudyExporter.quizToGIFT([matching]), [
+        '::Q1a:: Match each term with its definition. — Osmosis {\n\t=water crossing a membrane\n\t~particles spreading out\n}',
+        '::Q1b:: Match each term with its definition. — Diffusion {\n\t~water crossing a membrane\n\t=particles spreading out\n}'
+    ].join('\n\n') + '\n');
+
+    const three = { ...matching, pairs: [...pairs, { term: 'Active transport', definition: 'movement using energy' }] };
+    assert.match(StudyExporter.quizToGIFT([three]), /^::Q1:: Match each term with its definition\. \{\n\t=Osmosis -> water crossing a membrane\n/);
+});
+
+test('pasted text is titled after its first heading or words', async () => {
+    const text = await readFile(new URL('cells.txt', FIXTURES), 'utf8');
+    const paragraph = text.split('\n\n')[1];
+    assert.equal(generateStudySet([textSource(text)], SETTINGS).title, 'Cell Biology');
+    assert.equal(generateStudySet([textSource(paragraph)], SETTINGS).title, 'The cell is the basic unit');
+});
+
+test('the module returns ordinary arrays and errors and adds no globals', async () => {
+    assert.ok(!('QuizGenerator' in globalThis) && !('Language' in globalThis) && !('MATH_SYMBOLS' in globalThis));
+    const studySet = await studySetFor('cells.txt');
+    assert.ok(studySet.quiz instanceof Array);
+    assert.ok(studySet.notes.keyTerms instanceof Array);
+    assert.throws(() => QuizFile.parse('{}'), Error);
+    await assert.rejects(readSource('notes.exe', new Uint8Array()), Error);
+});
@@ -0,0 +1,47 @@
+// grading.test.mjs - Typed Answers Against Expected Ones
+// Small typos are forgiven; different terms, however alike, are not.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnswerGrader } from '../quiz-core.mjs';
+
+function grade(answer, correctAnswer) {
+    return AnswerGrader.grade({ type: 'fillblank', correctAnswer }, answer);
+}
+
+test('small typos, plurals and stems are close', () => {
+    [
+        ['protien', 'protein'],
+        ['colour', 'color'],
+        ['color', 'colour'],
+        ['mitocondria', 'mitochondria'],
+        ['chloroplast', 'chloroplasts'],
+        ['photosynthesys', 'photosynthesis'],
+        ['endoplasmic reticullum', 'endoplasmic reticulum']
+    ].forEach(([typed, expected]) => {
+        const result = grade(typed, expected);
+        assert.ok(result.correct && result.close, `${typed} for ${expected}`);
+    });
+});
+
+test('terms that differ by a letter or a prefix are wrong', () => {
+    [
+        ['meiosis', 'mitosis'],
+        ['heat', 'heart'],
+        ['deflation', 'inflation'],
+        ['hypotonic', 'hypertonic'],
+        ['hypothyroidism', 'hyperthyroidism'],
+        ['exocytosis', 'endocytosis']
+    ].forEach(([typed, expected]) => {
+        assert.equal(grade(typed, expected).correct, false, `${typed} for ${expected}`);
+        assert.equal(grade(expected, typed).correct, false, `${expected} for ${typed}`);
+    });
+});
+
+test('a minus sign is kept on numbers and dropped between words', () => {
+    assert.equal(grade('-5', '5').correct, false);
+    assert.equal(grade('5', '-5').correct, false);
+    assert.deepEqual(grade('-5', '-5'), { correct: true, close: false, matched: '-5' });
+    assert.equal(grade('−5', '-5').close, false);
+    assert.equal(AnswerGrader.normalize('x-ray at -40 degrees'), 'x ray at -40 degrees');
+});
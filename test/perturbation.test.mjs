@@ -0,0 +1,37 @@
+// perturbation.test.mjs - False Statements Made by Swapping Key Terms
+// The perturber gets a fixed random source, so the first candidate is always taken.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StatementPerturber } from '../quiz-core.mjs';
+
+function perturber(terms) {
+    return new StatementPerturber({ terms, random: () => 0 });
+}
+
+test('a swapped term keeps its own casing unless it starts the sentence', () => {
+    const swap = perturber(['DNA', 'cell membrane']);
+    assert.equal(swap.termSwap('Genes are segments of DNA that code for proteins.'),
+        'Genes are segments of cell membrane that code for proteins.');
+    assert.equal(swap.termSwap('DNA carries the genetic instructions.'),
+        'Cell membrane carries the genetic instructions.');
+    assert.equal(perturber(['cell membrane', 'DNA']).termSwap('The cell membrane is a thin layer.'),
+        'The DNA is a thin layer.');
+});
+
+test('a term inside a longer key term is not swapped on its own', () => {
+    const swap = perturber(['membrane', 'cell membrane', 'nucleus']);
+    const sentence = 'The cell membrane is a thin layer around the cell.';
+    assert.deepEqual(swap.termsIn(sentence).map(({ term }) => term), ['cell membrane']);
+    assert.equal(swap.termSwap(sentence), 'The nucleus is a thin layer around the cell.');
+});
+
+test('a swapped term has the same number as the one it replaces', () => {
+    const swap = perturber(['membrane', 'mitochondria', 'nucleus', 'ribosomes']);
+    assert.equal(swap.termSwap('Mitochondria are organelles that release energy.'),
+        'Ribosomes are organelles that release energy.');
+    assert.equal(swap.termSwap('The nucleus is the control center of the cell.'),
+        'The membrane is the control center of the cell.');
+    assert.deepEqual(['bacteria', 'osmosis', 'formula', 'process', 'cell membranes', 'endoplasmic reticulum']
+        .map(StatementPerturber.isPlural), [true, false, false, false, true, false]);
+});
@@ -0,0 +1,97 @@
+// quizgen.test.mjs - The Command-Line Tool
+// Runs quizgen.mjs as a separate process on the fixtures, a directory and stdin.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { copyFile, mkdir, mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const QUIZGEN = fileURLToPath(new URL('../quizgen.mjs', import.meta.url));
+const FIXTURES = fileURLToPath(new URL('fixtures/', import.meta.url));
+
+function quizgen(args, input = '') {
+    return spawnSync(process.execPath, [QUIZGEN, ...args], { input, encoding: 'utf8', timeout: 60000 });
+}
+
+test('writes a quiz file for one file', () => {
+    const run = quizgen([join(FIXTURES, 'cells.txt'), '--questions', '5', '--seed', 'fixture']);
+    assert.equal(run.status, 0, run.stderr);
+    const quiz = JSON.parse(run.stdout);
+    assert.equal(quiz.title, 'cells.txt');
+    assert.equal(quiz.questions.length, 5);
+});
+
+test('reads stdin and writes GIFT and Markdown', () => {
+    const text = 'Osmosis is the movement of water across a membrane. Diffusion is the spreading of particles from high to low concentration. Enzymes are proteins that speed up chemical reactions in cells.';
+    const gift = quizgen(['--format', 'gift', '-n', '3', '-s', '1'], text);
+    assert.equal(gift.status, 0, gift.stderr);
+    assert.match(gift.stdout, /^\/\/ Osmosis is the movement of water/);
+    assert.match(gift.stdout, /::Q1::/);
+
+    const markdown = quizgen(['-', '--format', 'md', '-n', '3', '-s', '1'], text);
+    assert.equal(markdown.status, 0, markdown.stderr);
+    assert.match(markdown.stdout, /^# Osmosis/);
+    assert.match(markdown.stdout, /## Quiz\n\n1\. /);
+    assert.match(markdown.stdout, /## Answer Key\n\n1\. /);
+});
+
+test('makes one quiz per supported file in a directory', async () => {
+    const out = await mkdtemp(join(tmpdir(), 'quizgen-'));
+    try {
+        const run = quizgen([FIXTURES, '--out', out, '-n', '4', '-s', 'fixture', '--quiet']);
+        assert.equal(run.status, 0, run.stderr);
+        assert.deepEqual((await readdir(out)).sort(), ['cells-quiz.json', 'fotosintesis-quiz.json', 'mechanics-quiz.json']);
+        const quiz = JSON.parse(await readFile(join(out, 'mechanics-quiz.json'), 'utf8'));
+        assert.equal(quiz.questions.length, 4);
+    } finally {
+        await rm(out, { recursive: true });
+    }
+});
+
+test('numbers the quizzes of inputs with the same name', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'quizgen-'));
+    try {
+        const cells = join(FIXTURES, 'cells.txt');
+        await mkdir(join(dir, 'in', 'a'), { recursive: true });
+        await mkdir(join(dir, 'in', 'b'));
+        await copyFile(cells, join(dir, 'in', 'a', 'notes.txt'));
+        await copyFile(cells, join(dir, 'in', 'b', 'notes.txt'));
+        await copyFile(cells, join(dir, 'in', 'notes.md'));
+        const run = quizgen([join(dir, 'in'), '--out', join(dir, 'out'), '-n', '2', '-s', 'fixture']);
+        assert.equal(run.status, 0, run.stderr);
+        assert.deepEqual((await readdir(join(dir, 'out'))).sort(), ['notes-2-quiz.json', 'notes-3-quiz.json', 'notes-quiz.json']);
+        assert.equal(run.stderr.trim().split('\n').length, 3);
+    } finally {
+        await rm(dir, { recursive: true });
+    }
+});
+
+test('combines inputs into one quiz', () => {
+    const run = quizgen([join(FIXTURES, 'cells.txt'), join(FIXTURES, 'mechanics.md'), '--combine', '-n', '6', '-s', 'fixture']);
+    assert.equal(run.status, 0, run.stderr);
+    const quiz = JSON.parse(run.stdout);
+    assert.equal(quiz.title, 'cells.txt + 1 more');
+    assert.deepEqual(new Set(quiz.questions.map(question => question.source)), new Set(['cells.txt', 'mechanics.md']));
+});
+
+test('reports bad input and options', () => {
+    const missing = quizgen([join(FIXTURES, 'missing.txt'), join(FIXTURES, 'cells.txt'), '-n', '2']);
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /missing\.txt/);
+    assert.equal(JSON.parse(missing.stdout).questions.length, 2);
+
+    const short = quizgen([], 'Hello there.');
+    assert.equal(short.status, 1);
+    assert.match(short.stderr, /^quizgen: stdin: not enough structured content/);
+
+    const count = quizgen([join(FIXTURES, 'cells.txt'), '--questions', 'many']);
+    assert.equal(count.status, 2);
+    assert.match(count.stderr, /--questions/);
+
+    const format = quizgen([join(FIXTURES, 'cells.txt'), '--format', 'pdf']);
+    assert.equal(format.status, 2);
+    assert.match(format.stderr, /--format/);
+});
@@ -0,0 +1,13 @@
+// text-processor.test.mjs - Cleaning Extracted and Pasted Text
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TextProcessor } from '../quiz-core.mjs';
+
+test('letters spaced out by a PDF are joined, one-letter words are not', () => {
+    assert.equal(TextProcessor.cleanPDFText('The w o r d is here'), 'The word is here');
+    assert.equal(TextProcessor.cleanPDFText('A célula é a unidade e a membrana'), 'A célula é a unidade e a membrana');
+    assert.equal(TextProcessor.cleanPDFText('Llueve y a veces nieva'), 'Llueve y a veces nieva');
+    assert.equal(TextProcessor.cleanPDFText('Plan A a new start'), 'Plan A a new start');
+    assert.equal(TextProcessor.cleanPDFText('Count 2 4 6 8'), 'Count 2 4 6 8');
+});
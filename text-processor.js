@@ -0,0 +1,66 @@
+// text-processor.js - Text Cleaning and Processing Utilities
+// Cleans text pulled out of PDFs and other files before it is split into sentences.
+// Letters are matched with Unicode classes (\p{L}), so accented and non-Latin text survives.
+// Formulas are taken out first (MathText.mask) and come back untouched; numbers and units stay.
+
+class TextProcessor {
+    static cleanPDFText(rawText) {
+        // Remove PDF artifacts and fix common issues
+        let cleaned = rawText
+            // Remove multiple spaces
+            .replace(/\s+/g, ' ')
+            // Fix broken words (e.g., "w o r d" -> "word"): runs of three or more single letters,
+            // since one-letter words come in pairs ("e a", "y a"); digits are left alone ("2 4 6")
+            .replace(/(?<![\p{L}\p{N}])\p{L}(?:\s+\p{L}){2,}(?![\p{L}\p{N}])/gu, run => run.replace(/\s+/g, ''))
+            // Remove object references ("12 0 R", a PDF artifact)
+            .replace(/\b\d+\s+\d+\s+R\b/g, ' ')
+            // Remove page markers
+            .replace(/-{3}\s*Page\s+\d+\s*-{3}/g, ' ')
+            .replace(/\/Type\s*\/Pages?/gi, '')
+            .replace(/\/Kids\s*\[.*?\]/gi, '')
+            .replace(/\/Count\s*\d+/gi, '')
+            .replace(/<<|>>/g, '')
+            .replace(/endobj/g, '')
+            // Remove PDF commands (but not units such as "J/K")
+            .replace(/(?<![\p{L}\p{N}])\/[A-Z][a-zA-Z0-9]*/gu, ' ')
+            // Fix sentence breaks ("endStart"); short runs are units such as "kHz" or "mmHg"
+            .replace(/(\p{Ll}{3})(\p{Lu}\p{Ll})/gu, '$1. $2')
+            // Remove excessive punctuation
+            .replace(/[.!?]{2,}/g, '.')
+            // Clean up whitespace
+            .trim();
+
+        return cleaned;
+    }
+
+    // Expects formulas to be masked (see MathText.mask); LaTeX left in the prose is unwrapped
+    static extractReadableText(text) {
+        let readable = text
+            // "\emph{word}" keeps the word, "\alpha" becomes the letter, other commands go
+            .replace(/\\[a-z]+\*?\{([^{}]*)\}/gi, '$1')
+            .replace(/\\([a-z]+)/gi, (command, name) => MATH_SYMBOLS[name] || MATH_OPERATORS[name] || '')
+            // Remove special characters clusters (math signs and the formula marks are kept)
+            .replace(/[^\p{L}\p{M}\p{N}\s.,!?;:()\-'"/=+−×÷±<>≤≥≈%°·^\uE000\uE001]{3,}/gu, ' ')
+            // Remove control, formatting and private-use characters
+            .replace(/[^\P{C}\n\uE000\uE001]/gu, ' ')
+            // Drop text that is only a number (likely a page number or artifact)
+            .replace(/^\s*\d+\s*$/, '')
+            .trim();
+
+        return readable;
+    }
+
+    static improveStructure(text) {
+        // Add proper paragraph breaks
+        let structured = text
+            // Add breaks after periods followed by capital letters
+            .replace(/\.\s*(\p{Lu})/gu, '.\n\n$1')
+            // Fix common title patterns
+            .replace(/(\p{Ll})\s*(\p{Lu}[\p{Lu}\s]+):/gu, '$1\n\n$2:')
+            // Remove extra blank lines
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+
+        return structured;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,76 @@
+// zip-reader.js - Minimal ZIP Archive Reader (No External Dependencies)
+// Reads the central directory and extracts stored or deflated entries (DOCX, EPUB)
+
+class ZipReader {
+    constructor(data) {
+        this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.entries = new Map();
+        this.readCentralDirectory();
+    }
+
+    readCentralDirectory() {
+        const { bytes, view } = this;
+
+        // The end-of-central-directory record sits in the last 22 bytes plus an optional comment
+        let eocd = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd < 0) throw new Error('Not a ZIP archive');
+
+        const count = view.getUint16(eocd + 10, true);
+        let pos = view.getUint32(eocd + 16, true);
+        const decoder = new TextDecoder('utf-8');
+
+        for (let i = 0; i < count && pos + 46 <= bytes.length; i++) {
+            if (view.getUint32(pos, true) !== 0x02014b50) break;
+
+            const nameLength = view.getUint16(pos + 28, true);
+            const extraLength = view.getUint16(pos + 30, true);
+            const commentLength = view.getUint16(pos + 32, true);
+            const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+
+            this.entries.set(name, {
+                method: view.getUint16(pos + 10, true),
+                compressedSize: view.getUint32(pos + 20, true),
+                size: view.getUint32(pos + 24, true),
+                offset: view.getUint32(pos + 42, true)
+            });
+            pos += 46 + nameLength + extraLength + commentLength;
+        }
+    }
+
+    names() {
+        return [...this.entries.keys()];
+    }
+
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    read(name) {
+        const entry = this.entries.get(name);
+        if (!entry) throw new Error(`Missing archive entry: ${name}`);
+
+        const { view } = this;
+        if (view.getUint32(entry.offset, true) !== 0x04034b50) {
+            throw new Error(`Damaged archive entry: ${name}`);
+        }
+        const nameLength = view.getUint16(entry.offset + 26, true);
+        const extraLength = view.getUint16(entry.offset + 28, true);
+        const start = entry.offset + 30 + nameLength + extraLength;
+        const data = this.bytes.subarray(start, start + entry.compressedSize);
+
+        if (entry.method === 0) return data;
+        if (entry.method === 8) return Inflate.inflateRaw(data);
+        throw new Error(`Unsupported compression method ${entry.method} for ${name}`);
+    }
+
+    readText(name) {
+        return new TextDecoder('utf-8').decode(this.read(name));
+    }
+}
@@ -0,0 +1,90 @@
+// zip-writer.js - Minimal ZIP Archive Writer (No External Dependencies)
+// Stores entries uncompressed; used for export packages such as IMS QTI
+
+class ZipWriter {
+    constructor() {
+        this.files = [];
+    }
+
+    // content: string (written as UTF-8) or Uint8Array
+    add(name, content) {
+        const encoder = new TextEncoder();
+        const data = typeof content === 'string' ? encoder.encode(content) : content;
+        this.files.push({ name: encoder.encode(name), data, crc: ZipWriter.crc32(data) });
+        return this;
+    }
+
+    static crcTable() {
+        if (!ZipWriter.table) {
+            ZipWriter.table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                ZipWriter.table[n] = c >>> 0;
+            }
+        }
+        return ZipWriter.table;
+    }
+
+    static crc32(data) {
+        const table = ZipWriter.crcTable();
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) crc = table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    toBytes() {
+        const localSize = this.files.reduce((sum, file) => sum + 30 + file.name.length + file.data.length, 0);
+        const centralSize = this.files.reduce((sum, file) => sum + 46 + file.name.length, 0);
+        const bytes = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(bytes.buffer);
+        // UTF-8 names; every entry is dated 1980-01-01 00:00
+        const flags = 0x0800;
+        const dosDate = 0x0021;
+
+        let pos = 0;
+        const offsets = this.files.map(file => {
+            const offset = pos;
+            view.setUint32(pos, 0x04034b50, true);
+            view.setUint16(pos + 4, 20, true);
+            view.setUint16(pos + 6, flags, true);
+            view.setUint16(pos + 8, 0, true);
+            view.setUint16(pos + 10, 0, true);
+            view.setUint16(pos + 12, dosDate, true);
+            view.setUint32(pos + 14, file.crc, true);
+            view.setUint32(pos + 18, file.data.length, true);
+            view.setUint32(pos + 22, file.data.length, true);
+            view.setUint16(pos + 26, file.name.length, true);
+            view.setUint16(pos + 28, 0, true);
+            bytes.set(file.name, pos + 30);
+            bytes.set(file.data, pos + 30 + file.name.length);
+            pos += 30 + file.name.length + file.data.length;
+            return offset;
+        });
+
+        const centralStart = pos;
+        this.files.forEach((file, idx) => {
+            view.setUint32(pos, 0x02014b50, true);
+            view.setUint16(pos + 4, 20, true);
+            view.setUint16(pos + 6, 20, true);
+            view.setUint16(pos + 8, flags, true);
+            view.setUint16(pos + 10, 0, true);
+            view.setUint16(pos + 12, 0, true);
+            view.setUint16(pos + 14, dosDate, true);
+            view.setUint32(pos + 16, file.crc, true);
+            view.setUint32(pos + 20, file.data.length, true);
+            view.setUint32(pos + 24, file.data.length, true);
+            view.setUint16(pos + 28, file.name.length, true);
+            view.setUint32(pos + 42, offsets[idx], true);
+            bytes.set(file.name, pos + 46);
+            pos += 46 + file.name.length;
+        });
+
+        view.setUint32(pos, 0x06054b50, true);
+        view.setUint16(pos + 8, this.files.length, true);
+        view.setUint16(pos + 10, this.files.length, true);
+        view.setUint32(pos + 12, pos - centralStart, true);
+        view.setUint32(pos + 16, centralStart, true);
+        return bytes;
+    }
+}